@@ -11,41 +11,101 @@
  * 
  * Features:
  * - Smart instruction loading for specific file types
- * - Context budget management (prevents token overload)
+ * - Context budget management (prevents token overload, lib/context-budget.js)
+ * - Combined bundles of instructions, docs and agent guidance in one budget
  * - Keyword-based instruction search
  * - Caching for performance
  * - Integration with agent guides and reference docs
  */
 
-const { Server } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const {
-  CallToolRequestSchema,
   ErrorCode,
   McpError,
 } = require('@modelcontextprotocol/sdk/types.js');
+const { createToolServer } = require('./lib/server-runtime.js');
+const { serve } = require('./lib/transport.js');
 const fs = require('fs');
 const path = require('path');
+const { parseFrontmatter } = require('./lib/frontmatter.js');
+const { selectInstructions } = require('./lib/apply-to.js');
+const { classifyMoquiXml, schemaExcerpt } = require('./lib/moqui-xml.js');
+const { CHARS_PER_TOKEN, createTokenizer, tokenCounts, createBudget } = require('./lib/tokenizer.js');
+const { findSection, headingOutline, describeOutlineEntry } = require('./lib/section-truncate.js');
+const { MIN_SECTION_TOKENS, PRESETS, takeSections, createContextManager } = require('./lib/context-budget.js');
+const { KNOWLEDGE_SOURCES, knowledgeDirectories, loadKnowledgeIndex } = require('./lib/search-index.js');
+const { createKnowledgeSearch } = require('./lib/semantic-index.js');
+const { isWatchEnabled, watchDirectories, createReloadTracker } = require('./lib/hot-reload.js');
+const { loadConfig } = require('./lib/config.js');
+
+const { projectRoot, paths, budgets } = loadConfig();
+const instructionsPath = path.join(projectRoot, paths.instructions);
+const docsPath = path.join(projectRoot, paths.documentation);
+const agentsPath = path.join(projectRoot, paths.agents);
+const xsdPath = path.join(projectRoot, paths.xsd);
+const knowledge = knowledgeDirectories(projectRoot, paths);
+
+// Budgets are in tokens of the target model's tokenizer (lib/tokenizer.js); the 4-chars-per-token
+// estimate is only used when no vocabulary is available. Docs and agent guides default to their share
+// of the balanced split (lib/context-budget.js)
+const CONTEXT_BUDGET = budgets.contextTokens; // tokens available for instructions
+const DEFAULT_ALLOCATION = createContextManager({ totalBudget: CONTEXT_BUDGET }).getAllocation();
+const SCHEMA_EXCERPT_CHARS = budgets.schemaExcerptChars; // at most a quarter of the budget goes to the schema excerpt
+const BUNDLE_DOCS = budgets.bundleDocs; // reference docs offered to a bundle
+
+const reloadTracker = createReloadTracker();
 
-const projectRoot = process.env.MOQUI_PROJECT_ROOT || '/home/n541342/IdeaProjects/moqui_example';
-const instructionsPath = path.join(projectRoot, '.github/instructions');
-const docsPath = path.join(projectRoot, '.github/docs');
-const agentsPath = path.join(projectRoot, '.github/agents');
+/**
+ * Cache for loaded instruction files
+ */
+const instructionCache = new Map();
 
-// Token estimation (rough heuristic: ~4 chars per token)
-const CONTEXT_BUDGET = 6000; // tokens available for instructions
-const CHARS_PER_TOKEN = 4;
-const MAX_CHARS = CONTEXT_BUDGET * CHARS_PER_TOKEN;
+/**
+ * Section search index over agents, instructions, prompts and docs (built on first search)
+ */
+let searchIndexCache = null;
 
-const server = new Server({
-  name: 'context-aware-instructions',
-  version: '1.0.0',
-});
+function getSearchIndex() {
+  if (!searchIndexCache) {
+    searchIndexCache = loadKnowledgeIndex(knowledge);
+  }
+  return searchIndexCache;
+}
+
+const knowledgeSearch = createKnowledgeSearch({ projectRoot, knowledge, getKeywordIndex: getSearchIndex });
 
 /**
- * Cache for loaded instruction files
+ * Sum of two { estimated, exact } token counts
  */
-const instructionCache = new Map();
+function addCounts(a, b) {
+  return {
+    estimated: a.estimated + b.estimated,
+    exact: a.exact === null || b.exact === null ? null : a.exact + b.exact
+  };
+}
+
+/**
+ * Tool result as JSON text, with the estimated and exact token count of the result itself
+ */
+function jsonResponse(result, model) {
+  const tokenizer = createTokenizer({ model });
+  const text = JSON.stringify(result, null, 2);
+  const responseTokens = { ...tokenCounts(tokenizer, text), tokenizer: tokenizer.name };
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ ...result, responseTokens }, null, 2) }]
+  };
+}
+
+/**
+ * Which tokenizer counted, for responses
+ */
+function describeTokenizer(tokenizer) {
+  return {
+    name: tokenizer.name,
+    model: tokenizer.model,
+    exact: tokenizer.exact,
+    fallbackReason: tokenizer.fallbackReason
+  };
+}
 
 /**
  * Load instruction file with caching
@@ -62,55 +122,162 @@ function loadInstruction(filename) {
   
   const content = fs.readFileSync(filepath, 'utf-8');
   instructionCache.set(filename, content);
+  reloadTracker.record(filepath, 'initial');
   return content;
 }
 
 /**
- * Get instructions for specific file type
+ * Hot reload: refresh a changed instruction in the cache and drop the search index.
+ * Docs and agent guides are read on demand, so changes there only affect the index.
  */
-function getInstructionsForFile(filepath, maxChars = MAX_CHARS) {
-  const ext = path.extname(filepath).substring(1).toLowerCase();
-  
-  const fileTypeMap = {
-    'java': 'java.instructions.md',
-    'groovy': 'groovy.instructions.md',
-    'js': 'typescript-5-es2022.instructions.md',
-    'ts': 'typescript-5-es2022.instructions.md',
-    'vue': 'vuejs3.instructions.md',
-    'md': 'markdown.instructions.md',
-    'ftl': 'java-mcp-server.instructions.md',
-    'xml': 'java-mcp-server.instructions.md',
-    'scss': 'vuejs3.instructions.md',
+function reloadChangedFile({ filePath, exists }) {
+  const filename = path.basename(filePath);
+  if (path.dirname(filePath) === instructionsPath && instructionCache.has(filename)) {
+    if (exists) {
+      instructionCache.set(filename, fs.readFileSync(filePath, 'utf-8'));
+      reloadTracker.record(filePath, 'change');
+    } else {
+      instructionCache.delete(filename);
+      reloadTracker.record(filePath, 'remove');
+    }
+  }
+  searchIndexCache = null;
+}
+
+const watcher = isWatchEnabled()
+  ? watchDirectories(Object.values(knowledge.dirs), reloadChangedFile)
+  : null;
+
+/**
+ * Cache state: cached instructions with load times, search index and watching status
+ */
+function getCacheState() {
+  const state = reloadTracker.snapshot(projectRoot);
+  return {
+    watching: Boolean(watcher),
+    watchedDirectories: watcher ? watcher.directories.map(d => path.relative(projectRoot, d)) : [],
+    cachedInstructions: instructionCache.size,
+    searchIndex: searchIndexCache
+      ? { builtAt: searchIndexCache.builtAt, documents: searchIndexCache.documents, sections: searchIndexCache.sections.length }
+      : null,
+    lastReload: state.lastReload,
+    files: state.files
   };
+}
 
-  const instructionFile = fileTypeMap[ext] || 'code-review-generic.instructions.md';
-  const content = loadInstruction(instructionFile);
-  
-  if (!content) {
+/**
+ * Instruction files with their applyTo globs, optional priority and the Moqui file types they cover
+ */
+function instructionCatalog() {
+  if (!fs.existsSync(instructionsPath)) return [];
+  return fs.readdirSync(instructionsPath)
+    .filter(f => f.endsWith('.md'))
+    .map(file => {
+      const { data } = parseFrontmatter(loadInstruction(file) || '');
+      const moquiFileTypes = String(data.moquiFileType || '').split(',').map(t => t.trim()).filter(Boolean);
+      return { file, applyTo: data.applyTo, priority: data.priority, moquiFileTypes };
+    });
+}
+
+/**
+ * Instructions for a file: applyTo matches, plus the instructions for its Moqui file type.
+ * For a classified Moqui XML file, instructions written for other Moqui types are dropped even when a
+ * directory glob matched (a .secas.xml file under service/ is not a service definition).
+ */
+function matchInstructions(filepath, moquiFile) {
+  const catalog = instructionCatalog();
+  const { selected, excluded } = selectInstructions(catalog, filepath, projectRoot);
+  if (!moquiFile) return { selected, excluded };
+
+  const typed = catalog
+    .filter(instruction => instruction.moquiFileTypes.includes(moquiFile.type))
+    .map(instruction => ({
+      ...instruction,
+      ...selected.find(match => match.file === instruction.file),
+      matchedMoquiType: moquiFile.type
+    }));
+  const generic = selected.filter(match => !match.moquiFileTypes.length);
+  return {
+    selected: [...typed, ...generic].sort((a, b) =>
+      (Number(b.priority) || 0) - (Number(a.priority) || 0) ||
+      Boolean(b.matchedMoquiType) - Boolean(a.matchedMoquiType)),
+    excluded
+  };
+}
+
+/**
+ * Words of a file path, its extension and Moqui type, for ranking instruction sections
+ */
+function fileQuery(filepath, ext, moquiFile) {
+  return [filepath.replace(/[^A-Za-z0-9]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2'), ext, moquiFile && moquiFile.type]
+    .filter(Boolean).join(' ');
+}
+
+/**
+ * Get every instruction set whose applyTo globs match a file, in priority order,
+ * fitted to the context budget. Moqui XML files are classified by root element and schema;
+ * their type's instructions come first and the schema excerpt is included.
+ */
+function getInstructionsForFile(filepath, { maxTokens = CONTEXT_BUDGET, maxChars, model } = {}) {
+  const ext = path.extname(filepath).substring(1).toLowerCase();
+  const moquiFile = ext === 'xml' ? classifyMoquiXml(filepath, projectRoot) : null;
+  const { selected, excluded } = matchInstructions(filepath, moquiFile);
+
+  if (!selected.length) {
     throw new McpError(
       ErrorCode.InvalidRequest,
-      `No instructions found for ${ext}`
+      `No instructions apply to ${filepath}`
     );
   }
 
-  // Truncate to context budget
-  if (content.length > maxChars) {
-    return {
-      file: instructionFile,
-      content: content.substring(0, maxChars) + '\n\n[... content truncated to fit context budget ...]',
-      truncated: true,
-      originalLength: content.length,
-      availableChars: maxChars,
-      recommendedAction: 'Use get_reference_docs for additional context or search for specific topics'
+  const tokenizer = createTokenizer({ model });
+  const budget = createBudget(tokenizer, { maxTokens, maxChars });
+  const schema = moquiFile
+    ? schemaExcerpt(xsdPath, moquiFile.type, moquiFile.rootElement,
+      Math.min(SCHEMA_EXCERPT_CHARS, Math.floor((maxChars || maxTokens * CHARS_PER_TOKEN) / 4)))
+    : null;
+  if (schema) {
+    schema.tokens = tokenCounts(tokenizer, schema.content);
+    budget.take(schema.content);
+  }
+
+  // Fill the budget in priority order; the instruction that crosses it keeps its most relevant
+  // sections, later ones are omitted
+  const query = fileQuery(filepath, ext, moquiFile);
+  const instructions = [];
+  const omitted = [];
+  for (const match of selected) {
+    const content = loadInstruction(match.file);
+    const entry = {
+      file: match.file,
+      matchedGlob: match.matchedGlob,
+      matchedMoquiType: match.matchedMoquiType,
+      priority: match.priority,
+      length: content.length
     };
+    const taken = takeSections(budget, tokenizer, content, query);
+    if (!taken) {
+      omitted.push(entry);
+      continue;
+    }
+    instructions.push({ ...entry, ...taken });
   }
 
   return {
-    file: instructionFile,
-    content: content,
-    truncated: false,
-    length: content.length,
-    fileExtension: ext
+    filepath: filepath,
+    fileExtension: ext,
+    moquiFile: moquiFile || undefined,
+    matched: selected.map(match => ({ file: match.file, matchedGlob: match.matchedGlob, matchedMoquiType: match.matchedMoquiType })),
+    excluded: excluded,
+    instructions: instructions,
+    schemaExcerpt: schema || undefined,
+    omitted: omitted,
+    totalChars: budget.usage().chars,
+    budget: budget.usage(),
+    tokenizer: describeTokenizer(tokenizer),
+    recommendedAction: omitted.length || instructions.some(i => i.truncated)
+      ? 'Raise maxTokens, fetch outlined sections with get_document_section or use search_instructions for the specific topic'
+      : undefined
   };
 }
 
@@ -154,50 +321,51 @@ function determineRelevantInstructions(task, fileType) {
 /**
  * Get instructions filtered by task and context
  */
-function getContextualInstructions(task, fileType, contextBudget = MAX_CHARS) {
+function getContextualInstructions(task, fileType, { contextBudget, maxTokens = CONTEXT_BUDGET, model } = {}) {
+  const tokenizer = createTokenizer({ model });
+  const budget = createBudget(tokenizer, { maxTokens, maxChars: contextBudget });
   const result = {
     task: task,
     fileType: fileType,
     instructions: [],
     totalChars: 0,
-    budgetRemaining: contextBudget,
     allocation: {
-      budget: contextBudget,
-      estimatedTokens: Math.ceil(contextBudget / CHARS_PER_TOKEN)
-    }
+      maxTokens: maxTokens,
+      maxChars: contextBudget
+    },
+    tokenizer: describeTokenizer(tokenizer)
   };
 
   // Determine which instructions are relevant
   const relevantFiles = determineRelevantInstructions(task, fileType);
   
   for (const filename of relevantFiles) {
-    if (result.budgetRemaining <= 0) break;
-    
     const content = loadInstruction(filename);
     if (!content) continue;
 
-    const charsToUse = Math.min(content.length, result.budgetRemaining);
-    const truncated = content.length > charsToUse;
+    const taken = takeSections(budget, tokenizer, content, task);
+    if (!taken) break;
 
     result.instructions.push({
       file: filename,
-      content: truncated ? content.substring(0, charsToUse) + '\n[... truncated ...]' : content,
-      truncated: truncated,
+      content: taken.content,
+      truncated: taken.truncated,
       originalLength: content.length,
-      usedLength: charsToUse,
-      estimatedTokens: Math.ceil(charsToUse / CHARS_PER_TOKEN)
+      usedLength: taken.content.length,
+      tokens: taken.tokens,
+      outline: taken.outline
     });
 
-    result.totalChars += charsToUse;
-    result.budgetRemaining -= charsToUse;
+    result.totalChars += taken.content.length;
   }
 
+  const usage = budget.usage();
   result.summary = {
     filesLoaded: result.instructions.length,
-    totalCharsUsed: result.totalChars,
-    totalTokensUsed: Math.ceil(result.totalChars / CHARS_PER_TOKEN),
-    remainingBudget: result.budgetRemaining,
-    remainingTokens: Math.ceil(result.budgetRemaining / CHARS_PER_TOKEN)
+    totalCharsUsed: usage.chars,
+    totalTokensUsed: usage.tokens,
+    remainingTokens: budget.remainingTokens,
+    remainingChars: contextBudget ? budget.remainingChars : undefined
   };
 
   return result;
@@ -206,7 +374,7 @@ function getContextualInstructions(task, fileType, contextBudget = MAX_CHARS) {
 /**
  * Get reference documentation for a topic
  */
-function getReferenceDocs(topic, maxChars = MAX_CHARS / 2) {
+function getReferenceDocs(topic, { maxTokens = DEFAULT_ALLOCATION.docs, model } = {}) {
   if (!fs.existsSync(docsPath)) {
     return { 
       error: 'Documentation path not found',
@@ -225,30 +393,37 @@ function getReferenceDocs(topic, maxChars = MAX_CHARS / 2) {
     };
   }
 
+  const tokenizer = createTokenizer({ model });
   const result = {
     topic: topic,
     docs: [],
     totalChars: 0,
-    totalTokens: 0
+    tokens: { estimated: 0, exact: tokenizer.exact ? 0 : null },
+    tokenizer: describeTokenizer(tokenizer)
   };
 
-  for (const docFile of docs.slice(0, 2)) { // Limit to 2 docs to save context
+  const selectedDocs = docs.slice(0, 2); // Limit to 2 docs to save context
+  for (const docFile of selectedDocs) {
     const filepath = path.join(docsPath, docFile);
     const content = fs.readFileSync(filepath, 'utf-8');
-    
-    // Extract just the summary/intro section
-    const summary = content.substring(0, 1000) + '\n... [see full doc for complete content]';
-    
+
+    // Each doc gets an equal share; the sections about the topic are kept first
+    const budget = createBudget(tokenizer, { maxTokens: Math.floor(maxTokens / selectedDocs.length) });
+    const summary = takeSections(budget, tokenizer, content, topic);
+    if (!summary) continue;
+
     result.docs.push({
-      file: docFile,
-      content: summary,
+      file: path.relative(knowledge.base, filepath),
+      content: summary.content,
+      truncated: summary.truncated,
+      outline: summary.outline,
       originalLength: content.length,
-      summaryLength: summary.length,
-      estimatedTokens: Math.ceil(summary.length / CHARS_PER_TOKEN)
+      summaryLength: summary.content.length,
+      tokens: summary.tokens
     });
 
-    result.totalChars += summary.length;
-    result.totalTokens += Math.ceil(summary.length / CHARS_PER_TOKEN);
+    result.totalChars += summary.content.length;
+    result.tokens = addCounts(result.tokens, summary.tokens);
   }
 
   return result;
@@ -257,7 +432,7 @@ function getReferenceDocs(topic, maxChars = MAX_CHARS / 2) {
 /**
  * Get specific agent guide summary
  */
-function getAgentGuide(agentName, maxChars = MAX_CHARS / 3) {
+function getAgentGuide(agentName, { maxTokens = DEFAULT_ALLOCATION.agent, task = '', model } = {}) {
   const filename = `${agentName}.md`;
   const filepath = path.join(agentsPath, filename);
 
@@ -271,59 +446,172 @@ function getAgentGuide(agentName, maxChars = MAX_CHARS / 3) {
   }
 
   const content = fs.readFileSync(filepath, 'utf-8');
+  const tokenizer = createTokenizer({ model });
   
-  // Return key sections to save context
-  const lines = content.split('\n');
-  const summary = lines
-    .slice(0, Math.min(40, lines.length)) // First 40 lines
-    .join('\n');
+  // Return the key sections (those about the task first) to save context
+  const budget = createBudget(tokenizer, { maxTokens: Math.max(maxTokens, MIN_SECTION_TOKENS) });
+  const summary = takeSections(budget, tokenizer, content, task);
 
   return {
     agent: agentName,
-    summary: summary,
+    file: path.relative(knowledge.base, filepath),
+    summary: summary.content,
+    truncated: summary.truncated,
+    // The summary shows the outline within maxTokens; this copy takes one line per entry
+    outline: summary.outline && summary.outline.map(describeOutlineEntry),
     originalLength: content.length,
-    summaryLength: summary.length,
-    estimatedTokens: Math.ceil(summary.length / CHARS_PER_TOKEN),
-    fullPath: filepath
+    summaryLength: summary.content.length,
+    tokens: summary.tokens,
+    tokenizer: describeTokenizer(tokenizer)
   };
 }
 
 /**
- * Search instructions by keyword
+ * Instructions, reference docs and agent guidance for a task in one budget
+ *
+ * Instructions are those for filepath (applyTo and Moqui type) or, without one, those for the task and
+ * file type; docs and, without agentName, the agent are the best keyword matches for topic or task.
+ * The budget is split by preset (or weighted for the task) and filled in priority order with a
+ * per-category report (lib/context-budget.js).
  */
-function searchInstructions(keyword) {
-  if (!fs.existsSync(instructionsPath)) {
-    return { error: 'Instructions path not found' };
+async function getContextBundle(task, { filepath, fileType, agentName, topic, totalBudget = CONTEXT_BUDGET, preset, model } = {}) {
+  let manager;
+  try {
+    manager = createContextManager({ totalBudget, preset, model });
+  } catch (e) {
+    throw new McpError(ErrorCode.InvalidParams, e.message);
+  }
+
+  let instructionFiles;
+  let query = task;
+  if (filepath) {
+    const ext = path.extname(filepath).substring(1).toLowerCase();
+    const moquiFile = ext === 'xml' ? classifyMoquiXml(filepath, projectRoot) : null;
+    instructionFiles = matchInstructions(filepath, moquiFile).selected.map(match => match.file);
+    query = `${task} ${fileQuery(filepath, ext, moquiFile)}`;
+  } else {
+    instructionFiles = determineRelevantInstructions(task, fileType);
+  }
+  const instructions = instructionFiles
+    .map(file => ({ file: path.relative(knowledge.base, path.join(instructionsPath, file)), content: loadInstruction(file), query }))
+    .filter(item => item.content);
+
+  const docSearch = await knowledgeSearch.search(topic || task, { types: ['doc'], limit: 20 });
+  const docs = [...new Set(docSearch.results.map(hit => hit.file))]
+    .slice(0, BUNDLE_DOCS)
+    .map(file => ({ file, content: fs.readFileSync(path.join(knowledge.base, file), 'utf-8'), query: topic || task }));
+
+  let agentFile = agentName ? path.join(agentsPath, `${agentName}.md`) : null;
+  if (agentFile && !fs.existsSync(agentFile)) {
+    throw new McpError(ErrorCode.InvalidParams, `Agent not found: ${agentName}`);
   }
+  if (!agentFile) {
+    const agentSearch = await knowledgeSearch.search(task, { types: ['agent'], limit: 1 });
+    agentFile = agentSearch.results.length ? path.join(knowledge.base, agentSearch.results[0].file) : null;
+  }
+  const agent = agentFile
+    ? [{
+      agent: path.basename(agentFile, '.md'),
+      file: path.relative(knowledge.base, agentFile),
+      content: fs.readFileSync(agentFile, 'utf-8')
+    }]
+    : [];
+
+  const bundle = manager.fillBundle({ task, sources: { instructions, docs, agent } });
+  return {
+    ...bundle,
+    filepath: filepath,
+    preset: preset || (task ? 'weighted by task' : 'BALANCED'),
+    tokenizer: describeTokenizer(manager.tokenizer),
+    recommendedAction: Object.values(bundle.categories).some(c => c.omitted.length || c.truncated)
+      ? 'Raise totalBudget, pick a preset that favours the category you need, or fetch outlined sections with get_document_section'
+      : undefined
+  };
+}
 
-  const files = fs.readdirSync(instructionsPath);
-  const results = [];
+/**
+ * Markdown file in a knowledge directory by its path relative to their common parent (as search results
+ * and outlines name it, e.g. `docs/x.md` under `.github`) or by its path in one of the directories
+ */
+function resolveKnowledgeFile(file) {
+  const dirs = Object.values(knowledge.dirs);
+  const candidates = [
+    path.resolve(knowledge.base, file),
+    ...dirs.map(dir => path.resolve(dir, file))
+  ];
+  return candidates.find(candidate =>
+    dirs.some(dir => candidate.startsWith(dir + path.sep)) &&
+    candidate.endsWith('.md') &&
+    fs.existsSync(candidate) &&
+    fs.statSync(candidate).isFile());
+}
 
-  for (const file of files) {
-    const content = loadInstruction(file);
-    if (content && content.toLowerCase().includes(keyword.toLowerCase())) {
-      const firstMatch = content.toLowerCase().indexOf(keyword.toLowerCase());
-      const start = Math.max(0, firstMatch - 80);
-      const end = Math.min(content.length, firstMatch + 150);
-      const context = content.substring(start, end);
-      
-      results.push({
-        file: file,
-        contextSnippet: `${start > 0 ? '...' : ''}${context}${end < content.length ? '...' : ''}`,
-        position: firstMatch,
-        lineNumber: content.substring(0, firstMatch).split('\n').length
-      });
-    }
+/**
+ * One section of an instruction, agent, prompt or doc file with its subsections, e.g. a section
+ * another tool replaced by an outline entry
+ */
+function getDocumentSection(file, heading, { maxTokens = CONTEXT_BUDGET, model } = {}) {
+  const filepath = resolveKnowledgeFile(file);
+  if (!filepath) {
+    throw new McpError(ErrorCode.InvalidParams, `Document not found: ${file}`);
+  }
+
+  const content = fs.readFileSync(filepath, 'utf-8');
+  const section = findSection(content, heading);
+  if (!section) {
+    const headings = headingOutline(content).map(h => h.headingPath.join(' > '));
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `No section "${heading}" in ${file}. Headings: ${headings.join('; ')}`
+    );
   }
 
+  const tokenizer = createTokenizer({ model });
+  const budget = createBudget(tokenizer, { maxTokens: Math.max(maxTokens, MIN_SECTION_TOKENS) });
+  const taken = takeSections(budget, tokenizer, section.content, '', section.line - 1);
+  return {
+    file: path.relative(knowledge.base, filepath),
+    heading: section.heading,
+    headingPath: section.headingPath,
+    line: section.line,
+    content: taken.content,
+    truncated: taken.truncated,
+    outline: taken.outline,
+    tokens: taken.tokens,
+    tokenizer: describeTokenizer(tokenizer)
+  };
+}
+
+/**
+ * Search instructions (or other knowledge files) by keyword, ranked by section
+ */
+async function searchInstructions(keyword, documentType = 'instruction', limit = 8, mode = 'keyword') {
+  const types = documentType === 'all' ? Object.keys(KNOWLEDGE_SOURCES) : [documentType];
+  const search = await knowledgeSearch.search(keyword, { mode, types, limit });
+  const results = search.results.map(hit => ({
+    file: hit.file,
+    type: hit.type,
+    headingPath: hit.headingPath,
+    lineNumber: hit.line,
+    score: hit.score,
+    keywordScore: hit.keywordScore,
+    semanticScore: hit.semanticScore,
+    contextSnippet: hit.snippet
+  }));
+
   return {
     keyword: keyword,
+    mode: search.mode,
+    requestedMode: search.requestedMode,
+    semanticUnavailable: search.unavailable,
+    embedder: search.embedder,
+    semanticIndex: search.index,
     matchesFound: results.length,
-    results: results.slice(0, 8), // Limit to top 8
+    results: results,
     summary: {
       keyword: keyword,
       matches: results.length,
-      topFiles: results.slice(0, 3).map(r => r.file)
+      topFiles: [...new Set(results.map(r => r.file))].slice(0, 3)
     }
   };
 }
@@ -331,24 +619,31 @@ function searchInstructions(keyword) {
 /**
  * List all available instructions with metadata
  */
-function listAvailableInstructions() {
+function listAvailableInstructions({ model } = {}) {
   if (!fs.existsSync(instructionsPath)) {
     return { error: 'Instructions path not found' };
   }
 
   const files = fs.readdirSync(instructionsPath).filter(f => f.endsWith('.md'));
+  const tokenizer = createTokenizer({ model });
   const instructions = [];
   let totalChars = 0;
+  let totalTokens = { estimated: 0, exact: tokenizer.exact ? 0 : null };
 
   for (const file of files) {
     const content = loadInstruction(file);
     if (content) {
+      const frontmatter = parseFrontmatter(content);
       instructions.push({
         file: file,
+        description: frontmatter.data.description,
+        applyTo: frontmatter.data.applyTo,
+        frontmatterError: frontmatter.error,
         length: content.length,
-        tokens: Math.ceil(content.length / CHARS_PER_TOKEN)
+        tokens: tokenCounts(tokenizer, content)
       });
       totalChars += content.length;
+      totalTokens = addCounts(totalTokens, instructions[instructions.length - 1].tokens);
     }
   }
 
@@ -356,8 +651,9 @@ function listAvailableInstructions() {
     instructions: instructions,
     count: instructions.length,
     totalChars: totalChars,
-    totalTokens: Math.ceil(totalChars / CHARS_PER_TOKEN),
-    averageSize: Math.ceil(totalChars / instructions.length)
+    totalTokens: totalTokens,
+    averageSize: Math.ceil(totalChars / instructions.length),
+    tokenizer: describeTokenizer(tokenizer)
   };
 }
 
@@ -366,18 +662,27 @@ function listAvailableInstructions() {
  */
 function clearCache() {
   const cacheSize = instructionCache.size;
+  for (const filename of instructionCache.keys()) {
+    reloadTracker.forget(path.join(instructionsPath, filename));
+  }
   instructionCache.clear();
+  searchIndexCache = null;
   return { 
     success: true, 
     message: `Instruction cache cleared (${cacheSize} items removed)` 
   };
 }
 
+const modelProperty = {
+  type: 'string',
+  description: 'Target model; its tokenizer counts the tokens (e.g., "gpt-4o", "gpt-4"). Default: MCP_TOKENIZER_MODEL or gpt-4o'
+};
+
 // Tool definitions
 const tools = [
   {
     name: 'get_instructions_for_file',
-    description: 'Get language/type-specific instructions for a file with context budget management',
+    description: 'Get every instruction set whose applyTo globs match a file, most specific first, with the glob that matched and context budget management. Moqui XML files (entities, services, ECAs, screens, REST) are classified by root element and schema and get their type\'s instructions plus a schema excerpt',
     inputSchema: {
       type: 'object',
       properties: {
@@ -385,13 +690,23 @@ const tools = [
           type: 'string',
           description: 'File path to get instructions for (e.g., "src/UserService.java")'
         },
+        maxTokens: {
+          type: 'number',
+          description: 'Maximum tokens to return, counted with the model\'s tokenizer (default: 6000)'
+        },
         maxChars: {
           type: 'number',
-          description: 'Maximum characters to return (default: 24000, ~6000 tokens)'
-        }
+          description: 'Optional character cap on top of maxTokens'
+        },
+        model: modelProperty
       },
       required: ['filepath']
-    }
+    },
+    handler: args => jsonResponse(getInstructionsForFile(args.filepath, {
+      maxTokens: args.maxTokens || CONTEXT_BUDGET,
+      maxChars: args.maxChars,
+      model: args.model
+    }), args.model)
   },
   {
     name: 'get_contextual_instructions',
@@ -407,13 +722,23 @@ const tools = [
           type: 'string',
           description: 'File type (java, groovy, typescript, vue, etc.)'
         },
+        maxTokens: {
+          type: 'number',
+          description: 'Available context in tokens, counted with the model\'s tokenizer (default: 6000)'
+        },
         contextBudget: {
           type: 'number',
-          description: 'Available context in characters (default: 24000)'
-        }
+          description: 'Optional character cap on top of maxTokens'
+        },
+        model: modelProperty
       },
       required: ['task', 'fileType']
-    }
+    },
+    handler: args => jsonResponse(getContextualInstructions(args.task, args.fileType, {
+      maxTokens: args.maxTokens || CONTEXT_BUDGET,
+      contextBudget: args.contextBudget,
+      model: args.model
+    }), args.model)
   },
   {
     name: 'get_reference_docs',
@@ -425,13 +750,15 @@ const tools = [
           type: 'string',
           description: 'Topic to search (e.g., "i18n", "performance", "architecture")'
         },
-        maxChars: {
+        maxTokens: {
           type: 'number',
-          description: 'Max characters (default: 12000)'
-        }
+          description: 'Maximum tokens across all docs (default: 1800, the docs share of the balanced split)'
+        },
+        model: modelProperty
       },
       required: ['topic']
-    }
+    },
+    handler: args => jsonResponse(getReferenceDocs(args.topic, { maxTokens: args.maxTokens, model: args.model }), args.model)
   },
   {
     name: 'get_agent_guide',
@@ -443,130 +770,164 @@ const tools = [
           type: 'string',
           description: 'Agent name (e.g., "api-agent", "architecture-agent", "moqui-developer-agent")'
         },
-        maxChars: {
+        task: {
+          type: 'string',
+          description: 'Current task; the guide sections most relevant to it are kept first'
+        },
+        maxTokens: {
           type: 'number',
-          description: 'Max characters (default: 8000)'
-        }
+          description: 'Maximum tokens (default: 1200, the agent share of the balanced split)'
+        },
+        model: modelProperty
       },
       required: ['agentName']
-    }
+    },
+    handler: args => jsonResponse(getAgentGuide(args.agentName, {
+      maxTokens: args.maxTokens,
+      task: args.task,
+      model: args.model
+    }), args.model)
+  },
+  {
+    name: 'get_context_bundle',
+    description: 'Get instructions, reference docs and agent guidance for a task in one token budget, filled in priority order with per-category accounting',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task: {
+          type: 'string',
+          description: 'What you are doing (e.g., "add a REST endpoint for work orders"); sets priorities and ranks sections'
+        },
+        filepath: {
+          type: 'string',
+          description: 'File being worked on; its instructions are selected by applyTo and Moqui type'
+        },
+        fileType: {
+          type: 'string',
+          description: 'File type when there is no filepath (java, groovy, typescript, vue, etc.)'
+        },
+        agentName: {
+          type: 'string',
+          description: 'Agent guide to include (default: the agent that best matches the task)'
+        },
+        topic: {
+          type: 'string',
+          description: 'Topic for the reference docs (default: the task)'
+        },
+        totalBudget: {
+          type: 'number',
+          description: 'Total tokens, including the share reserved for the response (default: 6000)'
+        },
+        preset: {
+          type: 'string',
+          enum: Object.keys(PRESETS),
+          description: 'Split between instructions, docs, agent and response (default: weighted by the task)'
+        },
+        model: modelProperty
+      },
+      required: ['task']
+    },
+    handler: async args => jsonResponse(await getContextBundle(args.task, {
+      filepath: args.filepath,
+      fileType: args.fileType,
+      agentName: args.agentName,
+      topic: args.topic,
+      totalBudget: args.totalBudget,
+      preset: args.preset,
+      model: args.model
+    }), args.model)
+  },
+  {
+    name: 'get_document_section',
+    description: 'Get one section (with its subsections) of an instruction, agent, prompt or doc file, e.g. a section listed in an outline of omitted sections',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: {
+          type: 'string',
+          description: 'File as search results name it, relative to the parent of the knowledge directories (.github by default, e.g. "instructions/java.instructions.md"), or a file name such as "java.instructions.md"'
+        },
+        heading: {
+          type: 'string',
+          description: 'Heading text or heading path (e.g., "Caching" or "Backend Performance > Caching")'
+        },
+        maxTokens: {
+          type: 'number',
+          description: 'Maximum tokens to return (default: 6000)'
+        },
+        model: modelProperty
+      },
+      required: ['file', 'heading']
+    },
+    handler: args => jsonResponse(getDocumentSection(args.file, args.heading, { maxTokens: args.maxTokens, model: args.model }), args.model)
   },
   {
     name: 'search_instructions',
-    description: 'Search instructions by keyword across all files',
+    description: 'Search instructions by keyword; returns the best-matching sections ranked by BM25 relevance',
     inputSchema: {
       type: 'object',
       properties: {
         keyword: {
           type: 'string',
-          description: 'Keyword to search for (e.g., "security", "performance", "entity")'
-        }
+          description: 'Words to search for, stemmed (e.g., "security", "entity caching"); quote phrases: "circuit breaker"'
+        },
+        document_type: {
+          type: 'string',
+          enum: ['instruction', 'agent', 'prompt', 'doc', 'all'],
+          description: 'Which files to search. Default: "instruction"'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of sections to return. Default: 8'
+        },
+        mode: {
+          type: 'string',
+          enum: ['keyword', 'semantic', 'hybrid'],
+          description: 'keyword (BM25), semantic (local embeddings) or hybrid. Default: "keyword"'
+        },
+        model: modelProperty
       },
       required: ['keyword']
-    }
+    },
+    handler: async args => jsonResponse(await searchInstructions(args.keyword, args.document_type, args.limit, args.mode), args.model)
   },
   {
     name: 'list_available_instructions',
-    description: 'List all available instruction files with metadata',
+    description: 'List all available instruction files with metadata and token counts',
     inputSchema: {
       type: 'object',
-      properties: {}
-    }
+      properties: {
+        model: modelProperty
+      }
+    },
+    handler: args => jsonResponse(listAvailableInstructions({ model: args.model }), args.model)
   },
   {
     name: 'clear_cache',
-    description: 'Clear the instruction cache (useful when files are updated)',
+    description: 'Clear the instruction cache (files are reloaded automatically while watching is on)',
     inputSchema: {
       type: 'object',
       properties: {}
-    }
+    },
+    handler: () => jsonResponse(clearCache())
+  },
+  {
+    name: 'get_cache_state',
+    description: 'Show cached instruction files with their last (re)load time, the search index and whether file watching is active',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: () => jsonResponse(getCacheState())
   }
 ];
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      case 'get_instructions_for_file': {
-        const result = getInstructionsForFile(
-          args.filepath,
-          args.maxChars || MAX_CHARS
-        );
-        return {
-          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-        };
-      }
-
-      case 'get_contextual_instructions': {
-        const result = getContextualInstructions(
-          args.task,
-          args.fileType,
-          args.contextBudget || MAX_CHARS
-        );
-        return {
-          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-        };
-      }
-
-      case 'get_reference_docs': {
-        const result = getReferenceDocs(args.topic, args.maxChars);
-        return {
-          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-        };
-      }
-
-      case 'get_agent_guide': {
-        const result = getAgentGuide(args.agentName, args.maxChars);
-        return {
-          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-        };
-      }
-
-      case 'search_instructions': {
-        const result = searchInstructions(args.keyword);
-        return {
-          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-        };
-      }
-
-      case 'list_available_instructions': {
-        const result = listAvailableInstructions();
-        return {
-          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-        };
-      }
-
-      case 'clear_cache': {
-        const result = clearCache();
-        return {
-          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-        };
-      }
-
-      default:
-        throw new McpError(
-          ErrorCode.MethodNotFound,
-          `Unknown tool: ${name}`
-        );
-    }
-  } catch (error) {
-    if (error instanceof McpError) throw error;
-    throw new McpError(
-      ErrorCode.InternalError,
-      `Tool execution failed: ${error.message}`
-    );
-  }
-});
-
-server.setRequestHandler('tools/list', async () => {
-  return { tools };
+const server = createToolServer({
+  name: 'context-aware-instructions',
+  version: '1.0.0',
+  tools
 });
 
-async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('Context-Aware Instructions MCP server running on stdio');
-}
+module.exports = { server };
 
-main().catch(console.error);
+if (require.main === module) serve(server, 'Context-Aware Instructions').catch(console.error);
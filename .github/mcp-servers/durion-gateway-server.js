@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Server: Durion Gateway
+ *
+ * One process for all the Moqui MCP servers, each mounted as a namespaced module:
+ * - agents.*, instructions.*, context.*, analysis.*, entities.*, services.*, project.*
+ * - Duplicate tools are served once (instructions.list_agents/get_agent → agents.*)
+ * - Modules are enabled in config/mcp-servers.json or with DURION_GATEWAY_MODULES
+ * - describe_capabilities lists what every module serves
+ */
+
+const { loadGatewayConfig, connectModules, createGatewayServer } = require('./lib/gateway.js');
+const { serve } = require('./lib/transport.js');
+
+/**
+ * Connect the enabled modules; returns a function that creates a gateway server over them
+ * (once for stdio, once per session over HTTP)
+ */
+async function createDurionGateway() {
+  const config = loadGatewayConfig();
+  config.errors.forEach(error => console.error(`Durion gateway config: ${error}`));
+  const mounts = await connectModules(config);
+  for (const mount of mounts.filter(m => m.error)) {
+    console.error(`Durion gateway: module ${mount.namespace} (${mount.server}) failed to load: ${mount.error}`);
+  }
+  return () => createGatewayServer(mounts, config);
+}
+
+module.exports = { createDurionGateway };
+
+if (require.main === module) {
+  createDurionGateway()
+    .then(createServer => serve(createServer, 'Durion Gateway'))
+    .catch(console.error);
+}
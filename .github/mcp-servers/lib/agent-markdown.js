@@ -0,0 +1,226 @@
+/**
+ * Agent markdown structure
+ *
+ * Most agent files keep their metadata in the markdown body rather than in
+ * frontmatter (`## Role`, `## Expertise`, `## Collaboration`, ...). This module
+ * splits a body into `##` sections and pulls out role, expertise bullets,
+ * collaborating agents and handoffs, recognising the heading variants used
+ * across `.github/agents`.
+ */
+
+/**
+ * Heading patterns per field, matched against the heading without numbering
+ */
+const SECTION_PATTERNS = {
+  role: [/^(your )?role$/, /^purpose$/],
+  expertise: [/^(your |areas of )?expertise$/, /^(core |development )?capabilities$/],
+  responsibilities: [/^(your |core )?responsibilities$/],
+  collaborations: [/^collaboration/, /^(integration|relationship) (with|to) other agents$/, /collaboration model$/, /^interaction points$/],
+  handoffs: [/hand-?offs?\b/, /^escalation/]
+};
+
+const REQUIRED_SECTIONS = ['role', 'expertise', 'collaborations'];
+const OPTIONAL_SECTIONS = ['responsibilities', 'handoffs'];
+
+// Agent identifiers as written in the agent files: api_agent, vue-agent, aws_cloud_architect
+const AGENT_ID = /^[a-z][\w-]*[_-][\w-]+$/i;
+const HANDOFF_LINE = /\b(escalate|hand(?:s|ed)?[\s-]?off|hand(?:s|ed)? over|delegate)s?\b/i;
+
+function normalizeHeading(text) {
+  return text
+    .replace(/[*`]/g, '')
+    .replace(/^[\d.]+\s*/, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Strip inline markdown from a line of text
+ */
+function plainText(text) {
+  return text
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/, '')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .trim();
+}
+
+/**
+ * Split the markdown body into title, intro and `##` sections (with line numbers).
+ * Fenced code blocks are kept inside their section and never treated as headings.
+ */
+function splitSections(body) {
+  const lines = body.split('\n');
+  const sections = [];
+  const intro = [];
+  let title = null;
+  let current = null;
+  let inFence = false;
+
+  lines.forEach((line, i) => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,2})\s+(.*)$/);
+    if (heading && heading[1] === '#' && !title && !current) {
+      title = plainText(heading[2]);
+      return;
+    }
+    if (heading && heading[1] === '##') {
+      current = { heading: heading[2].trim(), key: normalizeHeading(heading[2]), line: i + 1, lines: [] };
+      sections.push(current);
+      return;
+    }
+    (current ? current.lines : intro).push({ text: line, line: i + 1, inFence });
+  });
+
+  return { title, intro, sections };
+}
+
+function sectionsFor(sections, field) {
+  return sections.filter(section => SECTION_PATTERNS[field].some(pattern => pattern.test(section.key)));
+}
+
+/**
+ * Top-level bullets of a section (continuation lines and nested bullets are folded in)
+ */
+function bullets(section) {
+  const items = [];
+  for (const { text, inFence } of section.lines) {
+    if (inFence) continue;
+    if (/^[-*+]\s+/.test(text)) {
+      items.push(plainText(text));
+    } else if (/^\s{2,}\S/.test(text) && items.length && !/^\s+[-*+]\s/.test(text)) {
+      items[items.length - 1] += ` ${text.trim()}`;
+    }
+  }
+  return items.filter(Boolean);
+}
+
+/**
+ * First paragraph of prose in a list of lines
+ */
+function firstParagraph(lines) {
+  const paragraph = [];
+  for (const { text, inFence } of lines) {
+    if (inFence || /^\s*([-*+]|\||#|---)/.test(text)) {
+      if (paragraph.length) break;
+      continue;
+    }
+    if (!text.trim()) {
+      if (paragraph.length) break;
+      continue;
+    }
+    paragraph.push(text.trim());
+  }
+  return paragraph.length ? plainText(paragraph.join(' ')) || null : null;
+}
+
+/**
+ * Agent identifiers mentioned on a line: bold or code spans, `### With x`, `@x`, first table cell
+ */
+function agentMentions(text) {
+  const candidates = [
+    ...[...text.matchAll(/\*\*([^*]+)\*\*/g)].map(m => m[1]),
+    ...[...text.matchAll(/`([^`]+)`/g)].map(m => m[1]),
+    ...[...text.matchAll(/@([\w-]+)/g)].map(m => m[1])
+  ];
+  const withHeading = text.match(/^#{3,}\s+With\s+([\w-]+)/i);
+  if (withHeading) candidates.push(withHeading[1]);
+  const tableCell = text.match(/^\|\s*\**([\w-]+)\**\s*\|/);
+  if (tableCell) candidates.push(tableCell[1]);
+
+  return [...new Set(candidates.map(c => c.trim().replace(/:$/, '')).filter(c => AGENT_ID.test(c)))];
+}
+
+/**
+ * Collaborating agents named in collaboration sections, with the line that names them
+ */
+function collaborationsFrom(sections, selfNames) {
+  const found = new Map();
+  for (const section of sections) {
+    for (const { text, inFence } of section.lines) {
+      for (const agent of agentMentions(text)) {
+        const key = agent.toLowerCase().replace(/-/g, '_');
+        if (selfNames.has(key) || found.has(key)) continue;
+        const note = inFence || /^#/.test(text) ? undefined : plainText(text.replace(/^\|\s*|\s*\|\s*$/g, '').replace(/\s*\|\s*/g, ' - '));
+        found.set(key, { agent, note: note && note !== agent ? note : undefined, section: section.heading });
+      }
+    }
+  }
+  return [...found.values()];
+}
+
+/**
+ * Handoffs: bullets of handoff/escalation sections plus any line that escalates or hands off to a named agent
+ */
+function handoffsFrom(allSections, handoffSections) {
+  const handoffs = [];
+  for (const section of handoffSections) {
+    for (const item of bullets(section)) {
+      handoffs.push({ to: agentMentions(item)[0], note: item, section: section.heading });
+    }
+  }
+  const handoffSet = new Set(handoffSections);
+  for (const section of allSections) {
+    if (handoffSet.has(section)) continue;
+    for (const { text, line, inFence } of section.lines) {
+      if (inFence || !HANDOFF_LINE.test(text)) continue;
+      const mentions = agentMentions(text);
+      if (!mentions.length) continue;
+      handoffs.push({ to: mentions[0], note: plainText(text), section: section.heading, line });
+    }
+  }
+  return handoffs.map(h => Object.fromEntries(Object.entries(h).filter(([, v]) => v !== undefined)));
+}
+
+/**
+ * Parse the structured parts of an agent markdown body
+ *
+ * selfNames: identifiers of the agent itself, excluded from collaborations
+ */
+function parseAgentBody(body, selfNames = []) {
+  const { title, intro, sections } = splitSections(body);
+  const self = new Set(selfNames.map(name => String(name).toLowerCase().replace(/-/g, '_')));
+  const found = Object.fromEntries(Object.keys(SECTION_PATTERNS).map(field => [field, sectionsFor(sections, field)]));
+  const sources = {};
+
+  let role = null;
+  if (found.role.length) {
+    const [section] = found.role;
+    role = firstParagraph(section.lines) || bullets(section).join('; ') || null;
+    sources.role = section.heading;
+  } else {
+    role = firstParagraph(intro);
+    if (role) sources.role = 'introduction';
+  }
+
+  let expertise = found.expertise.flatMap(bullets);
+  if (expertise.length) {
+    sources.expertise = found.expertise.map(section => section.heading).join(', ');
+  } else if (found.role.length && !firstParagraph(found.role[0].lines) && bullets(found.role[0]).length) {
+    // Bullet-only "Your role" sections list what the agent is expert in
+    expertise = bullets(found.role[0]);
+    sources.expertise = found.role[0].heading;
+  }
+
+  return {
+    title,
+    role,
+    expertise,
+    responsibilities: found.responsibilities.flatMap(bullets),
+    collaborations: collaborationsFrom(found.collaborations, self),
+    handoffs: handoffsFrom(sections, found.handoffs),
+    sections: sections.map(section => ({ heading: section.heading, line: section.line })),
+    missingSections: REQUIRED_SECTIONS.filter(field => !found[field].length),
+    missingOptionalSections: OPTIONAL_SECTIONS.filter(field => !found[field].length),
+    sources
+  };
+}
+
+module.exports = {
+  SECTION_PATTERNS,
+  REQUIRED_SECTIONS,
+  OPTIONAL_SECTIONS,
+  parseAgentBody,
+  splitSections
+};
@@ -0,0 +1,165 @@
+/**
+ * `applyTo` glob matching for instruction files
+ *
+ * An instruction's frontmatter `applyTo` is a glob, a comma-separated list of globs
+ * or a YAML list. Globs starting with `!` exclude files. Paths are matched relative
+ * to the project root with `/` separators:
+ * - `**` matches any number of directories, `*` anything within one segment, `?` one character
+ * - `{a,b}` alternatives and `[abc]` character classes
+ * - a glob without `/` is matched against the file name, so `*` and `*.java` apply anywhere
+ *
+ * Matching instructions are ordered by an optional numeric frontmatter `priority`
+ * (higher first), then by how specific the matching glob is.
+ */
+
+/**
+ * Split an applyTo value into globs: [{ glob, negated }]
+ */
+function parseApplyTo(value) {
+  const items = Array.isArray(value) ? value : String(value === undefined || value === null ? '' : value).split(',');
+  const globs = [];
+  for (const item of items) {
+    // Commas inside {a,b} belong to the glob; rejoin pieces split there
+    const text = String(item).trim();
+    if (!text) continue;
+    const previous = globs[globs.length - 1];
+    if (previous && (previous.raw.match(/\{/g) || []).length > (previous.raw.match(/\}/g) || []).length) {
+      previous.raw += `,${text}`;
+      continue;
+    }
+    globs.push({ raw: text });
+  }
+  return globs.map(({ raw }) => ({
+    glob: raw.replace(/^!/, '').trim(),
+    negated: raw.startsWith('!')
+  }));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|\\/]/g, '\\$&');
+}
+
+/**
+ * Compile a glob to a RegExp over a `/`-separated relative path
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        i++;
+        if (atSegmentStart && glob[i + 1] === '/') {
+          // "**/" matches zero or more directories
+          pattern += '(?:[^/]*/)*';
+          i++;
+        } else {
+          pattern += '.*';
+        }
+      } else {
+        pattern += '[^/]*';
+      }
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end < 0) {
+        pattern += '\\{';
+        continue;
+      }
+      const alternatives = glob.slice(i + 1, end).split(',').map(alt => globToRegExp(alt).source.slice(1, -1));
+      pattern += `(?:${alternatives.join('|')})`;
+      i = end;
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end < 0) {
+        pattern += '\\[';
+        continue;
+      }
+      pattern += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      pattern += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Path relative to the project root with `/` separators
+ */
+function normalizePath(filePath, projectRoot) {
+  let normalized = String(filePath).replace(/\\/g, '/');
+  const root = projectRoot ? String(projectRoot).replace(/\\/g, '/').replace(/\/$/, '') : null;
+  if (root && normalized.startsWith(`${root}/`)) normalized = normalized.slice(root.length + 1);
+  return normalized.replace(/^\.\//, '').replace(/^\//, '');
+}
+
+function globMatches(glob, relativePath) {
+  const target = glob.includes('/') ? relativePath : relativePath.split('/').pop();
+  return globToRegExp(glob).test(target);
+}
+
+/**
+ * How specific a glob is: literal characters count (the shortest `{}` alternative), wildcards do not
+ */
+function specificity(glob) {
+  return glob
+    .replace(/\{([^}]*)\}/g, (_, alternatives) => alternatives.split(',').reduce((a, b) => (b.length < a.length ? b : a)))
+    .replace(/\*\*|[*?]|\[[^\]]*\]/g, '')
+    .replace(/\//g, '')
+    .length;
+}
+
+/**
+ * Match a file against an applyTo value
+ *
+ * Returns { matches, glob, specificity, excludedBy } where glob is the most specific positive glob that matched.
+ */
+function matchApplyTo(applyTo, filePath, projectRoot) {
+  const relativePath = normalizePath(filePath, projectRoot);
+  const globs = parseApplyTo(applyTo);
+  const excludedBy = globs.find(g => g.negated && globMatches(g.glob, relativePath));
+  const positive = globs
+    .filter(g => !g.negated && globMatches(g.glob, relativePath))
+    .map(g => ({ glob: g.glob, specificity: specificity(g.glob) }))
+    .sort((a, b) => b.specificity - a.specificity);
+
+  if (!positive.length) return { matches: false };
+  if (excludedBy) return { matches: false, glob: positive[0].glob, excludedBy: `!${excludedBy.glob}` };
+  return { matches: true, glob: positive[0].glob, specificity: positive[0].specificity };
+}
+
+/**
+ * Instructions that apply to a file, in priority order
+ *
+ * instructions: [{ file, applyTo, priority? }]
+ * Returns { selected: [{ ...instruction, matchedGlob, specificity }], excluded: [{ file, matchedGlob, excludedBy }] }
+ */
+function selectInstructions(instructions, filePath, projectRoot) {
+  const selected = [];
+  const excluded = [];
+  for (const instruction of instructions) {
+    if (instruction.applyTo === undefined || instruction.applyTo === null) continue;
+    const match = matchApplyTo(instruction.applyTo, filePath, projectRoot);
+    if (match.matches) {
+      selected.push({ ...instruction, matchedGlob: match.glob, specificity: match.specificity });
+    } else if (match.excludedBy) {
+      excluded.push({ file: instruction.file, matchedGlob: match.glob, excludedBy: match.excludedBy });
+    }
+  }
+  selected.sort((a, b) =>
+    (Number(b.priority) || 0) - (Number(a.priority) || 0) ||
+    b.specificity - a.specificity ||
+    a.file.localeCompare(b.file));
+  return { selected, excluded };
+}
+
+module.exports = {
+  parseApplyTo,
+  globToRegExp,
+  normalizePath,
+  matchApplyTo,
+  selectInstructions
+};
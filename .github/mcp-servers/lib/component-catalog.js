@@ -0,0 +1,205 @@
+/**
+ * Moqui component catalog
+ *
+ * Builds component information from what is actually on disk:
+ * `runtime/component/<name>/component.xml` (name, version, depends-on) and
+ * the entity, service, screen and data directories of each component.
+ * Components named in myaddons.xml or an expected list but not checked out
+ * are still reported, marked as not present on disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseXmlFile, childrenNamed } = require('./xml-parser.js');
+const { listFilesRecursive } = require('./definition-files.js');
+const { loadEntityIndex } = require('./entity-definitions.js');
+
+/**
+ * Read component.xml, returning null when the component has none
+ */
+function readComponentXml(componentDir) {
+  const componentFile = path.join(componentDir, 'component.xml');
+  if (!fs.existsSync(componentFile)) return null;
+  const root = parseXmlFile(componentFile);
+  return {
+    name: root.attributes.name,
+    version: root.attributes.version,
+    dependsOn: childrenNamed(root, 'depends-on').map(dep => ({
+      name: dep.attributes.name,
+      version: dep.attributes.version
+    }))
+  };
+}
+
+/**
+ * Read component declarations from an addons file (addons.xml / myaddons.xml)
+ */
+function readAddonsFile(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const root = parseXmlFile(filePath);
+  return childrenNamed(root, 'component').map(c => ({
+    name: c.attributes.name,
+    group: c.attributes.group,
+    version: c.attributes.version,
+    branch: c.attributes.branch
+  }));
+}
+
+/**
+ * Service names defined in a component's service directory
+ */
+function scanServices(serviceDir, errors, projectRoot) {
+  const services = [];
+  for (const filePath of listFilesRecursive(serviceDir, name => name.endsWith('.xml'))) {
+    let root;
+    try {
+      root = parseXmlFile(filePath);
+    } catch (e) {
+      errors.push({ file: path.relative(projectRoot, filePath), error: e.message });
+      continue;
+    }
+    if (root.name !== 'services') continue;
+    const servicePath = path.relative(serviceDir, filePath).replace(/\.xml$/, '').split(path.sep).join('.');
+    for (const service of childrenNamed(root, 'service')) {
+      const { verb, noun } = service.attributes;
+      services.push(noun ? `${servicePath}.${verb}#${noun}` : `${servicePath}.${verb}`);
+    }
+  }
+  return services;
+}
+
+/**
+ * Build information for a single component directory
+ */
+function scanComponent(projectRoot, componentDir, errors) {
+  const relativeDir = path.relative(projectRoot, componentDir);
+  let componentXml = null;
+  try {
+    componentXml = readComponentXml(componentDir);
+  } catch (e) {
+    errors.push({ file: path.join(relativeDir, 'component.xml'), error: e.message });
+  }
+
+  const entityIndex = loadEntityIndex(projectRoot, path.join(relativeDir, 'entity'));
+  errors.push(...entityIndex.errors);
+
+  const screenDir = path.join(componentDir, 'screen');
+  const dataDir = path.join(componentDir, 'data');
+
+  return {
+    name: (componentXml && componentXml.name) || path.basename(componentDir),
+    directory: relativeDir,
+    hasComponentXml: Boolean(componentXml),
+    version: componentXml ? componentXml.version : undefined,
+    dependsOn: componentXml ? componentXml.dependsOn : [],
+    entities: [...entityIndex.entities.keys()].sort(),
+    extendedEntities: [...entityIndex.extensions.keys()].sort(),
+    services: scanServices(path.join(componentDir, 'service'), errors, projectRoot).sort(),
+    screens: listFilesRecursive(screenDir, name => name.endsWith('.xml'))
+      .map(file => path.relative(screenDir, file)),
+    dataFiles: listFilesRecursive(dataDir, name => name.endsWith('.xml'))
+      .map(file => path.relative(dataDir, file))
+  };
+}
+
+/**
+ * Load the component catalog
+ *
+ * options:
+ * - projectRoot: absolute project root
+ * - componentsPath: components directory relative to the root (default runtime/component)
+ * - expectedComponents: names that should exist even if not checked out
+ * - annotations: { name: { tier, description, entities, dependencies } } used
+ *   to annotate components and as a fallback when component.xml is missing
+ */
+function loadComponentCatalog(options) {
+  const {
+    projectRoot,
+    componentsPath = 'runtime/component',
+    expectedComponents = [],
+    annotations = {}
+  } = options;
+
+  const errors = [];
+  const componentsDir = path.join(projectRoot, componentsPath);
+  const components = new Map();
+
+  let addons = [];
+  try {
+    addons = readAddonsFile(path.join(projectRoot, 'myaddons.xml'));
+  } catch (e) {
+    errors.push({ file: 'myaddons.xml', error: e.message });
+  }
+  const addonNames = new Set(addons.map(a => a.name));
+
+  // addons.xml lists known open source components that can be fetched but are not used unless named in myaddons.xml
+  let knownAddons = [];
+  try {
+    knownAddons = readAddonsFile(path.join(projectRoot, 'addons.xml'));
+  } catch (e) {
+    errors.push({ file: 'addons.xml', error: e.message });
+  }
+
+  if (fs.existsSync(componentsDir)) {
+    for (const entry of fs.readdirSync(componentsDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const scanned = scanComponent(projectRoot, path.join(componentsDir, entry.name), errors);
+      components.set(scanned.name, { ...scanned, onDisk: true });
+    }
+  }
+
+  const declaredOnly = new Set([...expectedComponents, ...addonNames, ...Object.keys(annotations)]);
+  for (const name of declaredOnly) {
+    if (components.has(name)) continue;
+    components.set(name, {
+      name,
+      directory: path.join(componentsPath, name),
+      hasComponentXml: false,
+      onDisk: false,
+      dependsOn: [],
+      entities: [],
+      extendedEntities: [],
+      services: [],
+      screens: [],
+      dataFiles: []
+    });
+  }
+
+  for (const component of components.values()) {
+    const annotation = annotations[component.name] || {};
+    component.tier = annotation.tier || (component.name.startsWith('durion-') ? 'unclassified' : 'external');
+    component.description = annotation.description;
+    component.declaredInAddons = addonNames.has(component.name);
+    component.expected = expectedComponents.includes(component.name);
+
+    if (component.hasComponentXml) {
+      component.dependencies = component.dependsOn.map(dep => dep.name);
+      component.dependencySource = 'component.xml';
+    } else if (annotation.dependencies) {
+      component.dependencies = [...annotation.dependencies];
+      component.dependencySource = 'annotation';
+    } else {
+      component.dependencies = [];
+      component.dependencySource = 'none';
+    }
+
+    if (!component.onDisk && annotation.entities && annotation.entities.length) {
+      component.annotatedEntities = [...annotation.entities];
+    }
+  }
+
+  return {
+    componentsDir: path.relative(projectRoot, componentsDir),
+    componentsDirExists: fs.existsSync(componentsDir),
+    addons,
+    knownAddons,
+    components,
+    errors
+  };
+}
+
+module.exports = {
+  loadComponentCatalog,
+  readAddonsFile,
+  readComponentXml
+};
@@ -0,0 +1,236 @@
+/**
+ * Project root and settings shared by the MCP servers
+ *
+ * Settings are read from `config/mcp-servers.json` (or the file MOQUI_MCP_CONFIG names); each one can be
+ * overridden by its environment variable, and falls back to the built-in default when neither sets it.
+ *
+ * The project root is, in order: MOQUI_PROJECT_ROOT, `projectRoot` of the config file (relative to the
+ * file), or the nearest directory above the servers, then above the working directory, that holds
+ * MoquiInit.properties (else settings.gradle). Paths are relative to the root; the entity and service
+ * definition paths are lists of patterns where `*` matches a directory name (lib/definition-files.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveDefinitionDirs } = require('./definition-files.js');
+
+const SERVERS_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(SERVERS_DIR, 'config', 'mcp-servers.json');
+const ROOT_MARKERS = ['MoquiInit.properties', 'settings.gradle'];
+
+/**
+ * Path settings: default and environment variable
+ */
+const PATHS = {
+  agents: { env: 'AGENTS_PATH', default: '.github/agents' },
+  instructions: { env: 'INSTRUCTIONS_PATH', default: '.github/instructions' },
+  prompts: { env: 'PROMPTS_PATH', default: '.github/prompts' },
+  documentation: { env: 'DOCUMENTATION_PATH', default: '.github/docs' },
+  components: { env: 'MOQUI_COMPONENTS_PATH', default: 'runtime/component' },
+  framework: { env: 'MOQUI_FRAMEWORK_PATH', default: 'framework' },
+  xsd: { env: 'MOQUI_XSD_PATH', default: 'framework/xsd' },
+  entityDefinitions: { env: 'ENTITY_DEFINITIONS_PATH', default: 'framework/entity,runtime/component/*/entity', patterns: true },
+  serviceDefinitions: { env: 'SERVICE_DEFINITIONS_PATH', default: 'framework/service,runtime/component/*/service', patterns: true }
+};
+
+/**
+ * Budget settings (positive integers): default and environment variable
+ */
+const BUDGETS = {
+  contextTokens: { env: 'MCP_CONTEXT_BUDGET', default: 6000, description: 'Tokens for instructions, docs and agent guides' },
+  schemaExcerptChars: { env: 'MCP_SCHEMA_EXCERPT_CHARS', default: 6000, description: 'Characters of XSD excerpt added for Moqui XML files' },
+  bundleDocs: { env: 'MCP_BUNDLE_DOCS', default: 3, description: 'Reference docs offered to a context bundle' }
+};
+
+const TOP_LEVEL_KEYS = ['projectRoot', 'paths', 'budgets', 'durionComponents', 'gateway'];
+
+function splitList(value) {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Nearest directory at or above `start` holding one of the markers, trying the markers in order
+ */
+function findProjectRoot(start, markers = ROOT_MARKERS) {
+  for (const marker of markers) {
+    let dir = path.resolve(start);
+    for (;;) {
+      if (fs.existsSync(path.join(dir, marker))) return { root: dir, marker };
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+  }
+  return null;
+}
+
+function readConfigFile(file, errors) {
+  if (!fs.existsSync(file)) {
+    if (file !== DEFAULT_CONFIG_FILE) errors.push(`Config file not found: ${file}`);
+    return {};
+  }
+  try {
+    const settings = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push(`${path.basename(file)}: expected a JSON object`);
+      return {};
+    }
+    return settings;
+  } catch (e) {
+    errors.push(`${path.basename(file)}: ${e.message}`);
+    return {};
+  }
+}
+
+function unknownKeys(object, known, where, errors) {
+  for (const key of Object.keys(object || {})) {
+    if (!known.includes(key)) errors.push(`Unknown setting "${where}${key}"`);
+  }
+}
+
+function locateRoot(settings, file, env) {
+  if (env.MOQUI_PROJECT_ROOT) {
+    return { root: path.resolve(env.MOQUI_PROJECT_ROOT), source: 'MOQUI_PROJECT_ROOT' };
+  }
+  if (settings.projectRoot) {
+    return { root: path.resolve(path.dirname(file), settings.projectRoot), source: `projectRoot in ${path.basename(file)}` };
+  }
+  for (const [start, from] of [[SERVERS_DIR, 'the servers directory'], [process.cwd(), 'the working directory']]) {
+    const found = findProjectRoot(start);
+    if (found) return { root: found.root, source: `${found.marker} found above ${from}` };
+  }
+  return {
+    root: process.cwd(),
+    source: 'working directory',
+    error: `No ${ROOT_MARKERS.join(' or ')} found above ${SERVERS_DIR} or ${process.cwd()}; set MOQUI_PROJECT_ROOT`
+  };
+}
+
+/**
+ * Load the settings. Returns { file, projectRoot, rootSource, paths, budgets, durionComponents, gateway,
+ * sources, errors }: paths are relative to projectRoot (pattern lists comma-separated), sources names
+ * where each setting came from and errors lists problems with the file or the overrides.
+ */
+function loadConfig({ file, env = process.env } = {}) {
+  const configFile = path.resolve(file || env.MOQUI_MCP_CONFIG || DEFAULT_CONFIG_FILE);
+  const errors = [];
+  const settings = readConfigFile(configFile, errors);
+  const fileName = path.basename(configFile);
+  unknownKeys(settings, TOP_LEVEL_KEYS, '', errors);
+  unknownKeys(settings.paths, Object.keys(PATHS), 'paths.', errors);
+  unknownKeys(settings.budgets, Object.keys(BUDGETS), 'budgets.', errors);
+
+  const sources = {};
+  const pick = (key, override, fromFile, fallback) => {
+    if (override !== undefined && override !== '') {
+      sources[key] = 'env';
+      return override;
+    }
+    if (fromFile !== undefined && fromFile !== null) {
+      sources[key] = fileName;
+      return fromFile;
+    }
+    sources[key] = 'default';
+    return fallback;
+  };
+
+  const located = locateRoot(settings, configFile, env);
+  if (located.error) errors.push(located.error);
+
+  const paths = {};
+  for (const [name, setting] of Object.entries(PATHS)) {
+    const value = pick(`paths.${name}`, env[setting.env], (settings.paths || {})[name], setting.default);
+    paths[name] = setting.patterns ? splitList(value).join(',') : String(value);
+  }
+
+  const budgets = {};
+  for (const [name, setting] of Object.entries(BUDGETS)) {
+    const value = Number(pick(`budgets.${name}`, env[setting.env], (settings.budgets || {})[name], setting.default));
+    if (Number.isInteger(value) && value > 0) {
+      budgets[name] = value;
+    } else {
+      errors.push(`budgets.${name} must be a positive integer, using ${setting.default}`);
+      sources[`budgets.${name}`] = 'default';
+      budgets[name] = setting.default;
+    }
+  }
+
+  return {
+    file: configFile,
+    projectRoot: located.root,
+    rootSource: located.source,
+    paths,
+    budgets,
+    durionComponents: splitList(pick('durionComponents', env.DURION_COMPONENTS, settings.durionComponents, [])),
+    gateway: settings.gateway || {},
+    sources,
+    errors
+  };
+}
+
+/**
+ * Check the configured root and directories: what each path resolves to and what is missing
+ */
+function validateConfig(config) {
+  const { projectRoot } = config;
+  const rootExists = fs.existsSync(projectRoot) && fs.statSync(projectRoot).isDirectory();
+  const missing = [];
+
+  const paths = Object.entries(PATHS).map(([name, setting]) => {
+    const value = config.paths[name];
+    const entry = { setting: `paths.${name}`, env: setting.env, value, source: config.sources[`paths.${name}`] };
+    if (setting.patterns) {
+      entry.patterns = splitList(value).map(pattern => {
+        const directories = rootExists ? resolveDefinitionDirs(projectRoot, pattern).length : 0;
+        if (!directories) missing.push(pattern);
+        return { pattern, directories };
+      });
+      entry.exists = entry.patterns.some(pattern => pattern.directories > 0);
+    } else {
+      const absolute = path.resolve(projectRoot, value);
+      entry.exists = fs.existsSync(absolute) && fs.statSync(absolute).isDirectory();
+      if (!entry.exists) missing.push(value);
+    }
+    return entry;
+  });
+
+  const componentsDir = path.resolve(projectRoot, config.paths.components);
+  const absentComponents = config.durionComponents.filter(name => !fs.existsSync(path.join(componentsDir, name)));
+
+  return {
+    valid: rootExists && missing.length === 0 && config.errors.length === 0,
+    configFile: fs.existsSync(config.file) ? path.relative(projectRoot, config.file).split(path.sep).join('/') : null,
+    projectRoot: {
+      path: projectRoot,
+      source: config.rootSource,
+      exists: rootExists,
+      markers: ROOT_MARKERS.filter(marker => fs.existsSync(path.join(projectRoot, marker)))
+    },
+    paths,
+    missing,
+    budgets: Object.entries(BUDGETS).map(([name, setting]) => ({
+      setting: `budgets.${name}`,
+      env: setting.env,
+      value: config.budgets[name],
+      source: config.sources[`budgets.${name}`],
+      description: setting.description
+    })),
+    durionComponents: {
+      source: config.sources.durionComponents,
+      expected: config.durionComponents.length,
+      notCheckedOut: absentComponents
+    },
+    errors: config.errors
+  };
+}
+
+module.exports = {
+  ROOT_MARKERS,
+  PATHS,
+  BUDGETS,
+  findProjectRoot,
+  loadConfig,
+  validateConfig
+};
@@ -0,0 +1,167 @@
+/**
+ * Types of lib/context-budget.js, the allocator behind .github/scripts/context-manager.ts
+ */
+
+/**
+ * Pluggable tokenizer, e.g. one from lib/tokenizer.js (createTokenizer)
+ */
+export interface Tokenizer {
+  name: string;
+  exact: boolean;             // false for estimates
+  fallbackReason?: string;    // why an estimate is used instead of the model's vocabulary
+  count(text: string): number;
+  truncate(text: string, maxTokens: number): { text: string; tokens: number };
+}
+
+export interface TokenCounts {
+  estimated: number;          // 4 chars per token
+  exact: number | null;       // from the tokenizer; null when it only estimates
+}
+
+export type ContentType = 'instructions' | 'docs' | 'agent';
+
+export interface ContextPercents {
+  instructionsPercent: number; // % allocated to instructions (default: 40%)
+  docsPercent: number;        // % allocated to docs (default: 30%)
+  agentPercent: number;       // % allocated to agent guides (default: 20%)
+  responsePercent: number;    // % reserved for response (default: 10%)
+}
+
+export type PresetName = 'BALANCED' | 'DOCUMENTATION' | 'AGENT_FOCUSED' | 'LEARNING' | 'RESPONSE_FOCUSED' | 'GENEROUS' | 'MINIMAL';
+
+export interface ContextConfig extends ContextPercents {
+  totalBudget: number;        // Total tokens available
+  tokenizer?: Tokenizer;      // counts tokens (default: the tokenizer for `model`)
+  model?: string;             // target model (default: MCP_TOKENIZER_MODEL or gpt-4o)
+}
+
+export type ContextManagerOptions = Partial<ContextConfig> & { preset?: PresetName };
+
+export interface ContextAllocation {
+  instructions: number;
+  docs: number;
+  agent: number;
+  reserved: number;
+  total: number;
+}
+
+export interface ContentPriority {
+  type: ContentType;
+  priority: number; // 1 = highest, 3 = lowest
+}
+
+export interface TruncationResult {
+  content: string;
+  original: {
+    length: number;
+    tokens: number;
+    counts: TokenCounts;
+  };
+  truncated: {
+    length: number;
+    tokens: number;
+    counts: TokenCounts;
+  };
+  wasTruncated: boolean;
+  percentRetained: number;
+}
+
+export interface OutlineEntry {
+  heading: string;
+  headingPath: string[];
+  level: number;
+  line: number;
+  tokens: number;
+  folded?: number;            // deeper omitted headings counted in this entry (and in its tokens)
+  partial?: true;             // kept in part; the rest is fetched with get_document_section
+}
+
+export interface SectionsTaken {
+  content: string;
+  truncated: boolean;
+  tokens: TokenCounts;
+  outline: OutlineEntry[] | undefined;
+}
+
+export interface BundleItem {
+  content: string;
+  query?: string;            // ranks the sections to keep (default: the task)
+  [metadata: string]: unknown;
+}
+
+export interface BundleCategory {
+  priority: number;
+  allocated: number;
+  carriedOver: number;       // unused tokens of the categories filled before
+  available: number;
+  used: number;
+  unused: number;
+  truncated: number;
+  items: Array<Record<string, unknown> & SectionsTaken>;
+  omitted: Array<Record<string, unknown> & { tokens: TokenCounts }>;
+}
+
+export interface ContextBundle {
+  task: string;
+  order: ContentType[];
+  allocation: ContextAllocation;
+  categories: Record<ContentType, BundleCategory>;
+  totals: { budget: number; reserved: number; used: number; remaining: number };
+}
+
+export interface FillBundleOptions {
+  task?: string;
+  sources: Partial<Record<ContentType, BundleItem[]>>;
+  weightByTask?: boolean;
+}
+
+export interface ContextSummary {
+  config: { totalBudget: number } & ContextPercents;
+  tokenizer: { name: string; exact: boolean };
+  allocation: ContextAllocation;
+  breakdown: Record<ContentType | 'reserved', string>;
+  charLimits: Record<ContentType, number>;
+}
+
+/**
+ * Budget allocator for one request, as returned by createContextManager
+ */
+export interface ContextBudgetManager {
+  tokenizer: Tokenizer;
+  getAllocation(): ContextAllocation;
+  getBudgetFor(type: ContentType): number;
+  getRemaining(used: number, type: ContentType): number;
+  estimateTokens(content: string): number;
+  countTokens(content: string): TokenCounts;
+  getCharLimit(tokens: number): number;
+  fits(content: string, budget: number): boolean;
+  suggestPriority(task?: string): ContentPriority[];
+  allocateByPriority(task: string): ContextAllocation;
+  truncate(content: string, budget: number): TruncationResult;
+  getSummary(): ContextSummary;
+  fillBundle(options?: FillBundleOptions): ContextBundle;
+}
+
+/**
+ * Token and character budget from lib/tokenizer.js (createBudget)
+ */
+export interface Budget {
+  readonly remainingTokens: number;
+  readonly remainingChars: number;
+  exhausted(): boolean;
+  take(text: string, options?: { marker?: string }): { text: string; tokens: number; truncated: boolean };
+  usage(): { tokens: number; chars: number; maxTokens: number; maxChars: number | undefined };
+}
+
+export const CATEGORIES: ContentType[];
+export const DEFAULT_BUDGET: number;
+export const MIN_SECTION_TOKENS: number;
+export const PRESETS: Record<PresetName, ContextPercents>;
+
+export function resolvePercents(options?: Partial<ContextPercents> & { preset?: string }): ContextPercents;
+export function allocate(totalBudget: number, percents: ContextPercents): ContextAllocation;
+export function suggestPriority(task?: string): ContentPriority[];
+export function allocateByPriority(totalBudget: number, task: string, percents: ContextPercents): ContextAllocation;
+export function takeSections(budget: Budget, tokenizer: Tokenizer, content: string, query?: string, lineOffset?: number, fetchWith?: string): SectionsTaken | null;
+export function fitToBudget(content: string, options?: { maxTokens?: number; model?: string; query?: string; lineOffset?: number; fetchWith?: string }): SectionsTaken | null;
+export function createContextManager(config?: ContextManagerOptions): ContextBudgetManager;
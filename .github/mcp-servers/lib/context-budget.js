@@ -0,0 +1,293 @@
+/**
+ * Context budget allocation shared by the MCP servers
+ *
+ * The allocator behind .github/scripts/context-manager.ts. A total token budget is split between
+ * instructions, docs and agent guidance by a preset (BALANCED: 40/30/20 with 10% reserved for the
+ * response) or weighted by a task (allocateByPriority). fillBundle fills the categories in priority
+ * order; what one category leaves unused carries over to the next. Markdown is taken section by
+ * section (lib/section-truncate.js), so a file over budget keeps its most relevant sections and an
+ * outline of the rest, and each category reports what it was given, used and left out.
+ */
+
+const { createTokenizer, tokenCounts, createBudget } = require('./tokenizer.js');
+const { fitMarkdown } = require('./section-truncate.js');
+
+const CATEGORIES = ['instructions', 'docs', 'agent'];
+const DEFAULT_BUDGET = 6000;
+
+// Below this many tokens a file is omitted rather than reduced to an outline
+const MIN_SECTION_TOKENS = 100;
+
+// Share of the available budget for the first, second and third priority (allocateByPriority)
+const PRIORITY_WEIGHTS = [0.5, 0.35, 0.15];
+
+const TRUNCATED = '\n\n[... content truncated to fit context budget ...]';
+
+/**
+ * Preset splits (percent of the total budget)
+ */
+const PRESETS = {
+  // Default balanced approach
+  BALANCED: { instructionsPercent: 40, docsPercent: 30, agentPercent: 20, responsePercent: 10 },
+  // Heavy documentation focus
+  DOCUMENTATION: { instructionsPercent: 30, docsPercent: 50, agentPercent: 10, responsePercent: 10 },
+  // Agent-heavy for complex guidance
+  AGENT_FOCUSED: { instructionsPercent: 20, docsPercent: 20, agentPercent: 50, responsePercent: 10 },
+  // Instruction-heavy for learning/implementation
+  LEARNING: { instructionsPercent: 60, docsPercent: 20, agentPercent: 10, responsePercent: 10 },
+  // Minimal context, maximize response
+  RESPONSE_FOCUSED: { instructionsPercent: 20, docsPercent: 20, agentPercent: 20, responsePercent: 40 },
+  // High token budget (8000 tokens)
+  GENEROUS: { instructionsPercent: 40, docsPercent: 30, agentPercent: 20, responsePercent: 10 },
+  // Low token budget (2000 tokens)
+  MINIMAL: { instructionsPercent: 40, docsPercent: 30, agentPercent: 20, responsePercent: 10 }
+};
+
+/**
+ * Percentages from a preset name and explicit overrides, scaled to total 100
+ */
+function resolvePercents({ preset = 'BALANCED', ...overrides } = {}) {
+  const base = PRESETS[String(preset).toUpperCase()];
+  if (!base) {
+    throw new Error(`Unknown context preset "${preset}". Available: ${Object.keys(PRESETS).join(', ')}`);
+  }
+  const percents = { ...base };
+  for (const key of Object.keys(base)) {
+    if (overrides[key] !== undefined) percents[key] = Number(overrides[key]);
+  }
+  const total = Object.values(percents).reduce((sum, value) => sum + value, 0);
+  if (!(total > 0)) throw new Error('Context allocation percentages must total more than 0');
+  if (Math.abs(total - 100) > 1) {
+    for (const key of Object.keys(percents)) percents[key] *= 100 / total;
+  }
+  return percents;
+}
+
+/**
+ * Token allocation per category: { instructions, docs, agent, reserved, total }
+ */
+function allocate(totalBudget, percents) {
+  return {
+    instructions: Math.floor(totalBudget * (percents.instructionsPercent / 100)),
+    docs: Math.floor(totalBudget * (percents.docsPercent / 100)),
+    agent: Math.floor(totalBudget * (percents.agentPercent / 100)),
+    reserved: Math.floor(totalBudget * (percents.responsePercent / 100)),
+    total: totalBudget
+  };
+}
+
+/**
+ * Content types in priority order for a task: [{ type, priority }], 1 = highest
+ */
+function suggestPriority(task = '') {
+  const taskLower = String(task).toLowerCase();
+  let priorities = { instructions: 1, docs: 2, agent: 3 };
+
+  // Later matches win, as in the original keyword table
+  if (/api|rest|endpoint/.test(taskLower)) priorities = { agent: 1, instructions: 2, docs: 3 };
+  if (/security|auth|owasp/.test(taskLower)) priorities = { instructions: 1, docs: 2, agent: 3 };
+  if (/performance|optimize/.test(taskLower)) priorities = { docs: 1, instructions: 2, agent: 3 };
+  if (/test|spec/.test(taskLower)) priorities = { instructions: 1, docs: 2, agent: 3 };
+  if (/architecture|design/.test(taskLower)) priorities = { agent: 1, docs: 2, instructions: 3 };
+
+  return CATEGORIES
+    .map(type => ({ type, priority: priorities[type] }))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Allocation weighted for a task: 50% of the non-reserved budget to the first priority, 35% and 15% to the others
+ */
+function allocateByPriority(totalBudget, task, percents) {
+  const base = allocate(totalBudget, percents);
+  const available = base.total - base.reserved;
+  const allocation = { instructions: 0, docs: 0, agent: 0, reserved: base.reserved, total: base.total };
+  suggestPriority(task).forEach(({ type }, index) => {
+    allocation[type] = Math.floor(available * PRIORITY_WEIGHTS[index]);
+  });
+  return allocation;
+}
+
+/**
+ * Take a markdown file from a budget section by section: the sections most relevant to the query
+ * are kept whole and the rest are listed in an outline (fetch them with fetchWith, by default
+ * get_document_section).
+ * Returns { content, truncated, tokens, outline } or null when the budget has no room left.
+ */
+function takeSections(budget, tokenizer, content, query = '', lineOffset = 0, fetchWith) {
+  if (budget.remainingTokens < MIN_SECTION_TOKENS || budget.remainingChars < MIN_SECTION_TOKENS) return null;
+  const fitted = fitMarkdown(content, {
+    tokenizer,
+    maxTokens: budget.remainingTokens,
+    maxChars: budget.remainingChars,
+    query,
+    lineOffset,
+    fetchWith
+  });
+  const taken = budget.take(fitted.text);
+  return {
+    content: taken.text,
+    truncated: fitted.truncated || taken.truncated,
+    tokens: tokenCounts(tokenizer, taken.text),
+    outline: fitted.truncated ? fitted.outline : undefined
+  };
+}
+
+/**
+ * Fit one markdown file (or an excerpt starting at line lineOffset + 1) into maxTokens, for tools that
+ * return a single file. Without maxTokens the content is returned whole.
+ */
+function fitToBudget(content, { maxTokens, model, query = '', lineOffset = 0, fetchWith } = {}) {
+  const tokenizer = createTokenizer({ model });
+  if (!maxTokens) {
+    return { content, truncated: false, tokens: tokenCounts(tokenizer, content), outline: undefined };
+  }
+  const budget = createBudget(tokenizer, { maxTokens: Math.max(maxTokens, MIN_SECTION_TOKENS) });
+  return takeSections(budget, tokenizer, content, query, lineOffset, fetchWith);
+}
+
+/**
+ * Budget allocator for one request
+ *
+ * config: { totalBudget, preset, instructionsPercent, docsPercent, agentPercent, responsePercent,
+ * tokenizer | model }. Method names follow the ContextManager class of context-manager.ts.
+ */
+function createContextManager(config = {}) {
+  const totalBudget = config.totalBudget || DEFAULT_BUDGET;
+  const percents = resolvePercents(config);
+  const tokenizer = config.tokenizer || createTokenizer({ model: config.model });
+  const allocation = allocate(totalBudget, percents);
+
+  const manager = {
+    tokenizer,
+    getAllocation: () => ({ ...allocation }),
+    getBudgetFor: type => allocation[type],
+    getRemaining: (used, type) => Math.max(0, allocation[type] - used),
+    estimateTokens: content => tokenizer.count(content),
+    countTokens: content => tokenCounts(tokenizer, content),
+    getCharLimit: tokens => tokens * 4,
+    fits: (content, budget) => tokenizer.count(content) <= budget,
+    suggestPriority,
+    allocateByPriority: task => allocateByPriority(totalBudget, task, percents),
+
+    /**
+     * Plain-text truncation at the budget, backed up to a sentence, line or heading boundary in the
+     * last 30%; markdown is better served by takeSections
+     */
+    truncate(content, budget) {
+      const originalCounts = tokenCounts(tokenizer, content);
+      const original = { length: content.length, tokens: tokenizer.count(content), counts: originalCounts };
+      if (original.tokens <= budget) {
+        return { content, original, truncated: original, wasTruncated: false, percentRetained: 100 };
+      }
+
+      let truncated = tokenizer.truncate(content, budget).text;
+      const lastGoodPoint = Math.max(truncated.lastIndexOf('.'), truncated.lastIndexOf('\n'), truncated.lastIndexOf('#'));
+      if (lastGoodPoint > truncated.length * 0.7) truncated = content.substring(0, lastGoodPoint + 1);
+
+      return {
+        content: truncated + TRUNCATED,
+        original,
+        truncated: { length: truncated.length, tokens: tokenizer.count(truncated), counts: tokenCounts(tokenizer, truncated) },
+        wasTruncated: true,
+        percentRetained: Math.round((truncated.length / content.length) * 100)
+      };
+    },
+
+    getSummary() {
+      return {
+        config: { totalBudget, ...percents },
+        tokenizer: { name: tokenizer.name, exact: tokenizer.exact },
+        allocation,
+        breakdown: {
+          instructions: `${percents.instructionsPercent}% (${allocation.instructions} tokens)`,
+          docs: `${percents.docsPercent}% (${allocation.docs} tokens)`,
+          agent: `${percents.agentPercent}% (${allocation.agent} tokens)`,
+          reserved: `${percents.responsePercent}% (${allocation.reserved} tokens)`
+        },
+        charLimits: {
+          instructions: manager.getCharLimit(allocation.instructions),
+          docs: manager.getCharLimit(allocation.docs),
+          agent: manager.getCharLimit(allocation.agent)
+        }
+      };
+    },
+
+    /**
+     * Fill the categories with markdown files in priority order
+     *
+     * sources: { instructions: [item], docs: [item], agent: [item] } with items
+     * { content, query?, ...metadata }, most relevant first. With a task and no explicit preset the
+     * allocation is weighted for the task. A category's unused tokens carry over to the next one.
+     * Returns { task, order, allocation, categories: { [type]: { priority, allocated, carriedOver,
+     * available, used, unused, items, omitted } }, totals }.
+     */
+    fillBundle({ task = '', sources = {}, weightByTask = !config.preset } = {}) {
+      const order = suggestPriority(task);
+      const bundleAllocation = task && weightByTask ? manager.allocateByPriority(task) : manager.getAllocation();
+      const categories = {};
+      let carry = 0;
+      let used = 0;
+
+      for (const { type, priority } of order) {
+        const available = bundleAllocation[type] + carry;
+        const budget = createBudget(tokenizer, { maxTokens: available });
+        const items = [];
+        const omitted = [];
+
+        for (const { content, query, ...metadata } of sources[type] || []) {
+          const taken = takeSections(budget, tokenizer, content, query === undefined ? task : query);
+          if (!taken) {
+            omitted.push({ ...metadata, tokens: tokenCounts(tokenizer, content) });
+            continue;
+          }
+          items.push({ ...metadata, ...taken });
+        }
+
+        const usage = budget.usage();
+        categories[type] = {
+          priority,
+          allocated: bundleAllocation[type],
+          carriedOver: carry,
+          available,
+          used: usage.tokens,
+          unused: budget.remainingTokens,
+          truncated: items.filter(item => item.truncated).length,
+          items,
+          omitted
+        };
+        carry = budget.remainingTokens;
+        used += usage.tokens;
+      }
+
+      return {
+        task,
+        order: order.map(({ type }) => type),
+        allocation: bundleAllocation,
+        categories,
+        totals: {
+          budget: bundleAllocation.total,
+          reserved: bundleAllocation.reserved,
+          used,
+          remaining: bundleAllocation.total - bundleAllocation.reserved - used
+        }
+      };
+    }
+  };
+
+  return manager;
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_BUDGET,
+  MIN_SECTION_TOKENS,
+  PRESETS,
+  resolvePercents,
+  allocate,
+  suggestPriority,
+  allocateByPriority,
+  takeSections,
+  fitToBudget,
+  createContextManager
+};
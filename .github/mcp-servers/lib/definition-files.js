@@ -0,0 +1,89 @@
+/**
+ * Locate Moqui definition files on disk
+ *
+ * Path specs are comma-separated lists relative to the project root, where a
+ * path segment may be `*` (or contain `*`) to match any directory name, e.g.
+ * `framework/entity,runtime/component/*\/entity`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Convert a single path segment containing `*` into a RegExp
+ */
+function segmentToRegex(segment) {
+  const escaped = segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Expand one relative path pattern into the existing directories it matches
+ */
+function expandPattern(projectRoot, pattern) {
+  const segments = pattern.split(/[\\/]+/).filter(Boolean);
+  let current = [path.resolve(projectRoot)];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const base of current) {
+      if (!segment.includes('*')) {
+        const candidate = path.join(base, segment);
+        if (fs.existsSync(candidate)) next.push(candidate);
+        continue;
+      }
+      if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) continue;
+      const regex = segmentToRegex(segment);
+      for (const entry of fs.readdirSync(base, { withFileTypes: true })) {
+        if (entry.isDirectory() && regex.test(entry.name)) next.push(path.join(base, entry.name));
+      }
+    }
+    current = next;
+  }
+
+  return current.filter(p => fs.statSync(p).isDirectory()).sort();
+}
+
+/**
+ * Resolve a comma-separated path spec into existing directories
+ */
+function resolveDefinitionDirs(projectRoot, spec) {
+  const dirs = new Set();
+  for (const pattern of String(spec || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    for (const dir of expandPattern(projectRoot, pattern)) dirs.add(dir);
+  }
+  return [...dirs];
+}
+
+/**
+ * Recursively list files under a directory matching a predicate
+ */
+function listFilesRecursive(dir, predicate = () => true) {
+  if (!fs.existsSync(dir)) return [];
+  const results = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      results.push(...listFilesRecursive(fullPath, predicate));
+    } else if (predicate(entry.name, fullPath)) {
+      results.push(fullPath);
+    }
+  }
+  return results.sort();
+}
+
+/**
+ * Name of the component a file belongs to, based on the runtime/component layout
+ */
+function componentForPath(projectRoot, filePath) {
+  const relative = path.relative(projectRoot, filePath).split(path.sep);
+  const idx = relative.indexOf('component');
+  if (idx >= 0 && relative[idx + 1]) return relative[idx + 1];
+  return relative[0] === 'framework' ? 'framework' : null;
+}
+
+module.exports = {
+  resolveDefinitionDirs,
+  listFilesRecursive,
+  componentForPath
+};
@@ -0,0 +1,278 @@
+/**
+ * Component dependency graph
+ *
+ * Turns the component catalog into a directed graph (edge A -> B means
+ * "A depends on B") and answers closure, cycle and load-order questions.
+ * Every dependency target is classified by where it is declared so that
+ * components which would never be fetched can be flagged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Placeholder dependency values used in the annotation layer.
+ * `expandTo: 'durion'` expands to every other durion component, `null` adds no edges.
+ */
+const PLACEHOLDER_DEPENDENCIES = {
+  'all-durion-components': { expandTo: 'durion' },
+  'all-durion-components-as-needed': { expandTo: null }
+};
+
+/**
+ * Classify where a component is declared
+ */
+function classifyComponent(name, catalog, projectRoot) {
+  const component = catalog.components.get(name);
+  if (component && component.onDisk) return 'on-disk';
+  if (name === 'framework' && fs.existsSync(path.join(projectRoot, 'framework'))) return 'framework';
+  if (catalog.addons.some(a => a.name === name)) return 'myaddons';
+  if (component && component.expected) return 'expected';
+  if (component) return 'annotation-only';
+  if (catalog.knownAddons.some(a => a.name === name)) return 'addons-only';
+  return 'undeclared';
+}
+
+/**
+ * Build the dependency graph from a component catalog
+ */
+function buildDependencyGraph(catalog, projectRoot) {
+  const nodes = new Map();
+  const placeholders = [];
+  const durionNames = [...catalog.components.keys()].filter(name => name.startsWith('durion-'));
+
+  const ensureNode = (name) => {
+    if (!nodes.has(name)) {
+      const component = catalog.components.get(name);
+      nodes.set(name, {
+        name,
+        tier: component ? component.tier : (name === 'framework' ? 'framework' : 'external'),
+        status: classifyComponent(name, catalog, projectRoot),
+        dependencySource: component ? component.dependencySource : 'none',
+        dependencies: []
+      });
+    }
+    return nodes.get(name);
+  };
+
+  for (const component of catalog.components.values()) {
+    const node = ensureNode(component.name);
+    for (const dependency of component.dependencies) {
+      const placeholder = PLACEHOLDER_DEPENDENCIES[dependency];
+      if (placeholder) {
+        const expandedTo = placeholder.expandTo === 'durion'
+          ? durionNames.filter(name => name !== component.name)
+          : [];
+        placeholders.push({ component: component.name, value: dependency, expandedTo });
+        for (const target of expandedTo) {
+          if (!node.dependencies.includes(target)) node.dependencies.push(target);
+        }
+        continue;
+      }
+      ensureNode(dependency);
+      if (!node.dependencies.includes(dependency)) node.dependencies.push(dependency);
+    }
+  }
+
+  return { nodes, placeholders };
+}
+
+/**
+ * Reverse edges: name -> components that depend on it
+ */
+function dependentsMap(graph) {
+  const dependents = new Map([...graph.nodes.keys()].map(name => [name, []]));
+  for (const node of graph.nodes.values()) {
+    for (const dependency of node.dependencies) {
+      dependents.get(dependency).push(node.name);
+    }
+  }
+  return dependents;
+}
+
+/**
+ * Breadth-first closure from a start node, recording depth and one path per node
+ */
+function closure(start, edgesOf) {
+  const visited = new Map();
+  const queue = [{ name: start, depth: 0, path: [start] }];
+  while (queue.length) {
+    const { name, depth, path: via } = queue.shift();
+    for (const next of edgesOf(name)) {
+      if (next === start || visited.has(next)) continue;
+      const nextPath = [...via, next];
+      visited.set(next, { name: next, depth: depth + 1, path: nextPath });
+      queue.push({ name: next, depth: depth + 1, path: nextPath });
+    }
+  }
+  return [...visited.values()];
+}
+
+/**
+ * All components a component depends on, directly or indirectly
+ */
+function transitiveDependencies(graph, name) {
+  return closure(name, current => graph.nodes.get(current).dependencies);
+}
+
+/**
+ * All components that depend on a component, directly or indirectly
+ */
+function transitiveDependents(graph, name) {
+  const dependents = dependentsMap(graph);
+  return closure(name, current => dependents.get(current) || []);
+}
+
+/**
+ * Strongly connected components (Tarjan), returning only those that form cycles
+ */
+function findCycles(graph) {
+  let counter = 0;
+  const indexOf = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+
+  const strongConnect = (name) => {
+    indexOf.set(name, counter);
+    lowLink.set(name, counter);
+    counter++;
+    stack.push(name);
+    onStack.add(name);
+
+    for (const next of graph.nodes.get(name).dependencies) {
+      if (!indexOf.has(next)) {
+        strongConnect(next);
+        lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(name, Math.min(lowLink.get(name), indexOf.get(next)));
+      }
+    }
+
+    if (lowLink.get(name) === indexOf.get(name)) {
+      const members = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        members.push(member);
+      } while (member !== name);
+
+      const selfLoop = graph.nodes.get(name).dependencies.includes(name);
+      if (members.length > 1 || selfLoop) {
+        cycles.push({ components: members.sort(), example: exampleCycle(graph, members) });
+      }
+    }
+  };
+
+  for (const name of [...graph.nodes.keys()].sort()) {
+    if (!indexOf.has(name)) strongConnect(name);
+  }
+  return cycles;
+}
+
+/**
+ * One concrete cycle path inside a strongly connected component
+ */
+function exampleCycle(graph, members) {
+  const memberSet = new Set(members);
+  const start = [...members].sort()[0];
+  const pathStack = [start];
+  const seen = new Set([start]);
+
+  const search = (current) => {
+    for (const next of graph.nodes.get(current).dependencies) {
+      if (!memberSet.has(next)) continue;
+      if (next === start) return [...pathStack, start];
+      if (seen.has(next)) continue;
+      seen.add(next);
+      pathStack.push(next);
+      const found = search(next);
+      if (found) return found;
+      pathStack.pop();
+    }
+    return null;
+  };
+
+  return search(start) || [start, start];
+}
+
+/**
+ * Topological load order (dependencies first) using Kahn's algorithm.
+ * Components are grouped into levels that can load in any order within the level.
+ * Components on or behind a cycle cannot be ordered and are returned separately.
+ */
+function topologicalOrder(graph, subset = null) {
+  let names = [...graph.nodes.keys()];
+  if (subset) {
+    const included = new Set();
+    for (const name of subset) {
+      included.add(name);
+      for (const dep of transitiveDependencies(graph, name)) included.add(dep.name);
+    }
+    names = names.filter(name => included.has(name));
+  }
+  const nameSet = new Set(names);
+
+  const remaining = new Map(names.map(name => [
+    name,
+    new Set(graph.nodes.get(name).dependencies.filter(dep => nameSet.has(dep) && dep !== name))
+  ]));
+  const levels = [];
+
+  while (true) {
+    const ready = [...remaining.entries()]
+      .filter(([, deps]) => deps.size === 0)
+      .map(([name]) => name)
+      .sort();
+    if (ready.length === 0) break;
+    levels.push(ready);
+    for (const name of ready) remaining.delete(name);
+    for (const deps of remaining.values()) {
+      for (const name of ready) deps.delete(name);
+    }
+  }
+
+  return {
+    order: levels.flat(),
+    levels,
+    unordered: [...remaining.keys()].sort()
+  };
+}
+
+/**
+ * Dependencies that point at components that will not be available
+ */
+function undeclaredDependencies(graph) {
+  const flagged = [];
+  for (const node of graph.nodes.values()) {
+    for (const dependency of node.dependencies) {
+      const target = graph.nodes.get(dependency);
+      if (target.status === 'undeclared' || target.status === 'addons-only' || target.status === 'annotation-only') {
+        flagged.push({
+          component: node.name,
+          dependency,
+          status: target.status,
+          reason: target.status === 'addons-only'
+            ? 'Known in addons.xml but not listed in myaddons.xml or checked out'
+            : target.status === 'annotation-only'
+              ? 'Only known from the annotation map; not checked out, not in myaddons.xml or durionComponents'
+              : 'Not checked out and not declared in myaddons.xml or addons.xml'
+        });
+      }
+    }
+  }
+  return flagged;
+}
+
+module.exports = {
+  PLACEHOLDER_DEPENDENCIES,
+  buildDependencyGraph,
+  dependentsMap,
+  transitiveDependencies,
+  transitiveDependents,
+  findCycles,
+  topologicalOrder,
+  undeclaredDependencies
+};
@@ -0,0 +1,418 @@
+/**
+ * Moqui entity definition index
+ *
+ * Parses entity XML (entity, view-entity, extend-entity) and resolves
+ * entities into their effective shape: extend-entity additions merged in,
+ * implicit relationship key maps filled, and view-entity aliases expanded.
+ */
+
+const path = require('path');
+const { parseXmlFile, childrenNamed, childNamed } = require('./xml-parser.js');
+const { resolveDefinitionDirs, listFilesRecursive, componentForPath } = require('./definition-files.js');
+
+/**
+ * Upper-case the first character (used for alias-all prefixes)
+ */
+function capitalize(value) {
+  return value ? value.charAt(0).toUpperCase() + value.substring(1) : value;
+}
+
+/**
+ * Text of a <description> child, if any
+ */
+function descriptionOf(element) {
+  const description = childNamed(element, 'description');
+  return description ? description.text.trim().replace(/\s+/g, ' ') : undefined;
+}
+
+/**
+ * Convert a <field> element to a plain field definition
+ */
+function parseField(element) {
+  const attrs = element.attributes;
+  return {
+    name: attrs.name,
+    type: attrs.type,
+    isPk: attrs['is-pk'] === 'true',
+    notNull: attrs['not-null'] === 'true' || undefined,
+    default: attrs.default,
+    columnName: attrs['column-name'],
+    encrypt: attrs.encrypt === 'true' || undefined,
+    enableAuditLog: attrs['enable-audit-log'],
+    enableLocalization: attrs['enable-localization'] === 'true' || undefined,
+    description: descriptionOf(element)
+  };
+}
+
+/**
+ * Convert a <relationship> element to a plain relationship definition
+ */
+function parseRelationship(element) {
+  const attrs = element.attributes;
+  return {
+    type: attrs.type,
+    title: attrs.title,
+    related: attrs.related || attrs['related-entity-name'],
+    shortAlias: attrs['short-alias'],
+    fkName: attrs['fk-name'],
+    mutable: attrs.mutable === 'true' || undefined,
+    keyMaps: childrenNamed(element, 'key-map').map(km => ({
+      fieldName: km.attributes['field-name'],
+      // Without a related field name the related entity's field is worked out in resolveKeyMaps
+      related: km.attributes.related || km.attributes['related-field-name']
+    }))
+  };
+}
+
+/**
+ * Convert an <index> element to a plain index definition
+ */
+function parseIndex(element) {
+  return {
+    name: element.attributes.name,
+    unique: element.attributes.unique === 'true',
+    fields: childrenNamed(element, 'index-field').map(f => f.attributes.name)
+  };
+}
+
+/**
+ * Parse the entity-level attributes we expose (everything except name/package)
+ */
+function entityAttributes(element) {
+  const { 'entity-name': _name, package: _pkg, ...rest } = element.attributes;
+  return rest;
+}
+
+/**
+ * Load every entity definition file and build the raw index
+ *
+ * `definitionsPath` is a comma-separated directory spec relative to the
+ * project root (see definition-files.js).
+ */
+function loadEntityIndex(projectRoot, definitionsPath) {
+  const index = {
+    entities: new Map(),     // fullName -> definition (entity or view-entity)
+    extensions: new Map(),   // entity name (full or short) -> [extend-entity definitions]
+    files: [],
+    errors: []
+  };
+
+  const dirs = resolveDefinitionDirs(projectRoot, definitionsPath);
+  const files = dirs.flatMap(dir => listFilesRecursive(dir, name => name.endsWith('.xml')));
+
+  for (const filePath of files) {
+    const relativePath = path.relative(projectRoot, filePath);
+    let root;
+    try {
+      root = parseXmlFile(filePath);
+    } catch (e) {
+      index.errors.push({ file: relativePath, error: e.message });
+      continue;
+    }
+    // Entity ECA files and others share the directory; only <entities> files define entities
+    if (root.name !== 'entities') continue;
+
+    const component = componentForPath(projectRoot, filePath);
+    let count = 0;
+
+    for (const element of root.children) {
+      const source = { file: relativePath, line: element.line, component };
+
+      if (element.name === 'entity' || element.name === 'view-entity') {
+        const entityName = element.attributes['entity-name'];
+        const pkg = element.attributes.package || element.attributes['package-name'] || '';
+        const fullName = pkg ? `${pkg}.${entityName}` : entityName;
+        index.entities.set(fullName, {
+          entityName,
+          package: pkg,
+          fullName,
+          kind: element.name,
+          attributes: entityAttributes(element),
+          description: descriptionOf(element),
+          fields: childrenNamed(element, 'field').map(parseField),
+          relationships: childrenNamed(element, 'relationship').map(parseRelationship),
+          indexes: childrenNamed(element, 'index').map(parseIndex),
+          element,
+          source
+        });
+        count++;
+      } else if (element.name === 'extend-entity') {
+        const entityName = element.attributes['entity-name'];
+        const pkg = element.attributes.package || element.attributes['package-name'];
+        const key = pkg ? `${pkg}.${entityName}` : entityName;
+        if (!index.extensions.has(key)) index.extensions.set(key, []);
+        index.extensions.get(key).push({
+          attributes: entityAttributes(element),
+          fields: childrenNamed(element, 'field').map(parseField),
+          relationships: childrenNamed(element, 'relationship').map(parseRelationship),
+          indexes: childrenNamed(element, 'index').map(parseIndex),
+          source
+        });
+        count++;
+      }
+    }
+
+    index.files.push({ file: relativePath, component, definitions: count });
+  }
+
+  return index;
+}
+
+/**
+ * Find an entity by full name (package.Name) or short name
+ */
+function findEntity(index, name) {
+  if (!name) return null;
+  if (index.entities.has(name)) return index.entities.get(name);
+  const matches = [...index.entities.values()].filter(e => e.entityName === name);
+  if (matches.length === 1) return matches[0];
+  const lower = name.toLowerCase();
+  return [...index.entities.values()].find(e => e.fullName.toLowerCase() === lower) || matches[0] || null;
+}
+
+/**
+ * Merge a list of named items, later definitions override earlier ones by key
+ */
+function mergeByKey(base, additions, keyOf, origin) {
+  const merged = base.map(item => ({ ...item }));
+  for (const addition of additions) {
+    const key = keyOf(addition);
+    const existing = merged.findIndex(item => keyOf(item) === key);
+    const tagged = { ...addition, extendedIn: origin };
+    if (existing >= 0) {
+      merged[existing] = { ...merged[existing], ...stripUndefined(tagged) };
+    } else {
+      merged.push(tagged);
+    }
+  }
+  return merged;
+}
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+const relationshipKey = rel => `${rel.title || ''}#${rel.related}`;
+
+/**
+ * Fill in implicit key maps the way Moqui does:
+ * - no <key-map> elements: match on the primary key field names (of the related
+ *   entity, or of this entity for type many)
+ * - a <key-map> without related: the related entity's primary key when the type is
+ *   one or one-nofk and that entity has a single primary key field, else the same name
+ */
+function resolveKeyMaps(index, entity, relationship) {
+  const related = findEntity(index, relationship.related);
+  if (relationship.keyMaps.length > 0) {
+    if (relationship.keyMaps.every(km => km.related)) return relationship;
+    const relatedPks = related ? related.fields.filter(f => f.isPk).map(f => f.name) : [];
+    const singlePk = ['one', 'one-nofk'].includes(relationship.type) && relatedPks.length === 1 ? relatedPks[0] : null;
+    return {
+      ...relationship,
+      keyMaps: relationship.keyMaps.map(km => (km.related ? km : { fieldName: km.fieldName, related: singlePk || km.fieldName }))
+    };
+  }
+  if (!related) return relationship;
+
+  const pkSource = relationship.type === 'many' ? entity : related;
+  const pkFields = pkSource.fields.filter(f => f.isPk).map(f => f.name);
+  return {
+    ...relationship,
+    keyMaps: pkFields.map(name => ({ fieldName: name, related: name })),
+    keyMapsImplicit: true
+  };
+}
+
+/**
+ * Resolve an entity into its effective shape (extend-entity applied, view-entity aliases expanded)
+ */
+function resolveEntity(index, entity, seen = new Set()) {
+  if (seen.has(entity.fullName)) {
+    throw new Error(`Circular view-entity reference involving ${entity.fullName}`);
+  }
+  seen.add(entity.fullName);
+
+  const extensions = [
+    ...(index.extensions.get(entity.fullName) || []),
+    ...(entity.package ? index.extensions.get(entity.entityName) || [] : [])
+  ];
+
+  let attributes = { ...entity.attributes };
+  let fields = entity.fields;
+  let relationships = entity.relationships;
+  let indexes = entity.indexes;
+  let members;
+  let warnings;
+
+  if (entity.kind === 'view-entity') {
+    const view = resolveViewEntity(index, entity, seen);
+    fields = view.fields;
+    members = view.members;
+    warnings = view.warnings.length ? view.warnings : undefined;
+  }
+
+  for (const ext of extensions) {
+    const origin = `${ext.source.file}:${ext.source.line}`;
+    attributes = { ...attributes, ...ext.attributes };
+    fields = mergeByKey(fields, ext.fields, f => f.name, origin);
+    relationships = mergeByKey(relationships, ext.relationships, relationshipKey, origin);
+    indexes = mergeByKey(indexes, ext.indexes, i => i.name, origin);
+  }
+
+  const resolvedFields = fields.map(stripUndefined);
+
+  return {
+    entityName: entity.entityName,
+    package: entity.package,
+    fullName: entity.fullName,
+    kind: entity.kind,
+    description: entity.description,
+    attributes,
+    source: entity.source,
+    primaryKeys: resolvedFields.filter(f => f.isPk).map(f => f.name),
+    fields: resolvedFields,
+    relationships: relationships.map(rel => stripUndefined(resolveKeyMaps(index, entity, rel))),
+    indexes,
+    members,
+    warnings,
+    extendedBy: extensions.map(ext => ({
+      ...ext.source,
+      fieldsAdded: ext.fields.map(f => f.name),
+      relationshipsAdded: ext.relationships.map(relationshipKey),
+      indexesAdded: ext.indexes.map(i => i.name),
+      attributesChanged: Object.keys(ext.attributes)
+    }))
+  };
+}
+
+/**
+ * Find a relationship on an entity by the name used in member-relationship
+ * (short-alias, title#related, or title + related short/full name)
+ */
+function findRelationship(index, entity, relName) {
+  return entity.relationships.find(rel => {
+    const related = findEntity(index, rel.related);
+    const relatedShort = related ? related.entityName : String(rel.related).split('.').pop();
+    const title = rel.title || '';
+    return rel.shortAlias === relName ||
+      `${title}#${rel.related}` === relName ||
+      `${title}#${relatedShort}` === relName ||
+      `${title}${relatedShort}` === relName ||
+      `${title}${rel.related}` === relName;
+  }) || null;
+}
+
+/**
+ * Expand view-entity members and aliases into effective fields
+ */
+function resolveViewEntity(index, view, seen) {
+  const element = view.element;
+  const members = [];
+  const memberByAlias = new Map();
+  const warnings = [];
+
+  const addMember = (alias, memberEntityName, extra) => {
+    const memberEntity = findEntity(index, memberEntityName);
+    let resolved = null;
+    if (!memberEntity) {
+      warnings.push(`Member entity ${memberEntityName} (alias ${alias}) not found`);
+    } else {
+      resolved = memberEntity.kind === 'view-entity'
+        ? resolveEntity(index, memberEntity, new Set(seen))
+        : resolveEntity(index, memberEntity, new Set());
+    }
+    const member = { entityAlias: alias, entityName: resolved ? resolved.fullName : memberEntityName, ...extra };
+    members.push(member);
+    memberByAlias.set(alias, resolved);
+  };
+
+  for (const child of element.children) {
+    if (child.name === 'member-entity') {
+      const attrs = child.attributes;
+      addMember(attrs['entity-alias'], attrs['entity-name'], stripUndefined({
+        joinFromAlias: attrs['join-from-alias'],
+        joinOptional: attrs['join-optional'] === 'true' || undefined,
+        keyMaps: childrenNamed(child, 'key-map').map(km => ({
+          fieldName: km.attributes['field-name'],
+          related: km.attributes.related || km.attributes['field-name']
+        }))
+      }));
+    } else if (child.name === 'member-relationship') {
+      const attrs = child.attributes;
+      const fromMember = memberByAlias.get(attrs['join-from-alias']);
+      const fromEntity = fromMember ? findEntity(index, fromMember.fullName) : null;
+      const relationship = fromEntity ? findRelationship(index, fromEntity, attrs.relationship) : null;
+      if (!relationship) {
+        warnings.push(`Relationship ${attrs.relationship} not found on member ${attrs['join-from-alias']}`);
+        members.push({ entityAlias: attrs['entity-alias'], relationship: attrs.relationship, joinFromAlias: attrs['join-from-alias'] });
+        memberByAlias.set(attrs['entity-alias'], null);
+        continue;
+      }
+      addMember(attrs['entity-alias'], relationship.related, stripUndefined({
+        joinFromAlias: attrs['join-from-alias'],
+        viaRelationship: attrs.relationship,
+        joinOptional: attrs['join-optional'] === 'true' || undefined,
+        keyMaps: resolveKeyMaps(index, fromEntity, relationship).keyMaps
+      }));
+    }
+  }
+
+  const fields = [];
+  const addAlias = (alias) => {
+    const existing = fields.findIndex(f => f.name === alias.name);
+    if (existing >= 0) fields[existing] = alias;
+    else fields.push(alias);
+  };
+
+  for (const child of element.children) {
+    if (child.name === 'alias-all') {
+      const attrs = child.attributes;
+      const member = memberByAlias.get(attrs['entity-alias']);
+      if (!member) {
+        warnings.push(`alias-all references unknown or unresolved member ${attrs['entity-alias']}`);
+        continue;
+      }
+      const excluded = new Set(childrenNamed(child, 'exclude').map(e => e.attributes.field));
+      for (const field of member.fields) {
+        if (excluded.has(field.name)) continue;
+        const name = attrs.prefix ? `${attrs.prefix}${capitalize(field.name)}` : field.name;
+        // Explicit <alias> elements take precedence over alias-all
+        if (fields.some(f => f.name === name && !f.fromAliasAll)) continue;
+        addAlias(stripUndefined({
+          name,
+          entityAlias: attrs['entity-alias'],
+          field: field.name,
+          type: field.type,
+          isPk: field.isPk,
+          fromAliasAll: true
+        }));
+      }
+    } else if (child.name === 'alias') {
+      const attrs = child.attributes;
+      const member = attrs['entity-alias'] ? memberByAlias.get(attrs['entity-alias']) : null;
+      const fieldName = attrs.field || attrs.name;
+      const underlying = member ? member.fields.find(f => f.name === fieldName) : null;
+      const complex = childNamed(child, 'complex-alias') || childNamed(child, 'case');
+      addAlias(stripUndefined({
+        name: attrs.name,
+        entityAlias: attrs['entity-alias'],
+        field: attrs['entity-alias'] ? fieldName : undefined,
+        function: attrs.function,
+        type: attrs.type || (underlying ? underlying.type : undefined),
+        isPk: underlying ? underlying.isPk : false,
+        computed: complex ? true : undefined
+      }));
+    }
+  }
+
+  return { members, fields, warnings };
+}
+
+module.exports = {
+  loadEntityIndex,
+  findEntity,
+  resolveEntity,
+  resolveKeyMaps,
+  relationshipKey,
+  stripUndefined
+};
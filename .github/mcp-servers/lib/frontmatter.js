@@ -0,0 +1,318 @@
+/**
+ * YAML frontmatter for agent, instruction and prompt markdown files
+ *
+ * Supports the YAML subset used in frontmatter: nested mappings, block lists
+ * (`- item`, including lists of mappings), flow lists and maps (`[a, 'b']`,
+ * `{a: b}`), single/double quoted strings, `>` folded and `|` literal block
+ * scalars, and comments. Parsing never throws; a malformed block is reported
+ * as `error` with its line number and an empty `data` object.
+ */
+
+const FRONTMATTER = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', '0': '\0' };
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(`line ${line}: ${message}`);
+    this.line = line;
+  }
+}
+
+/**
+ * Split a markdown file into the raw frontmatter block and the body.
+ * bodyLine is the 1-based file line on which the body starts.
+ */
+function splitFrontmatter(content) {
+  const match = content.match(FRONTMATTER);
+  if (!match) return { frontmatter: null, body: content, bodyLine: 1 };
+  return {
+    frontmatter: match[1],
+    body: content.slice(match[0].length),
+    bodyLine: match[0].split('\n').length - (match[0].endsWith('\n') ? 0 : 1)
+  };
+}
+
+/**
+ * Convert a plain (unquoted) scalar
+ */
+function plainScalar(text) {
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Read a quoted string starting at text[start]; returns [value, index after closing quote]
+ */
+function readQuoted(text, start, line) {
+  const quote = text[start];
+  let value = '';
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (quote === "'" && char === "'") {
+      if (text[i + 1] === "'") {
+        value += "'";
+        i++;
+        continue;
+      }
+      return [value, i + 1];
+    }
+    if (quote === '"' && char === '\\') {
+      const next = text[++i];
+      value += ESCAPES[next] !== undefined ? ESCAPES[next] : next;
+      continue;
+    }
+    if (quote === '"' && char === '"') return [value, i + 1];
+    value += char;
+  }
+  throw new YamlError(`Unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`, line);
+}
+
+/**
+ * Parse a flow collection ([...] or {...}) starting at text[start]; returns [value, next index]
+ */
+function readFlow(text, start, line) {
+  const open = text[start];
+  const close = open === '[' ? ']' : '}';
+  const result = open === '[' ? [] : {};
+  let i = start + 1;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+  const readItem = () => {
+    skipSpace();
+    if (text[i] === '"' || text[i] === "'") {
+      const [value, next] = readQuoted(text, i, line);
+      i = next;
+      return value;
+    }
+    if (text[i] === '[' || text[i] === '{') {
+      const [value, next] = readFlow(text, i, line);
+      i = next;
+      return value;
+    }
+    const stop = open === '[' ? /[,\]]/ : /[,}:]/;
+    let end = i;
+    while (end < text.length && !stop.test(text[end])) end++;
+    const raw = text.slice(i, end).trim();
+    i = end;
+    return plainScalar(raw);
+  };
+
+  skipSpace();
+  if (text[i] === close) return [result, i + 1];
+
+  while (i < text.length) {
+    if (open === '[') {
+      result.push(readItem());
+    } else {
+      const key = readItem();
+      skipSpace();
+      if (text[i] !== ':') throw new YamlError(`Expected ":" after "${key}" in flow mapping`, line);
+      i++;
+      result[String(key)] = readItem();
+    }
+    skipSpace();
+    if (text[i] === ',') {
+      i++;
+      continue;
+    }
+    if (text[i] === close) return [result, i + 1];
+    break;
+  }
+  throw new YamlError(`Unterminated flow ${open === '[' ? 'sequence' : 'mapping'}`, line);
+}
+
+/**
+ * Parse an inline value (after "key:" or "- ")
+ */
+function inlineValue(text, line) {
+  if (text[0] === '"' || text[0] === "'") {
+    const [value, next] = readQuoted(text, 0, line);
+    const rest = text.slice(next).trim();
+    if (rest && !rest.startsWith('#')) throw new YamlError(`Unexpected text after quoted string: ${rest}`, line);
+    return value;
+  }
+  if (text[0] === '[' || text[0] === '{') {
+    const [value, next] = readFlow(text, 0, line);
+    const rest = text.slice(next).trim();
+    if (rest && !rest.startsWith('#')) throw new YamlError(`Unexpected text after flow collection: ${rest}`, line);
+    return value;
+  }
+  return plainScalar(text.replace(/\s+#.*$/, '').trim());
+}
+
+/**
+ * Parse a YAML document (frontmatter subset)
+ *
+ * firstLine: file line number of the first YAML line, used in error messages
+ */
+function parseYaml(text, firstLine = 1) {
+  const lines = text.split(/\r?\n/).map((raw, i) => ({
+    raw,
+    line: firstLine + i,
+    indent: raw.match(/^ */)[0].length,
+    text: raw.trim()
+  }));
+  let pos = 0;
+
+  const isSequenceItem = l => l.text === '-' || l.text.startsWith('- ');
+  const peek = () => {
+    while (pos < lines.length && (lines[pos].text === '' || lines[pos].text.startsWith('#'))) pos++;
+    return lines[pos];
+  };
+
+  for (const l of lines) {
+    if (/^\t/.test(l.raw)) throw new YamlError('Tabs are not allowed for indentation', l.line);
+  }
+
+  function parseBlock(indent) {
+    const l = peek();
+    return isSequenceItem(l) ? parseSequence(indent) : parseMapping(indent);
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+    let l;
+    while ((l = peek()) && l.indent === indent && !isSequenceItem(l)) {
+      const match = l.text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^"'#\s][^:]*?)\s*:(?:\s+(.*))?$/);
+      if (!match) throw new YamlError(`Expected "key: value", got "${l.text}"`, l.line);
+      const key = /^["']/.test(match[1]) ? readQuoted(match[1], 0, l.line)[0] : match[1];
+      pos++;
+      result[key] = parseValue(match[2], indent, l);
+    }
+    if (l && l.indent > indent) throw new YamlError('Unexpected indentation', l.line);
+    return result;
+  }
+
+  function parseSequence(indent) {
+    const result = [];
+    let l;
+    while ((l = peek()) && l.indent === indent && isSequenceItem(l)) {
+      const itemText = l.text.slice(1).trim();
+      if (!itemText) {
+        pos++;
+        const next = peek();
+        result.push(next && next.indent > indent ? parseBlock(next.indent) : null);
+      } else if (/^[^"'[{#][^:]*:(\s|$)/.test(itemText) || /^(["']).*\1\s*:(\s|$)/.test(itemText)) {
+        // "- key: value" starts a mapping whose keys align with "key"
+        const column = indent + l.raw.slice(indent).indexOf(itemText);
+        lines[pos] = { ...l, indent: column, text: itemText };
+        result.push(parseMapping(column));
+      } else {
+        pos++;
+        result.push(parseValue(itemText, indent, l));
+      }
+    }
+    if (l && l.indent > indent) throw new YamlError('Unexpected indentation', l.line);
+    return result;
+  }
+
+  function parseBlockScalar(header, parentIndent, l) {
+    const style = header[0];
+    const chomp = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+    const collected = [];
+    let contentIndent = null;
+    while (pos < lines.length) {
+      const next = lines[pos];
+      if (next.text !== '') {
+        if (next.indent <= parentIndent) break;
+        if (contentIndent === null) contentIndent = next.indent;
+        if (next.indent < contentIndent) throw new YamlError('Block scalar line is less indented than the first line', next.line);
+      }
+      collected.push(next.text === '' ? '' : next.raw.slice(contentIndent));
+      pos++;
+    }
+    if (contentIndent === null && collected.length === 0) return '';
+
+    let trailing = 0;
+    while (collected.length && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailing++;
+    }
+
+    let value;
+    if (style === '|') {
+      value = collected.join('\n');
+    } else {
+      // Folded: single newlines become spaces, blank lines become newlines, more-indented lines keep breaks
+      value = '';
+      collected.forEach((text, i) => {
+        if (i === 0) {
+          value = text;
+          return;
+        }
+        const previous = collected[i - 1];
+        if (text === '') value += '\n';
+        else if (previous === '' || /^\s/.test(text) || /^\s/.test(previous)) value += (previous === '' ? '' : '\n') + text;
+        else value += ` ${text}`;
+      });
+    }
+
+    if (chomp === 'clip') return value + '\n';
+    if (chomp === 'keep') return value + '\n'.repeat(trailing + 1);
+    return value;
+  }
+
+  function parseValue(rest, indent, l) {
+    const text = rest === undefined ? '' : rest.trim();
+    if (/^[|>][+-]?\d*\s*(#.*)?$/.test(text)) {
+      return parseBlockScalar(text, indent, l);
+    }
+    if (text === '' || text.startsWith('#')) {
+      const next = peek();
+      if (next && next.indent > indent) return parseBlock(next.indent);
+      // YAML allows a block sequence at the same indentation as its key
+      if (next && next.indent === indent && isSequenceItem(next) && !isSequenceItem(l)) return parseSequence(indent);
+      return null;
+    }
+
+    let value = inlineValue(text, l.line);
+    // Plain scalars may continue on more-indented lines
+    if (typeof value === 'string' && !/^["'[{]/.test(text)) {
+      let next;
+      while ((next = lines[pos]) && next.text !== '' && next.indent > indent && !next.text.startsWith('#')) {
+        value += ` ${next.text}`;
+        pos++;
+      }
+    }
+    return value;
+  }
+
+  if (!peek()) return {};
+  const first = peek();
+  const result = parseBlock(first.indent);
+  const leftover = peek();
+  if (leftover) throw new YamlError(`Unexpected content "${leftover.text}"`, leftover.line);
+  return result;
+}
+
+/**
+ * Parse a markdown file's frontmatter
+ *
+ * Returns { data, body, bodyLine, hasFrontmatter, error }; error is undefined on success.
+ */
+function parseFrontmatter(content) {
+  const { frontmatter, body, bodyLine } = splitFrontmatter(content);
+  if (frontmatter === null) return { data: {}, body, bodyLine, hasFrontmatter: false };
+
+  try {
+    const data = parseYaml(frontmatter, 2);
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return { data: {}, body, bodyLine, hasFrontmatter: true, error: 'Frontmatter is not a mapping' };
+    }
+    return { data, body, bodyLine, hasFrontmatter: true };
+  } catch (e) {
+    return { data: {}, body, bodyLine, hasFrontmatter: true, error: e.message };
+  }
+}
+
+module.exports = {
+  parseFrontmatter,
+  splitFrontmatter,
+  parseYaml
+};
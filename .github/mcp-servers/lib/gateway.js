@@ -0,0 +1,185 @@
+/**
+ * Durion gateway: the MCP servers mounted as namespaced modules of one server
+ *
+ * Each module is one server file, loaded in this process and mounted with lib/server-mount.js, so it
+ * keeps its own caches, file watchers and argument validation. Its tools and prompts are published as
+ * `<namespace>.<name>`; tools another module already serves are left out (`omit`).
+ *
+ * Modules are enabled in the `gateway` section of config/mcp-servers.json
+ * ({ "gateway": { "modules": { "<namespace>": { "enabled": false } } } }, lib/config.js);
+ * DURION_GATEWAY_MODULES (comma-separated namespaces) enables only the modules it names.
+ */
+
+const path = require('path');
+const { connectClient, mountedTools, listFrom, createMountServer } = require('./server-mount.js');
+const { loadConfig } = require('./config.js');
+
+const SERVERS_DIR = path.join(__dirname, '..');
+
+/**
+ * The modules the gateway can mount, in the order their tools are listed
+ */
+const MODULES = [
+  {
+    namespace: 'agents',
+    server: 'moqui-agents-server.js',
+    description: 'Agent guides from .github/agents: listing, search, metadata and validation'
+  },
+  {
+    namespace: 'instructions',
+    server: 'mcp-instructions-server.js',
+    description: 'Instructions, prompts and knowledge search; also serves the agent, instruction and prompt resources',
+    // The agents module reads the same files with frontmatter, body sections and token budgets
+    omit: {
+      list_agents: 'agents.list_agents',
+      get_agent: 'agents.get_agent'
+    }
+  },
+  {
+    namespace: 'context',
+    server: 'context-aware-instructions-server.js',
+    description: 'Instructions for a file or task within a token budget, reference docs and context bundles'
+  },
+  {
+    namespace: 'analysis',
+    server: 'project-analysis-server.js',
+    description: 'Component dependencies, layering rules, RACI matrix and backlog'
+  },
+  {
+    namespace: 'entities',
+    server: 'moqui-entities-server.js',
+    description: 'Entity definitions: fields, relationships, indexes and view entities'
+  },
+  {
+    namespace: 'services',
+    server: 'moqui-services-server.js',
+    description: 'Service definitions: parameters, implementations and SECA rules'
+  },
+  {
+    namespace: 'project',
+    server: 'moqui-context-server.js',
+    description: 'Project overview, annotated directory structure and configuration check'
+  }
+];
+
+/**
+ * Which modules are enabled: the gateway section of the config, then DURION_GATEWAY_MODULES.
+ * Returns { file, modules: [{ ...module, enabled, reason }], errors }; errors include the config's own.
+ */
+function loadGatewayConfig({ config = loadConfig(), env = process.env } = {}) {
+  const file = config.file;
+  const errors = [...config.errors];
+  const settings = config.gateway.modules || {};
+  const known = new Set(MODULES.map(module => module.namespace));
+  for (const namespace of Object.keys(settings)) {
+    if (!known.has(namespace)) errors.push(`Unknown module "${namespace}" in ${path.basename(file)}`);
+  }
+
+  const only = env.DURION_GATEWAY_MODULES
+    ? env.DURION_GATEWAY_MODULES.split(',').map(name => name.trim()).filter(Boolean)
+    : null;
+  for (const namespace of only || []) {
+    if (!known.has(namespace)) errors.push(`Unknown module "${namespace}" in DURION_GATEWAY_MODULES`);
+  }
+
+  const modules = MODULES.map(module => {
+    const setting = settings[module.namespace] || {};
+    if (only) {
+      const enabled = only.includes(module.namespace);
+      return { ...module, enabled, reason: `${enabled ? 'listed' : 'not listed'} in DURION_GATEWAY_MODULES` };
+    }
+    const enabled = setting.enabled !== false;
+    return { ...module, enabled, reason: enabled ? 'enabled' : `disabled in ${path.basename(file)}` };
+  });
+  return { file, modules, errors };
+}
+
+/**
+ * Load a module's server and connect a client to it in this process.
+ * Returns the module with its mount (client, capabilities, tools), or with error when it fails to load.
+ */
+async function connectModule(module) {
+  try {
+    const { server } = require(path.join(SERVERS_DIR, module.server));
+    return { ...module, ...(await connectClient(server, `durion-gateway/${module.namespace}`)) };
+  } catch (e) {
+    return { ...module, error: e.message };
+  }
+}
+
+/**
+ * Connect every enabled module; disabled and failed modules are returned with them for reporting
+ */
+async function connectModules(config) {
+  return Promise.all(config.modules.map(module => (module.enabled ? connectModule(module) : module)));
+}
+
+/**
+ * Gateway server over the connected modules, with describe_capabilities
+ */
+function createGatewayServer(mounts, config, { name = 'durion', version = '1.0.0' } = {}) {
+  return createMountServer(mounts.filter(mount => mount.client), {
+    name,
+    version,
+    tools: [{
+      name: 'describe_capabilities',
+      description: 'Describe the gateway: each module with its namespace, source server, status, tools, resources and prompts, and the tools left out as duplicates',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          module: {
+            type: 'string',
+            enum: MODULES.map(module => module.namespace),
+            description: 'Optional: Only describe this module'
+          }
+        }
+      },
+      handler: args => describeCapabilities(mounts, config, args.module)
+    }]
+  });
+}
+
+/**
+ * What the gateway serves, per module
+ */
+async function describeCapabilities(mounts, config, only) {
+  const modules = await Promise.all(mounts
+    .filter(mount => !only || mount.namespace === only)
+    .map(async mount => {
+      const base = {
+        namespace: mount.namespace,
+        server: mount.server,
+        description: mount.description,
+        status: mount.client ? 'mounted' : mount.error ? 'failed' : 'disabled',
+        reason: mount.error || mount.reason
+      };
+      if (!mount.client) return base;
+
+      const [resources] = await listFrom([mount], 'resources', m => m.client.listResources().then(r => r.resources));
+      const [prompts] = await listFrom([mount], 'prompts', m => m.client.listPrompts().then(r => r.prompts));
+      return {
+        ...base,
+        tools: mountedTools(mount).map(({ name, description }) => ({ name, description })),
+        omitted: mount.omit
+          ? Object.entries(mount.omit).map(([tool, servedBy]) => ({ tool: `${mount.namespace}.${tool}`, servedBy }))
+          : undefined,
+        resources: resources ? resources.items.length : undefined,
+        prompts: prompts ? prompts.items.map(prompt => `${mount.namespace}.${prompt.name}`) : undefined
+      };
+    }));
+
+  return {
+    gateway: 'durion',
+    config: config.file.startsWith(SERVERS_DIR + path.sep) ? path.relative(SERVERS_DIR, config.file) : config.file,
+    configErrors: config.errors.length ? config.errors : undefined,
+    modules,
+    totalTools: modules.reduce((sum, module) => sum + (module.tools ? module.tools.length : 0), 1)
+  };
+}
+
+module.exports = {
+  MODULES,
+  loadGatewayConfig,
+  connectModules,
+  createGatewayServer
+};
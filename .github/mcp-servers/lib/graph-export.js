@@ -0,0 +1,240 @@
+/**
+ * Diagram export for component and domain graphs
+ *
+ * Renders a small graph model as Mermaid, Graphviz DOT or draw.io XML:
+ *
+ *   {
+ *     title,
+ *     nodes: [{ id, label, group, role }],   // role: selected | upstream | downstream | missing | null
+ *     edges: [{ from, to, role }],           // role: upstream | downstream | null
+ *     groups: ['foundation', 'business', ...] // ordered, only used when grouping
+ *   }
+ */
+
+const ROLE_STYLES = {
+  selected: { fill: '#ffd966', stroke: '#bf9000', bold: true },
+  upstream: { fill: '#dae8fc', stroke: '#6c8ebf' },
+  downstream: { fill: '#d5e8d4', stroke: '#82b366' },
+  missing: { fill: '#f8cecc', stroke: '#b85450', dashed: true },
+  external: { fill: '#f5f5f5', stroke: '#999999', dashed: true }
+};
+
+const EDGE_COLORS = {
+  upstream: '#6c8ebf',
+  downstream: '#82b366'
+};
+
+/**
+ * Identifier safe for Mermaid and DOT
+ */
+function safeId(value) {
+  return String(value).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Nodes bucketed by group, in group order; ungrouped models get a single bucket
+ */
+function bucketNodes(model, grouped) {
+  if (!grouped) return [{ group: null, nodes: model.nodes }];
+  const buckets = model.groups
+    .map(group => ({ group, nodes: model.nodes.filter(node => node.group === group) }))
+    .filter(bucket => bucket.nodes.length);
+  const known = new Set(model.groups);
+  const rest = model.nodes.filter(node => !known.has(node.group));
+  if (rest.length) buckets.push({ group: 'other', nodes: rest });
+  return buckets;
+}
+
+/**
+ * Render as a Mermaid flowchart
+ */
+function renderMermaid(model, { grouped = false } = {}) {
+  const lines = [];
+  if (model.title) lines.push('---', `title: ${model.title}`, '---');
+  lines.push('flowchart TB');
+
+  const nodeLine = node => `${safeId(node.id)}["${String(node.label).replace(/"/g, '#quot;').replace(/\n/g, '<br/>')}"]`;
+
+  for (const bucket of bucketNodes(model, grouped)) {
+    if (bucket.group) {
+      lines.push(`  subgraph ${safeId(`tier_${bucket.group}`)}["${bucket.group}"]`);
+      bucket.nodes.forEach(node => lines.push(`    ${nodeLine(node)}`));
+      lines.push('  end');
+    } else {
+      bucket.nodes.forEach(node => lines.push(`  ${nodeLine(node)}`));
+    }
+  }
+
+  model.edges.forEach((edge, i) => {
+    lines.push(`  ${safeId(edge.from)} --> ${safeId(edge.to)}`);
+    if (edge.role && EDGE_COLORS[edge.role]) {
+      lines.push(`  linkStyle ${i} stroke:${EDGE_COLORS[edge.role]},stroke-width:2px`);
+    }
+  });
+
+  for (const [role, style] of Object.entries(ROLE_STYLES)) {
+    const members = model.nodes.filter(node => node.role === role);
+    if (!members.length) continue;
+    const parts = [`fill:${style.fill}`, `stroke:${style.stroke}`];
+    if (style.bold) parts.push('stroke-width:3px', 'font-weight:bold');
+    if (style.dashed) parts.push('stroke-dasharray:5 5');
+    lines.push(`  classDef ${role} ${parts.join(',')}`);
+    lines.push(`  class ${members.map(node => safeId(node.id)).join(',')} ${role}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render as Graphviz DOT
+ */
+function renderDot(model, { grouped = false } = {}) {
+  const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const lines = [`digraph ${quote(model.title || 'components')} {`];
+  lines.push('  rankdir=BT;');
+  lines.push('  node [shape=box, style="rounded,filled", fillcolor="#ffffff", fontname="Helvetica"];');
+
+  const nodeLine = (node) => {
+    const attrs = [`label=${quote(node.label)}`];
+    const style = ROLE_STYLES[node.role];
+    if (style) {
+      attrs.push(`fillcolor=${quote(style.fill)}`, `color=${quote(style.stroke)}`);
+      const styles = ['rounded', 'filled'];
+      if (style.dashed) styles.push('dashed');
+      if (style.bold) styles.push('bold');
+      attrs.push(`style=${quote(styles.join(','))}`);
+    }
+    return `${quote(node.id)} [${attrs.join(', ')}];`;
+  };
+
+  for (const bucket of bucketNodes(model, grouped)) {
+    if (bucket.group) {
+      lines.push(`  subgraph ${quote(`cluster_${bucket.group}`)} {`);
+      lines.push(`    label=${quote(bucket.group)};`);
+      lines.push('    style="rounded,dashed";');
+      bucket.nodes.forEach(node => lines.push(`    ${nodeLine(node)}`));
+      lines.push('  }');
+    } else {
+      bucket.nodes.forEach(node => lines.push(`  ${nodeLine(node)}`));
+    }
+  }
+
+  for (const edge of model.edges) {
+    const color = EDGE_COLORS[edge.role];
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${color ? ` [color=${quote(color)}, penwidth=2]` : ''};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Render as draw.io (diagrams.net) XML with a simple grid layout:
+ * one row per group (or a single row), nodes left to right
+ */
+function renderDrawio(model, { grouped = false } = {}) {
+  const NODE_WIDTH = 160;
+  const NODE_HEIGHT = 60;
+  const GAP = 30;
+  const HEADER = 30;
+  const cells = ['<mxCell id="0"/>', '<mxCell id="1" parent="0"/>'];
+  const cellIds = new Map();
+  let nextId = 2;
+  let y = 20;
+
+  const nodeStyle = (node) => {
+    const style = ROLE_STYLES[node.role];
+    const parts = ['rounded=1', 'whiteSpace=wrap', 'html=1'];
+    if (style) {
+      parts.push(`fillColor=${style.fill}`, `strokeColor=${style.stroke}`);
+      if (style.bold) parts.push('fontStyle=1', 'strokeWidth=3');
+      if (style.dashed) parts.push('dashed=1');
+    }
+    return `${parts.join(';')};`;
+  };
+
+  for (const bucket of bucketNodes(model, grouped)) {
+    const width = bucket.nodes.length * (NODE_WIDTH + GAP) + GAP;
+    let parent = '1';
+    let offsetY = y;
+
+    if (bucket.group) {
+      parent = String(nextId++);
+      cells.push(
+        `<mxCell id="${parent}" value="${xmlEscape(bucket.group)}" style="swimlane;startSize=${HEADER};horizontal=1;rounded=1;" vertex="1" parent="1">` +
+        `<mxGeometry x="20" y="${y}" width="${width}" height="${NODE_HEIGHT + HEADER + GAP * 2}" as="geometry"/></mxCell>`
+      );
+      offsetY = HEADER + GAP;
+    }
+
+    bucket.nodes.forEach((node, i) => {
+      const id = String(nextId++);
+      cellIds.set(node.id, id);
+      const x = (bucket.group ? 0 : 20) + GAP + i * (NODE_WIDTH + GAP);
+      const label = xmlEscape(node.label).replace(/\n/g, '&lt;br&gt;');
+      cells.push(
+        `<mxCell id="${id}" value="${label}" style="${nodeStyle(node)}" vertex="1" parent="${parent}">` +
+        `<mxGeometry x="${x}" y="${offsetY}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" as="geometry"/></mxCell>`
+      );
+    });
+
+    y += NODE_HEIGHT + (bucket.group ? HEADER + GAP * 2 : 0) + GAP * 2;
+  }
+
+  for (const edge of model.edges) {
+    const source = cellIds.get(edge.from);
+    const target = cellIds.get(edge.to);
+    if (!source || !target) continue;
+    const color = EDGE_COLORS[edge.role];
+    const style = `edgeStyle=orthogonalEdgeStyle;rounded=1;html=1;endArrow=block;${color ? `strokeColor=${color};strokeWidth=2;` : ''}`;
+    cells.push(
+      `<mxCell id="${nextId++}" style="${style}" edge="1" parent="1" source="${source}" target="${target}">` +
+      '<mxGeometry relative="1" as="geometry"/></mxCell>'
+    );
+  }
+
+  return [
+    '<mxfile host="moqui-mcp">',
+    `  <diagram name="${xmlEscape(model.title || 'components')}">`,
+    '    <mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" math="0" shadow="0">',
+    '      <root>',
+    ...cells.map(cell => `        ${cell}`),
+    '      </root>',
+    '    </mxGraphModel>',
+    '  </diagram>',
+    '</mxfile>'
+  ].join('\n');
+}
+
+const RENDERERS = {
+  mermaid: renderMermaid,
+  dot: renderDot,
+  drawio: renderDrawio
+};
+
+/**
+ * Render a model in the requested format
+ */
+function renderGraph(model, format, options) {
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    throw new Error(`Unsupported diagram format: ${format}. Supported: ${Object.keys(RENDERERS).join(', ')}`);
+  }
+  return renderer(model, options);
+}
+
+module.exports = {
+  renderGraph,
+  renderMermaid,
+  renderDot,
+  renderDrawio,
+  DIAGRAM_FORMATS: Object.keys(RENDERERS)
+};
@@ -0,0 +1,152 @@
+/**
+ * Hot reload for the markdown-backed servers
+ *
+ * Watches the agent, instruction and prompt directories and calls back once per
+ * changed file (events are debounced, editors often write a file several times).
+ * A reload tracker records when each file was last (re)loaded so servers can
+ * report their cache state. Watching is on by default; set MCP_WATCH=false to
+ * turn it off.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEBOUNCE_MS = 200;
+
+function isWatchEnabled(env = process.env) {
+  return !/^(false|0|off|no)$/i.test(env.MCP_WATCH || '');
+}
+
+function subdirectories(dirPath) {
+  return fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(entry => {
+      const fullPath = path.join(dirPath, entry.name);
+      return [fullPath, ...subdirectories(fullPath)];
+    });
+}
+
+/**
+ * Watch directories for changed files
+ *
+ * onChange({ filePath, directory, exists }) is called once per file after events settle.
+ * options.filter(filePath) selects files (default: markdown); options.debounceMs.
+ * Returns { directories, close() }; directories that do not exist are skipped.
+ */
+function watchDirectories(directories, onChange, { filter = f => f.endsWith('.md'), debounceMs = DEFAULT_DEBOUNCE_MS } = {}) {
+  const watchers = [];
+  const timers = new Map();
+  const watched = [];
+
+  const schedule = (directory, filePath) => {
+    if (!filter(filePath)) return;
+    clearTimeout(timers.get(filePath));
+    timers.set(filePath, setTimeout(() => {
+      timers.delete(filePath);
+      try {
+        onChange({ filePath, directory, exists: fs.existsSync(filePath) });
+      } catch (e) {
+        console.error(`Reload of ${filePath} failed: ${e.message}`);
+      }
+    }, debounceMs));
+  };
+
+  const watch = (directory, target, options) => {
+    const watcher = fs.watch(target, { persistent: false, ...options }, (event, filename) => {
+      if (filename) schedule(directory, path.join(target, filename.toString()));
+    });
+    watcher.on('error', e => console.error(`Watching ${target} stopped: ${e.message}`));
+    watchers.push(watcher);
+  };
+
+  for (const directory of directories) {
+    if (!fs.existsSync(directory)) continue;
+    try {
+      watch(directory, directory, { recursive: true });
+    } catch (e) {
+      // Recursive watching is unavailable on some platforms and Node versions
+      [directory, ...subdirectories(directory)].forEach(dir => watch(directory, dir, {}));
+    }
+    watched.push(directory);
+  }
+
+  return {
+    directories: watched,
+    close() {
+      watchers.forEach(watcher => watcher.close());
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+}
+
+/**
+ * Per-file load bookkeeping: when each file was loaded and how often it was reloaded
+ */
+function createReloadTracker() {
+  const files = new Map();
+  let lastReload = null;
+
+  return {
+    /**
+     * Record a load; event is 'initial', 'change', 'add' or 'remove'
+     */
+    record(filePath, event, error) {
+      const now = new Date().toISOString();
+      const previous = files.get(filePath);
+      if (event !== 'initial') lastReload = now;
+      if (event === 'remove') {
+        files.delete(filePath);
+        return;
+      }
+      files.set(filePath, {
+        loadedAt: now,
+        reloads: previous ? previous.reloads + (event === 'initial' ? 0 : 1) : 0,
+        lastEvent: event,
+        error
+      });
+    },
+
+    forget(filePath) {
+      files.delete(filePath);
+    },
+
+    /**
+     * State of every tracked file, with paths relative to `root`
+     */
+    snapshot(root) {
+      return {
+        lastReload,
+        files: [...files.entries()]
+          .map(([filePath, state]) => ({ file: root ? path.relative(root, filePath) : filePath, ...state }))
+          .sort((a, b) => a.file.localeCompare(b.file))
+      };
+    }
+  };
+}
+
+/**
+ * Tell the client the resource list changed; failures (e.g. not connected yet) are logged
+ */
+function notifyResourceListChanged(server) {
+  Promise.resolve()
+    .then(() => server.notification({ method: 'notifications/resources/list_changed' }))
+    .catch(e => console.error(`Could not send resources/list_changed: ${e.message}`));
+}
+
+/**
+ * Tell the client the prompt list changed
+ */
+function notifyPromptListChanged(server) {
+  Promise.resolve()
+    .then(() => server.notification({ method: 'notifications/prompts/list_changed' }))
+    .catch(e => console.error(`Could not send prompts/list_changed: ${e.message}`));
+}
+
+module.exports = {
+  isWatchEnabled,
+  watchDirectories,
+  createReloadTracker,
+  notifyResourceListChanged,
+  notifyPromptListChanged
+};
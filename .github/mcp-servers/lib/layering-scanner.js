@@ -0,0 +1,330 @@
+/**
+ * Static scanner for the Durion layering rules
+ *
+ * Checks component sources against the rules published by get_layering_rules:
+ * - screen-entity-access: Screens/Vue → Services ONLY (no entity operations in
+ *   screen XML, no entity REST calls from Vue)
+ * - cross-domain-entity-write: a service in one domain must not write entities
+ *   owned by another domain
+ * - external-call-outside-positivity: all external HTTP calls go through the
+ *   durion-positivity integration layer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseXmlFile, walk } = require('./xml-parser.js');
+const { listFilesRecursive } = require('./definition-files.js');
+
+const RULES = {
+  'screen-entity-access': 'Screens/Vue → Services ONLY',
+  'cross-domain-entity-write': 'Services → Entities ONLY (within the owning domain)',
+  'external-call-outside-positivity': 'All external calls → Positivity Layer ONLY'
+};
+
+const INTEGRATION_COMPONENT = 'durion-positivity';
+
+const ENTITY_READ_ELEMENTS = ['entity-find', 'entity-find-one', 'entity-find-count', 'entity-find-related', 'entity-find-related-one', 'entity-options'];
+const ENTITY_WRITE_ELEMENTS = ['entity-create', 'entity-update', 'entity-delete', 'entity-delete-by-condition', 'entity-delete-related', 'entity-set', 'entity-sequenced-id-primary', 'entity-sequenced-id-secondary'];
+const ENTITY_AUTO_VERBS = ['create', 'update', 'store', 'delete'];
+const REMOTE_SERVICE_TYPES = ['remote-rest', 'remote-json-rpc', 'remote-xml-rpc'];
+
+// Outbound HTTP from Groovy/Java (including <script> blocks in XML)
+const SERVER_HTTP_PATTERNS = [
+  /\bHttpURLConnection\b/,
+  /\bnew\s+URL\s*\(/,
+  /\.toURL\s*\(/,
+  /\bHttpClient\b/,
+  /\bOkHttpClient\b/,
+  /\bRestTemplate\b/,
+  /\bec\.service\.rest\s*\(/,
+  /\bRestClient\b/,
+  /['"]https?:\/\/[^'"]+['"]/
+];
+
+// Calls from Vue files: absolute URLs are external, entity REST bypasses services
+const VUE_EXTERNAL_PATTERN = /\b(fetch|axios(?:\.\w+)?|\$http(?:\.\w+)?|\$\.ajax|\$\.get|\$\.post)\s*\(\s*[`'"]https?:\/\//;
+const VUE_ENTITY_REST_PATTERN = /['"`][^'"`]*\/rest\/(e1|e|m1|m)\/[^'"`]*['"`]/;
+
+/**
+ * Resolve a (possibly short) entity name to its owning component
+ */
+function ownerOf(entityName, ownership) {
+  if (!entityName) return null;
+  return ownership.get(entityName) || ownership.get(String(entityName).split('.').pop()) || null;
+}
+
+/**
+ * Build entity -> owning component map from the catalog
+ */
+function buildOwnership(catalog) {
+  const ownership = new Map();
+  for (const component of catalog.components.values()) {
+    for (const fullName of component.entities) {
+      ownership.set(fullName, component.name);
+      const shortName = fullName.split('.').pop();
+      if (!ownership.has(shortName)) ownership.set(shortName, component.name);
+    }
+  }
+  return ownership;
+}
+
+/**
+ * Render an element as a short one-line tag for reports
+ */
+function describeElement(element) {
+  const attrs = Object.entries(element.attributes)
+    .map(([key, value]) => `${key}="${value}"`)
+    .join(' ');
+  return `<${element.name}${attrs ? ' ' + attrs : ''}>`;
+}
+
+/**
+ * Scan script text line by line with a set of patterns
+ */
+function scanTextLines(text, startLine, patterns, report) {
+  text.split('\n').forEach((lineText, i) => {
+    for (const pattern of patterns) {
+      if (pattern.test(lineText)) {
+        report(startLine + i, lineText.trim());
+        break;
+      }
+    }
+  });
+}
+
+/**
+ * Entity targeted by an entity-auto style service name (verb#package.Entity)
+ */
+function entityAutoTarget(serviceName) {
+  const match = String(serviceName || '').match(/^(\w+)#([\w.]+)$/);
+  if (!match || !ENTITY_AUTO_VERBS.includes(match[1])) return null;
+  return match[2];
+}
+
+/**
+ * Scan screen XML: no entity operations directly in screens
+ */
+function scanScreenFile(filePath, context, violations) {
+  const root = parseXmlFile(filePath);
+  walk(root, (element) => {
+    const isRead = ENTITY_READ_ELEMENTS.includes(element.name);
+    const isWrite = ENTITY_WRITE_ELEMENTS.includes(element.name);
+    if (isRead || isWrite) {
+      violations.push({
+        rule: 'screen-entity-access',
+        severity: isWrite ? 'error' : 'warning',
+        file: context.relative(filePath),
+        line: element.line,
+        element: describeElement(element),
+        message: `Screen ${isWrite ? 'writes' : 'reads'} ${element.attributes['entity-name'] || 'an entity'} directly; call a service instead`
+      });
+    }
+    if (element.name === 'script' && !context.isIntegration) {
+      scanTextLines(element.text, element.line, SERVER_HTTP_PATTERNS, (line, snippet) => violations.push({
+        rule: 'external-call-outside-positivity',
+        severity: 'error',
+        file: context.relative(filePath),
+        line,
+        element: snippet,
+        message: 'External HTTP call in screen script; route it through durion-positivity'
+      }));
+    }
+  });
+}
+
+/**
+ * Scan service XML: cross-domain entity writes and external calls
+ */
+function scanServiceFile(filePath, context, violations) {
+  const root = parseXmlFile(filePath);
+  if (root.name !== 'services') return;
+
+  for (const service of root.children.filter(child => child.name === 'service')) {
+    const serviceName = `${service.attributes.verb}${service.attributes.noun ? '#' + service.attributes.noun : ''}`;
+
+    if (REMOTE_SERVICE_TYPES.includes(service.attributes.type) && !context.isIntegration) {
+      violations.push({
+        rule: 'external-call-outside-positivity',
+        severity: 'error',
+        file: context.relative(filePath),
+        line: service.line,
+        element: describeElement(service),
+        message: `Service ${serviceName} is a ${service.attributes.type} service; remote services belong in durion-positivity`
+      });
+    }
+
+    if (service.attributes.type === 'entity-auto') {
+      checkWrite(service.attributes.noun, service, serviceName, filePath, context, violations);
+    }
+
+    // value-field -> entity-name, so entity-create/update/delete on a variable can be attributed
+    const valueEntities = new Map();
+    walk(service, (element) => {
+      const entityName = element.attributes['entity-name'];
+      const valueField = element.attributes['value-field'] || element.attributes.list;
+      if (entityName && valueField && element.name !== 'entity-create') valueEntities.set(valueField, entityName);
+
+      if (ENTITY_WRITE_ELEMENTS.includes(element.name)) {
+        const target = entityName || valueEntities.get(element.attributes['value-field']);
+        checkWrite(target, element, serviceName, filePath, context, violations);
+      } else if (element.name === 'service-call') {
+        const target = entityAutoTarget(element.attributes.name);
+        if (target) checkWrite(target, element, serviceName, filePath, context, violations);
+      } else if (element.name === 'script' && !context.isIntegration) {
+        scanTextLines(element.text, element.line, SERVER_HTTP_PATTERNS, (line, snippet) => violations.push({
+          rule: 'external-call-outside-positivity',
+          severity: 'error',
+          file: context.relative(filePath),
+          line,
+          element: snippet,
+          message: `External HTTP call in service ${serviceName}; route it through durion-positivity`
+        }));
+      }
+    });
+  }
+}
+
+/**
+ * Record a cross-domain write if the entity is owned by another domain
+ */
+function checkWrite(entityName, element, serviceName, filePath, context, violations) {
+  const owner = ownerOf(entityName, context.ownership);
+  if (!owner || owner === context.component || !context.domains.includes(owner)) return;
+  violations.push({
+    rule: 'cross-domain-entity-write',
+    severity: 'error',
+    file: context.relative(filePath),
+    line: element.line,
+    element: describeElement(element),
+    message: `Service ${serviceName} in ${context.component} writes ${entityName}, owned by ${owner}; call a ${owner} service instead`
+  });
+}
+
+/**
+ * Scan Groovy/Java sources: entity writes via the API and external calls
+ */
+function scanCodeFile(filePath, context, violations) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  text.split('\n').forEach((lineText, i) => {
+    const line = i + 1;
+    if (!context.isIntegration && SERVER_HTTP_PATTERNS.some(pattern => pattern.test(lineText))) {
+      violations.push({
+        rule: 'external-call-outside-positivity',
+        severity: 'error',
+        file: context.relative(filePath),
+        line,
+        element: lineText.trim(),
+        message: 'External HTTP call outside durion-positivity'
+      });
+    }
+
+    const writes = [
+      ...[...lineText.matchAll(/makeValue\s*\(\s*["']([\w.]+)["']\s*\)/g)].map(m => m[1]),
+      ...[...lineText.matchAll(/name\s*\(\s*["'](\w+#[\w.]+)["']\s*\)/g)].map(m => entityAutoTarget(m[1])).filter(Boolean),
+      ...(/\.(deleteAll|updateAll)\s*\(/.test(lineText)
+        ? [...lineText.matchAll(/find\s*\(\s*["']([\w.]+)["']\s*\)/g)].map(m => m[1])
+        : [])
+    ];
+    for (const entityName of writes) {
+      const owner = ownerOf(entityName, context.ownership);
+      if (!owner || owner === context.component || !context.domains.includes(owner)) continue;
+      violations.push({
+        rule: 'cross-domain-entity-write',
+        severity: 'error',
+        file: context.relative(filePath),
+        line,
+        element: lineText.trim(),
+        message: `${context.component} writes ${entityName}, owned by ${owner}; call a ${owner} service instead`
+      });
+    }
+  });
+}
+
+/**
+ * Scan Vue single-file components
+ */
+function scanVueFile(filePath, context, violations) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  text.split('\n').forEach((lineText, i) => {
+    if (VUE_ENTITY_REST_PATTERN.test(lineText)) {
+      violations.push({
+        rule: 'screen-entity-access',
+        severity: 'error',
+        file: context.relative(filePath),
+        line: i + 1,
+        element: lineText.trim(),
+        message: 'Vue component uses the entity REST API directly; expose a service REST endpoint instead'
+      });
+    }
+    if (!context.isIntegration && VUE_EXTERNAL_PATTERN.test(lineText)) {
+      violations.push({
+        rule: 'external-call-outside-positivity',
+        severity: 'error',
+        file: context.relative(filePath),
+        line: i + 1,
+        element: lineText.trim(),
+        message: 'Vue component calls an external URL; route it through durion-positivity'
+      });
+    }
+  });
+}
+
+const IGNORED_DIRS = new Set(['node_modules', 'build', 'dist', 'lib', '.gradle']);
+
+/**
+ * Scan one component directory
+ *
+ * options:
+ * - projectRoot: absolute project root
+ * - ownership: entity name -> owning component (see buildOwnership)
+ * - domains: components that own a business domain
+ * - rules: rule ids to report (default all)
+ */
+function scanComponentLayering(component, options) {
+  const { projectRoot, ownership, domains, rules = Object.keys(RULES) } = options;
+  const componentDir = path.join(projectRoot, component.directory);
+  const violations = [];
+  const errors = [];
+
+  const context = {
+    component: component.name,
+    isIntegration: component.name === INTEGRATION_COMPONENT,
+    ownership,
+    domains,
+    relative: filePath => path.relative(projectRoot, filePath)
+  };
+
+  const sourceFiles = (predicate) => listFilesRecursive(componentDir, (name, fullPath) =>
+    predicate(name) && !path.relative(componentDir, fullPath).split(path.sep).some(part => IGNORED_DIRS.has(part))
+  );
+
+  const run = (files, scanner) => {
+    for (const filePath of files) {
+      try {
+        scanner(filePath, context, violations);
+      } catch (e) {
+        errors.push({ file: context.relative(filePath), error: e.message });
+      }
+    }
+  };
+
+  run(listFilesRecursive(path.join(componentDir, 'screen'), name => name.endsWith('.xml')), scanScreenFile);
+  run(listFilesRecursive(path.join(componentDir, 'service'), name => name.endsWith('.xml')), scanServiceFile);
+  run(sourceFiles(name => name.endsWith('.groovy') || name.endsWith('.java')), scanCodeFile);
+  run(sourceFiles(name => name.endsWith('.vue')), scanVueFile);
+
+  return {
+    component: component.name,
+    violations: violations
+      .filter(v => rules.includes(v.rule))
+      .map(v => ({ ...v, ruleText: RULES[v.rule] }))
+      .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line),
+    errors
+  };
+}
+
+module.exports = {
+  RULES,
+  buildOwnership,
+  scanComponentLayering
+};
@@ -0,0 +1,217 @@
+/**
+ * Moqui XML file classification
+ *
+ * Entities, services, ECA rules, screens and REST APIs are all `.xml` files; what tells them apart
+ * is the root element and the `xsi:noNamespaceSchemaLocation` on it. A file is classified by its
+ * schema, then by its root element; a file that cannot be read (e.g. not created yet) falls back
+ * to the usual file name. The schema excerpt for a type is the root element definition from
+ * `framework/xsd` followed by the elements it references, two levels deep.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchApplyTo } = require('./apply-to.js');
+
+const MOQUI_FILE_TYPES = [
+  { type: 'entity', rootElements: ['entities'], schema: 'entity-definition-3.xsd', fileNames: '*Entities.xml' },
+  { type: 'service', rootElements: ['services'], schema: 'service-definition-3.xsd', fileNames: '*Services.xml' },
+  { type: 'service-eca', rootElements: ['secas'], schema: 'service-eca-3.xsd', fileNames: '*.secas.xml' },
+  { type: 'entity-eca', rootElements: ['eecas'], schema: 'entity-eca-3.xsd', fileNames: '*.eecas.xml' },
+  { type: 'email-eca', rootElements: ['emecas'], schema: 'email-eca-3.xsd', fileNames: '*.emecas.xml' },
+  { type: 'screen', rootElements: ['screen', 'screen-extend'], schema: 'xml-screen-3.xsd', fileNames: '**/screen/**/*.xml' },
+  { type: 'rest-api', rootElements: ['resource'], schema: 'rest-api-3.xsd', fileNames: '*.rest.xml' }
+];
+
+// The root element is near the top; a licence comment is the most that precedes it
+const HEAD_BYTES = 64 * 1024;
+
+// Schema excerpts follow element references this many levels below the root
+const REFERENCE_DEPTH = 2;
+
+const SCHEMA_LOCATION = /(?:^|\s)[\w.-]+:noNamespaceSchemaLocation\s*=\s*(["'])(.*?)\1/;
+const TAG = /<!--[\s\S]*?-->|<(\/?)([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+
+function readHead(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEAD_BYTES);
+    const bytes = fs.readSync(fd, buffer, 0, HEAD_BYTES, 0);
+    return buffer.toString('utf-8', 0, bytes);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Root element of an XML document: { name, schemaLocation } or null
+ */
+function readRootElement(content) {
+  const text = content
+    .replace(/^\uFEFF/, '')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/i, '');
+  const start = text.match(/<([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*)\/?>/);
+  if (!start) return null;
+  const location = start[2].match(SCHEMA_LOCATION);
+  return { name: start[1], schemaLocation: location ? location[2] : undefined };
+}
+
+/**
+ * Classify a Moqui XML file
+ *
+ * Returns { type, rootElement, schemaLocation, schema, classifiedBy: 'schema' | 'root-element' | 'file-name' },
+ * or null when the file is not one of the Moqui types (e.g. web.xml, log4j2.xml)
+ */
+function classifyMoquiXml(filePath, projectRoot) {
+  const absolutePath = path.resolve(projectRoot || '.', filePath);
+  let root = null;
+  if (fs.existsSync(absolutePath) && fs.statSync(absolutePath).isFile()) {
+    root = readRootElement(readHead(absolutePath));
+  }
+
+  if (root) {
+    const schemaName = root.schemaLocation && root.schemaLocation.split('/').pop();
+    const bySchema = schemaName && MOQUI_FILE_TYPES.find(t => t.schema === schemaName);
+    const byRoot = MOQUI_FILE_TYPES.find(t => t.rootElements.includes(root.name));
+    const match = bySchema || byRoot;
+    if (!match) return null;
+    return {
+      type: match.type,
+      rootElement: root.name,
+      schemaLocation: root.schemaLocation,
+      schema: match.schema,
+      classifiedBy: bySchema ? 'schema' : 'root-element'
+    };
+  }
+
+  // Not readable or not XML yet: go by the naming conventions
+  const byName = MOQUI_FILE_TYPES.find(t => matchApplyTo(t.fileNames, filePath, projectRoot).matches);
+  return byName ? { type: byName.type, schema: byName.schema, classifiedBy: 'file-name' } : null;
+}
+
+/**
+ * Top-level named elements of a schema: Map name -> source text
+ */
+function topLevelElements(xsd) {
+  const elements = new Map();
+  let depth = 0;
+  let current = null;
+  for (const match of xsd.matchAll(TAG)) {
+    const [text, closing, name, attributes, selfClosing] = match;
+    if (!name) continue;
+    if (closing) {
+      depth--;
+      if (depth === 1 && current) {
+        elements.set(current.name, xsd.slice(current.start, match.index + text.length));
+        current = null;
+      }
+      continue;
+    }
+    if (depth === 1 && name === 'xs:element') {
+      const elementName = attributes.match(/\bname\s*=\s*"([^"]+)"/);
+      if (elementName && selfClosing) elements.set(elementName[1], text);
+      else if (elementName) current = { name: elementName[1], start: match.index };
+    }
+    if (!selfClosing) depth++;
+  }
+  return elements;
+}
+
+function dedent(text) {
+  return text.replace(/\n {4}/g, '\n');
+}
+
+/**
+ * Element definition without documentation and comments
+ */
+function compact(text) {
+  return text
+    .replace(/<xs:annotation>[\s\S]*?<\/xs:annotation>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(xs:\w+)([^>]*?)>\s*<\/\1>/g, '<$1$2/>')
+    .replace(/\n\s*\n/g, '\n');
+}
+
+/**
+ * Schema excerpt for a Moqui file type
+ *
+ * Returns { schema, rootElement, elements, compactedElements, omittedElements, includes, content, truncated },
+ * or null when the type or its schema file is unknown. Referenced elements are added level by level in document
+ * order while they fit maxChars; one that only fits without its documentation is added without it.
+ */
+function schemaExcerpt(xsdDir, type, rootElement, maxChars = 6000) {
+  const fileType = MOQUI_FILE_TYPES.find(t => t.type === type);
+  if (!fileType) return null;
+  const schemaPath = path.join(xsdDir, fileType.schema);
+  if (!fs.existsSync(schemaPath)) return null;
+
+  const xsd = fs.readFileSync(schemaPath, 'utf-8');
+  const elements = topLevelElements(xsd);
+  const root = elements.has(rootElement) ? rootElement : fileType.rootElements.find(name => elements.has(name));
+  if (!root) return null;
+
+  const included = [];
+  const compacted = [];
+  const omitted = [];
+  const parts = [];
+  let used = 0;
+  const add = (name, text) => {
+    parts.push(text);
+    included.push(name);
+    used += text.length + 2;
+  };
+
+  let rootText = dedent(elements.get(root));
+  if (rootText.length > maxChars) {
+    rootText = dedent(compact(elements.get(root)));
+    compacted.push(root);
+  }
+  const truncated = rootText.length > maxChars;
+  add(root, truncated ? rootText.substring(0, maxChars) : rootText);
+
+  // Breadth first: the elements the root references, then the ones those reference
+  const references = name => [...elements.get(name).matchAll(/\bref\s*=\s*"([\w.-]+)"/g)]
+    .map(m => m[1])
+    .filter(ref => elements.has(ref));
+  const seen = new Set([root]);
+  let level = [root];
+  for (let depth = 1; depth <= REFERENCE_DEPTH && level.length; depth++) {
+    const next = [];
+    for (const name of level.flatMap(references)) {
+      if (seen.has(name)) continue;
+      seen.add(name);
+      const full = dedent(elements.get(name));
+      const short = dedent(compact(elements.get(name)));
+      if (used + full.length <= maxChars) {
+        add(name, full);
+      } else if (used + short.length <= maxChars) {
+        add(name, short);
+        compacted.push(name);
+      } else {
+        omitted.push(name);
+        continue;
+      }
+      next.push(name);
+    }
+    level = next;
+  }
+
+  return {
+    schema: fileType.schema,
+    rootElement: root,
+    elements: included,
+    compactedElements: compacted,
+    omittedElements: omitted,
+    includes: [...xsd.matchAll(/<xs:include\s+schemaLocation="([^"]+)"/g)].map(m => m[1]),
+    content: parts.join('\n\n'),
+    truncated
+  };
+}
+
+module.exports = {
+  MOQUI_FILE_TYPES,
+  readRootElement,
+  classifyMoquiXml,
+  schemaExcerpt
+};
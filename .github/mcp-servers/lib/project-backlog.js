@@ -0,0 +1,349 @@
+/**
+ * Durion prototype backlog
+ *
+ * Reads the starter issue files (`starter_issues.json`, `starter_issues.csv`) and the
+ * GitHub project definition (`.github/docs/architecture/project.json`), maps issue
+ * labels onto project fields and Durion components, and validates both against
+ * the project schema.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * `domain:*` label -> project Domain option and owning component.
+ * Shop Management is delivered by the Work Execution team (moqui-domain-RACI.md),
+ * UI work lands in the UI tier component.
+ */
+const DOMAIN_LABELS = {
+  workexec: { domain: 'Work Execution', component: 'durion-workexec' },
+  inventory: { domain: 'Inventory', component: 'durion-inventory' },
+  product: { domain: 'Product & Pricing', component: 'durion-product' },
+  crm: { domain: 'CRM', component: 'durion-crm' },
+  accounting: { domain: 'Accounting', component: 'durion-accounting' },
+  shopmgmt: { domain: 'Shop Management', component: 'durion-workexec' },
+  positivity: { domain: 'Positivity', component: 'durion-positivity', layer: 'Positivity' },
+  ui: { domain: 'UI', component: 'durion-theme', layer: 'UI – Web' },
+  'ui-mobile': { domain: 'UI', component: 'durion-theme', layer: 'UI – Mobile' },
+  mcp: { domain: 'MCP', component: 'durion-mcp', layer: 'MCP' }
+};
+
+/**
+ * Plain labels -> project Layer option
+ */
+const LAYER_LABELS = {
+  'moqui-base': 'Moqui Base',
+  experience: 'Experience',
+  ui: 'UI – Web',
+  mcp: 'MCP',
+  positivity: 'Positivity'
+};
+
+/**
+ * `ai:*` label -> project AI Role option
+ */
+const AI_ROLE_LABELS = {
+  clarification: 'Clarification',
+  scaffolding: 'Scaffolding',
+  regression: 'Regression'
+};
+
+// Labels with meaning to project automation rather than fields
+const WORKFLOW_LABELS = ['ready'];
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, doubled quotes, newlines in quotes)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+/**
+ * Read issues from a JSON array file
+ */
+function readIssuesJson(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const items = Array.isArray(data) ? data : data.issues;
+  if (!Array.isArray(items)) throw new Error('Expected an array of issues or { "issues": [...] }');
+  return items.map((item, i) => ({
+    ...item,
+    labels: Array.isArray(item.labels) ? item.labels : String(item.labels || '').split(',').map(l => l.trim()).filter(Boolean),
+    index: i
+  }));
+}
+
+/**
+ * Read issues from a CSV file with a title,body,labels header
+ */
+function readIssuesCsv(filePath) {
+  const [header, ...rows] = parseCsv(fs.readFileSync(filePath, 'utf-8'));
+  const columns = header.map(name => name.trim().toLowerCase());
+  return rows.map((cells, i) => {
+    const record = Object.fromEntries(columns.map((name, c) => [name, cells[c] !== undefined ? cells[c] : '']));
+    return {
+      ...record,
+      labels: String(record.labels || '').split(',').map(l => l.trim()).filter(Boolean),
+      index: i,
+      // Header is line 1; assumes no embedded newlines, which the starter file does not use
+      line: i + 2
+    };
+  });
+}
+
+/**
+ * Derive project fields and component from an issue's labels
+ */
+function classifyIssue(issue) {
+  const domainLabels = issue.labels.filter(l => l.startsWith('domain:')).map(l => l.slice('domain:'.length));
+  const mapped = domainLabels.map(name => DOMAIN_LABELS[name]).filter(Boolean);
+  const layers = [
+    ...issue.labels.map(l => LAYER_LABELS[l]),
+    ...mapped.map(m => m.layer)
+  ].filter(Boolean);
+  const aiRoles = issue.labels
+    .filter(l => l.startsWith('ai:'))
+    .map(l => AI_ROLE_LABELS[l.slice('ai:'.length)])
+    .filter(Boolean);
+
+  return {
+    domains: [...new Set(mapped.map(m => m.domain))],
+    components: [...new Set(mapped.map(m => m.component))],
+    layers: [...new Set(layers)],
+    aiRoles: [...new Set(aiRoles)],
+    domainLabels
+  };
+}
+
+/**
+ * Load issue files relative to the project root, keyed by format
+ */
+function loadIssues(projectRoot, files) {
+  const sources = {};
+  const errors = [];
+  for (const file of files) {
+    const filePath = path.join(projectRoot, file);
+    const format = path.extname(file).slice(1);
+    if (!fs.existsSync(filePath)) {
+      errors.push({ file, error: 'File not found' });
+      continue;
+    }
+    try {
+      const issues = format === 'csv' ? readIssuesCsv(filePath) : readIssuesJson(filePath);
+      sources[format] = {
+        file,
+        issues: issues.map(issue => ({ ...issue, ...classifyIssue(issue) }))
+      };
+    } catch (e) {
+      errors.push({ file, error: e.message });
+    }
+  }
+  return { sources, errors };
+}
+
+/**
+ * Load the project definition
+ */
+function loadProjectDefinition(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (!data.project || !Array.isArray(data.project.fields)) {
+    throw new Error('Expected { "project": { "fields": [...] } }');
+  }
+  return data.project;
+}
+
+function fieldNamed(project, name) {
+  return project.fields.find(field => field.name === name);
+}
+
+/**
+ * Check a value against a project field definition; returns an error message or null
+ */
+function checkFieldValue(field, value) {
+  switch (field.dataType) {
+    case 'single_select':
+      return field.options.includes(value) ? null : `"${value}" is not an option of ${field.name} (${field.options.join(', ')})`;
+    case 'number':
+      return typeof value === 'number' || (value !== '' && !isNaN(Number(value))) ? null : `${field.name} must be a number, got "${value}"`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate the project definition itself: views, sorts and automation reference real fields and options
+ */
+function validateProjectDefinition(project) {
+  const errors = [];
+  const optionsOf = name => (fieldNamed(project, name) || {}).options;
+
+  for (const field of project.fields) {
+    if (field.dataType === 'single_select') {
+      if (!Array.isArray(field.options) || !field.options.length) {
+        errors.push({ where: `field ${field.name}`, error: 'single_select field has no options' });
+      } else if (field.defaultOption && !field.options.includes(field.defaultOption)) {
+        errors.push({ where: `field ${field.name}`, error: `defaultOption "${field.defaultOption}" is not an option` });
+      }
+    }
+  }
+
+  for (const view of project.views || []) {
+    const where = `view ${view.name}`;
+    if (view.groupByField) {
+      const options = optionsOf(view.groupByField);
+      if (!fieldNamed(project, view.groupByField)) {
+        errors.push({ where, error: `groupByField "${view.groupByField}" is not a project field` });
+      } else if (options && view.type === 'board') {
+        for (const column of view.columns || []) {
+          if (!options.includes(column)) errors.push({ where, error: `column "${column}" is not an option of ${view.groupByField}` });
+        }
+      }
+    } else if (view.type === 'table') {
+      for (const column of view.columns || []) {
+        if (column !== 'Title' && !fieldNamed(project, column)) errors.push({ where, error: `column "${column}" is not a project field` });
+      }
+    }
+    if (view.sort && !fieldNamed(project, view.sort.field)) {
+      errors.push({ where, error: `sort field "${view.sort.field}" is not a project field` });
+    }
+  }
+
+  for (const rule of project.automation || []) {
+    const action = rule.action || {};
+    if (action.type !== 'set_field') continue;
+    const field = fieldNamed(project, action.field);
+    if (!field) {
+      errors.push({ where: `automation ${rule.name}`, error: `field "${action.field}" is not a project field` });
+      continue;
+    }
+    const problem = checkFieldValue(field, action.value);
+    if (problem) errors.push({ where: `automation ${rule.name}`, error: problem });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate one issue against the project schema
+ */
+function validateIssue(issue, project) {
+  const errors = [];
+  const warnings = [];
+
+  if (!issue.title || !String(issue.title).trim()) errors.push('Missing title');
+  if (!issue.body || !String(issue.body).trim()) warnings.push('Missing body');
+
+  if (issue.domainLabels.length === 0) {
+    errors.push('No domain:* label');
+  } else if (issue.domains.length > 1) {
+    warnings.push(`Several domains: ${issue.domains.join(', ')}`);
+  }
+  for (const name of issue.domainLabels) {
+    if (!DOMAIN_LABELS[name]) errors.push(`Unknown domain label "domain:${name}"`);
+  }
+
+  for (const [fieldName, values] of [['Domain', issue.domains], ['Layer', issue.layers], ['AI Role', issue.aiRoles]]) {
+    const field = fieldNamed(project, fieldName);
+    if (!field) continue;
+    for (const value of values) {
+      const problem = checkFieldValue(field, value);
+      if (problem) errors.push(problem);
+    }
+  }
+  if (!issue.layers.length) warnings.push('No layer label (moqui-base, experience, ui, mcp, positivity)');
+
+  for (const label of issue.labels) {
+    if (label.startsWith('ai:') && !AI_ROLE_LABELS[label.slice(3)]) errors.push(`Unknown AI role label "${label}"`);
+    const known = label.startsWith('domain:') || label.startsWith('ai:') || LAYER_LABELS[label] || WORKFLOW_LABELS.includes(label);
+    if (!known) warnings.push(`Label "${label}" does not map to a project field`);
+  }
+
+  // Explicit field values, e.g. { "fields": { "Priority": "P1" } }
+  for (const [name, value] of Object.entries(issue.fields || {})) {
+    const field = fieldNamed(project, name);
+    if (!field) {
+      errors.push(`Unknown project field "${name}"`);
+      continue;
+    }
+    const problem = checkFieldValue(field, value);
+    if (problem) errors.push(problem);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Title comparison key that ignores whitespace (the JSON file has spaces stripped)
+ */
+function titleKey(title) {
+  return String(title || '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Compare the JSON and CSV issue lists
+ */
+function compareSources(jsonIssues, csvIssues) {
+  const jsonByTitle = new Map(jsonIssues.map(issue => [titleKey(issue.title), issue]));
+  const csvByTitle = new Map(csvIssues.map(issue => [titleKey(issue.title), issue]));
+  const labelMismatches = [];
+
+  for (const [key, jsonIssue] of jsonByTitle) {
+    const csvIssue = csvByTitle.get(key);
+    if (!csvIssue) continue;
+    const a = [...jsonIssue.labels].sort().join(',');
+    const b = [...csvIssue.labels].sort().join(',');
+    if (a !== b) labelMismatches.push({ title: csvIssue.title, json: jsonIssue.labels, csv: csvIssue.labels });
+  }
+
+  return {
+    onlyInJson: jsonIssues.filter(issue => !csvByTitle.has(titleKey(issue.title))).map(issue => issue.title),
+    onlyInCsv: csvIssues.filter(issue => !jsonByTitle.has(titleKey(issue.title))).map(issue => issue.title),
+    labelMismatches
+  };
+}
+
+module.exports = {
+  DOMAIN_LABELS,
+  LAYER_LABELS,
+  AI_ROLE_LABELS,
+  parseCsv,
+  loadIssues,
+  loadProjectDefinition,
+  validateProjectDefinition,
+  validateIssue,
+  compareSources
+};
@@ -0,0 +1,242 @@
+/**
+ * Live project overview and directory tree
+ *
+ * Versions are read from the build files rather than assumed: the Moqui version from
+ * `framework/build.gradle`, the Java level from a toolchain, `release` or `sourceCompatibility`
+ * setting in `build.gradle` or `framework/build.gradle`, Groovy from the framework dependencies and
+ * Gradle from the wrapper properties. Agents are the markdown files in `.github/agents`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter.js');
+
+const BUILD_FILES = ['build.gradle', 'framework/build.gradle'];
+
+// Directories that are runtime state or build output, not project structure
+const SKIPPED_DIRECTORIES = new Set([
+  '.git', '.gradle', '.idea', 'node_modules', 'build', 'out',
+  'runtime/db', 'runtime/log', 'runtime/txlog', 'runtime/sessions', 'runtime/tmp',
+  'runtime/elasticsearch', 'runtime/opensearch'
+]);
+
+// What the standard Moqui and Copilot directories hold
+const DIRECTORY_NOTES = {
+  '.github': 'Copilot agents, instructions, prompts, MCP servers and workflows',
+  '.github/agents': 'Agent guides',
+  '.github/instructions': 'Coding instructions, selected by their applyTo globs',
+  '.github/prompts': 'Prompt templates',
+  '.github/docs': 'Architecture and governance documentation',
+  '.github/mcp-servers': 'MCP servers for agents, instructions and project analysis',
+  '.github/mcp-servers/lib': 'Shared server modules',
+  '.github/scripts': 'Orchestration and context budget scripts',
+  '.github/workflows': 'GitHub Actions workflows',
+  docker: 'Docker and compose files',
+  framework: 'Moqui framework',
+  'framework/data': 'Framework seed and type data',
+  'framework/entity': 'Framework entity definitions',
+  'framework/lib': 'Local jars',
+  'framework/screen': 'Framework screens (tools, system apps)',
+  'framework/service': 'Framework services',
+  'framework/src': 'Framework Java and Groovy source',
+  'framework/template': 'FreeMarker templates',
+  'framework/xsd': 'XML schemas for entity, service, screen and REST files',
+  gradle: 'Gradle wrapper',
+  runtime: 'Moqui runtime (components, configuration, databases, logs)',
+  'runtime/base-component': 'Base components shipped with the runtime',
+  'runtime/component': 'Add-on components',
+  'runtime/conf': 'Moqui configuration (MoquiDevConf.xml, MoquiProductionConf.xml)',
+  'runtime/lib': 'Runtime jars',
+  scripts: 'Project scripts'
+};
+
+// What the standard directories inside a component hold
+const COMPONENT_DIRECTORY_NOTES = {
+  data: 'Seed, demo and configuration data',
+  entity: 'Entity definitions',
+  screen: 'XML screens',
+  service: 'Service definitions and REST APIs',
+  src: 'Java and Groovy source',
+  template: 'Templates',
+  webapp: 'Web resources'
+};
+
+function readIfExists(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+}
+
+/**
+ * Drop // and /* *\/ comments so commented-out settings are not reported
+ */
+function stripGradleComments(content) {
+  return content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:])\/\/.*$/gm, '$1');
+}
+
+function javaLevel(value) {
+  const match = String(value).match(/(?:VERSION_)?(1_)?(\d+)/);
+  return match ? match[2] : String(value);
+}
+
+/**
+ * Java settings of one Gradle build file: toolchain, release, source and target compatibility
+ */
+function readJavaSettings(content) {
+  const settings = {};
+  const toolchain = content.match(/languageVersion\s*(?:=|\.set\()\s*JavaLanguageVersion\.of\(\s*['"]?(\d+)/);
+  if (toolchain) settings.toolchain = toolchain[1];
+  const release = content.match(/options\.release\s*(?:=|\.set\()\s*['"]?(\d+)/);
+  if (release) settings.release = release[1];
+  const source = content.match(/sourceCompatibility\s*=\s*(?:JavaVersion\.)?['"]?([\w.]+)/);
+  if (source) settings.sourceCompatibility = javaLevel(source[1]);
+  const target = content.match(/targetCompatibility\s*=\s*(?:JavaVersion\.)?['"]?([\w.]+)/);
+  if (target) settings.targetCompatibility = javaLevel(target[1]);
+  return settings;
+}
+
+/**
+ * Build information from the Gradle files; fields that cannot be found are left out
+ */
+function readBuildInfo(projectRoot) {
+  const info = { buildSystem: 'Gradle', sources: {} };
+
+  const framework = readIfExists(path.join(projectRoot, 'framework/build.gradle'));
+  if (framework) {
+    const content = stripGradleComments(framework);
+    const version = content.match(/^\s*version\s*=\s*['"]([^'"]+)['"]/m);
+    if (version) {
+      info.moquiVersion = version[1];
+      info.sources.moquiVersion = 'framework/build.gradle';
+    }
+    const groovy = content.match(/['"]org\.(?:codehaus|apache)\.groovy:groovy:([^'"]+)['"]/);
+    if (groovy) {
+      info.groovyVersion = groovy[1];
+      info.sources.groovyVersion = 'framework/build.gradle';
+    }
+  }
+
+  // The first build file with a Java setting decides; the root build wins over the framework's
+  for (const file of BUILD_FILES) {
+    const content = readIfExists(path.join(projectRoot, file));
+    if (!content) continue;
+    const settings = readJavaSettings(stripGradleComments(content));
+    if (!Object.keys(settings).length) continue;
+    info.java = {
+      version: settings.toolchain || settings.release || settings.sourceCompatibility || settings.targetCompatibility,
+      ...settings
+    };
+    info.sources.java = file;
+    break;
+  }
+
+  const wrapper = readIfExists(path.join(projectRoot, 'gradle/wrapper/gradle-wrapper.properties'));
+  const gradle = wrapper && wrapper.match(/gradle-([\d.]+(?:-[\w.]+)?)-(?:bin|all)\.zip/);
+  if (gradle) {
+    info.gradleVersion = gradle[1];
+    info.sources.gradleVersion = 'gradle/wrapper/gradle-wrapper.properties';
+  }
+
+  const properties = readIfExists(path.join(projectRoot, 'gradle.properties'));
+  const javaHome = properties && properties.match(/^\s*org\.gradle\.java\.home\s*=\s*(.+)$/m);
+  if (javaHome) info.gradleJavaHome = javaHome[1].trim();
+
+  return info;
+}
+
+/**
+ * Agent guides: [{ name, displayName, description }]
+ */
+function listAgents(agentsPath) {
+  if (!fs.existsSync(agentsPath)) return [];
+  return fs.readdirSync(agentsPath)
+    .filter(file => file.endsWith('.md'))
+    .sort()
+    .map(file => {
+      const { data } = parseFrontmatter(fs.readFileSync(path.join(agentsPath, file), 'utf-8'));
+      return {
+        name: file.replace(/\.md$/, ''),
+        displayName: data.name || undefined,
+        description: data.description ? String(data.description).trim() : undefined
+      };
+    });
+}
+
+/**
+ * Annotated directory tree to a depth
+ *
+ * options: { depth, includeFiles, maxEntries (per directory), notes (relative path -> note) }.
+ * Returns { tree (text), directories, files, elided: [relative paths of directories not expanded] }.
+ */
+function buildDirectoryTree(projectRoot, relativePath = '', { depth = 2, includeFiles = false, maxEntries = 40, notes = {} } = {}) {
+  const counts = { directories: 0, files: 0 };
+  const elided = [];
+  const lines = [`${relativePath || path.basename(projectRoot)}/${noteFor(relativePath, notes)}`];
+
+  const walk = (relative, level, prefix) => {
+    const absolute = path.join(projectRoot, relative);
+    let entries = fs.readdirSync(absolute, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() || (includeFiles && entry.isFile()))
+      .filter(entry => !SKIPPED_DIRECTORIES.has(entry.name) && !SKIPPED_DIRECTORIES.has(path.posix.join(relative, entry.name)))
+      .sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+    const hidden = Math.max(0, entries.length - maxEntries);
+    entries = entries.slice(0, maxEntries);
+
+    entries.forEach((entry, index) => {
+      const last = index === entries.length - 1 && !hidden;
+      const child = path.posix.join(relative, entry.name);
+      const branch = `${prefix}${last ? '└── ' : '├── '}`;
+      if (!entry.isDirectory()) {
+        counts.files++;
+        lines.push(`${branch}${entry.name}${noteFor(child, notes)}`);
+        return;
+      }
+      counts.directories++;
+      if (level >= depth) {
+        const size = fs.readdirSync(path.join(projectRoot, child)).length;
+        if (size) elided.push(child);
+        lines.push(`${branch}${entry.name}/${noteFor(child, notes)}${size ? ` (${size} ${size === 1 ? 'entry' : 'entries'})` : ''}`);
+        return;
+      }
+      lines.push(`${branch}${entry.name}/${noteFor(child, notes)}`);
+      walk(child, level + 1, `${prefix}${last ? '    ' : '│   '}`);
+    });
+    if (hidden) lines.push(`${prefix}└── ... ${hidden} more`);
+  };
+
+  walk(relativePath, 1, '');
+  return { tree: lines.join('\n'), ...counts, elided };
+}
+
+function noteFor(relative, notes) {
+  return notes[relative] ? `  # ${notes[relative]}` : '';
+}
+
+/**
+ * Notes for the tree: the standard directories, plus each component's version, dependencies and
+ * standard subdirectories from the component catalog
+ */
+function directoryNotes(catalog) {
+  const notes = { ...DIRECTORY_NOTES };
+  for (const component of catalog.components.values()) {
+    if (!component.onDisk) continue;
+    const details = [
+      component.version && `v${component.version}`,
+      component.dependencies.length && `depends on ${component.dependencies.join(', ')}`,
+      component.declaredInAddons && 'declared in myaddons.xml'
+    ].filter(Boolean);
+    const directory = component.directory.split(path.sep).join('/');
+    notes[directory] = `Component ${component.name}${details.length ? ` (${details.join('; ')})` : ''}`;
+    for (const [name, note] of Object.entries(COMPONENT_DIRECTORY_NOTES)) {
+      notes[`${directory}/${name}`] = note;
+    }
+  }
+  return notes;
+}
+
+module.exports = {
+  DIRECTORY_NOTES,
+  readBuildInfo,
+  readJavaSettings,
+  listAgents,
+  buildDirectoryTree,
+  directoryNotes
+};
@@ -0,0 +1,224 @@
+/**
+ * Prompt file placeholders
+ *
+ * Prompt files use VS Code style variables:
+ * - `${input:DecisionTitle}` / `${input:DecisionTitle:hint}` ask the user for a value (required)
+ * - `${file}`, `${selection}`, `${fileBasename}`, ... describe the editor context (optional)
+ * - `${PROJECT_TYPE="Auto-detect|Java|Other"}` declares a setting with its options (the first is
+ *   the default) and `${PROJECT_TYPE}` refers to it
+ * Other `${...}` text (build properties such as `${junit.version}`, expressions) is left alone.
+ *
+ * Rendering substitutes the values, expands `#file:path` references in place and appends
+ * the files the prompt links to (and the `file` variable) as fenced blocks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VARIABLE = /\$\{([^{}]+)\}/g;
+const FILE_REFERENCE = /#file:([^\s`'"()[\]<>]+)/g;
+const MARKDOWN_LINK = /\[[^\]]*\]\(([^)\s]+)\)/g;
+
+const CONTEXT_VARIABLES = {
+  file: 'Path of the current file, relative to the project root',
+  fileBasename: 'Name of the current file',
+  fileBasenameNoExtension: 'Name of the current file without extension',
+  fileDirname: 'Directory of the current file',
+  selection: 'Text selected in the editor',
+  selectedText: 'Text selected in the editor',
+  workspaceFolder: 'Project root'
+};
+
+// Inlined files are capped so one large file cannot swamp the prompt
+const MAX_INLINE_CHARS = 100000;
+
+const FENCE_LANGUAGES = { md: 'markdown', js: 'javascript', ts: 'typescript', yml: 'yaml', kt: 'kotlin', py: 'python' };
+
+/**
+ * Classify the body of one `${...}`; null for text that is not a prompt variable
+ */
+function parseVariable(expression) {
+  const input = expression.match(/^input:([A-Za-z_][\w-]*)(?::([\s\S]*))?$/);
+  if (input) return { name: input[1], kind: 'input', hint: input[2] && input[2].trim() };
+
+  const setting = expression.match(/^([A-Za-z_]\w*)\s*=(?!=)\s*([\s\S]+)$/);
+  if (setting) {
+    const options = setting[2].trim().replace(/^"([\s\S]*)"$/, '$1').split('|').map(o => o.trim());
+    return { name: setting[1], kind: 'setting', declaration: true, options };
+  }
+
+  const name = expression.trim();
+  if (CONTEXT_VARIABLES[name]) return { name, kind: 'context' };
+  if (/^[A-Z][A-Z0-9_]*$/.test(name)) return { name, kind: 'setting' };
+  return null;
+}
+
+/**
+ * Every variable a template expects, in order of first use
+ *
+ * Returns [{ name, kind: 'input' | 'context' | 'setting', required, description, options?, default? }]
+ */
+function templateVariables(content) {
+  const variables = new Map();
+  for (const [, expression] of content.matchAll(VARIABLE)) {
+    const parsed = parseVariable(expression);
+    if (!parsed) continue;
+    const existing = variables.get(parsed.name);
+    if (!existing) {
+      variables.set(parsed.name, {
+        name: parsed.name,
+        kind: parsed.kind,
+        required: parsed.kind === 'input',
+        description: parsed.hint || CONTEXT_VARIABLES[parsed.name],
+        options: parsed.options,
+        default: parsed.options ? parsed.options[0] : undefined
+      });
+    } else {
+      if (!existing.description && parsed.hint) existing.description = parsed.hint;
+      if (!existing.options && parsed.options) {
+        existing.options = parsed.options;
+        existing.default = parsed.options[0];
+      }
+    }
+  }
+  return [...variables.values()].map(variable => {
+    const description = variable.description ||
+      (variable.kind === 'input' ? `Value for \${input:${variable.name}}` : `Setting ${variable.name}`);
+    const result = { ...variable, description };
+    if (variable.options && variable.options.length > 1) {
+      result.description = `${description} (${variable.options.join(' | ')})`;
+    }
+    if (!result.options) delete result.options;
+    if (result.default === undefined) delete result.default;
+    return result;
+  });
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Resolve a referenced path inside the project root; null when it escapes the root
+ */
+function resolveInside(projectRoot, baseDir, reference) {
+  const resolved = path.resolve(baseDir, reference);
+  const root = path.resolve(projectRoot);
+  return resolved === root || resolved.startsWith(root + path.sep) ? resolved : null;
+}
+
+/**
+ * Read a referenced file for inlining: { path, text } or { path, error }
+ */
+function readReferencedFile(projectRoot, candidates, reference) {
+  for (const baseDir of candidates) {
+    const resolved = resolveInside(projectRoot, baseDir, reference);
+    if (!resolved) return { path: reference, error: 'Path is outside the project root' };
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) continue;
+    const content = fs.readFileSync(resolved, 'utf-8');
+    return {
+      path: path.relative(projectRoot, resolved),
+      text: content.length > MAX_INLINE_CHARS ? content.slice(0, MAX_INLINE_CHARS) : content,
+      truncated: content.length > MAX_INLINE_CHARS
+    };
+  }
+  return { path: reference, error: 'File not found' };
+}
+
+/**
+ * File content as a fenced block, with a fence longer than any backtick run inside it
+ */
+function fencedFile(file) {
+  const longest = Math.max(2, ...(file.text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const extension = path.extname(file.path).slice(1).toLowerCase();
+  const language = FENCE_LANGUAGES[extension] || extension;
+  const note = file.truncated ? ` (first ${MAX_INLINE_CHARS} characters)` : '';
+  return `\`${file.path}\`${note}:\n\n${fence}${language}\n${file.text.replace(/\n$/, '')}\n${fence}`;
+}
+
+/**
+ * Render a prompt body
+ *
+ * values: variable name -> value (inputs, context variables, settings)
+ * options.projectRoot: base for `#file:` references and the `file` variable
+ * options.promptDir: directory of the prompt file, base for relative markdown links
+ * options.inlineFiles: append linked files and `${file}` (default true)
+ * Returns { text, variables, missing, unresolved, files }
+ */
+function renderPrompt(content, values = {}, { projectRoot, promptDir = projectRoot, inlineFiles = true } = {}) {
+  const variables = templateVariables(content);
+  const missing = variables.filter(v => v.required && isBlank(values[v.name])).map(v => v.name);
+  const resolved = { workspaceFolder: projectRoot };
+  for (const variable of variables) {
+    if (variable.default !== undefined) resolved[variable.name] = variable.default;
+  }
+  if (!isBlank(values.file)) {
+    const file = String(values.file);
+    const extension = path.extname(file);
+    Object.assign(resolved, {
+      fileBasename: path.basename(file),
+      fileBasenameNoExtension: path.basename(file, extension),
+      fileDirname: path.dirname(file)
+    });
+  }
+  if (!isBlank(values.selection) && isBlank(values.selectedText)) resolved.selectedText = values.selection;
+  for (const [name, value] of Object.entries(values)) {
+    if (!isBlank(value)) resolved[name] = value;
+  }
+
+  const unresolved = new Set();
+  const files = [];
+
+  let text = content.replace(VARIABLE, (placeholder, expression) => {
+    const parsed = parseVariable(expression);
+    if (!parsed) return placeholder;
+    if (isBlank(resolved[parsed.name])) {
+      unresolved.add(parsed.name);
+      return placeholder;
+    }
+    return String(resolved[parsed.name]);
+  });
+
+  text = text.replace(FILE_REFERENCE, (reference, target) => {
+    const bases = /^\.\.?\//.test(target) ? [promptDir] : [projectRoot];
+    const file = readReferencedFile(projectRoot, bases, target);
+    files.push({ path: file.path, source: '#file', chars: file.text ? file.text.length : 0, truncated: file.truncated, error: file.error });
+    return file.error ? reference : `\n${fencedFile(file)}\n`;
+  });
+
+  if (inlineFiles) {
+    const appended = [];
+    const references = [
+      ...(isBlank(values.file) ? [] : [{ target: String(values.file), bases: [projectRoot], source: 'file variable' }]),
+      ...[...content.matchAll(MARKDOWN_LINK)]
+        .map(match => match[1].split('#')[0])
+        .filter(target => target && !/^[a-z][\w+.-]*:/i.test(target))
+        .map(target => ({ target, bases: [promptDir, projectRoot], source: 'link' }))
+    ];
+    // Files already expanded in place by #file: are not repeated
+    const seen = new Set(files.filter(file => !file.error).map(file => file.path));
+    for (const { target, bases, source } of references) {
+      const file = readReferencedFile(projectRoot, bases, target);
+      if (seen.has(file.path)) continue;
+      seen.add(file.path);
+      files.push({ path: file.path, source, chars: file.text ? file.text.length : 0, truncated: file.truncated, error: file.error });
+      if (!file.error) appended.push(fencedFile(file));
+    }
+    if (appended.length) text = `${text.replace(/\s+$/, '')}\n\n## Referenced files\n\n${appended.join('\n\n')}\n`;
+  }
+
+  return {
+    text: text.trim(),
+    variables: variables.map(variable => ({ ...variable, provided: !isBlank(values[variable.name]) })),
+    missing,
+    unresolved: [...unresolved],
+    files: files.map(file => Object.fromEntries(Object.entries(file).filter(([, v]) => v !== undefined && v !== false)))
+  };
+}
+
+module.exports = {
+  CONTEXT_VARIABLES,
+  templateVariables,
+  renderPrompt
+};
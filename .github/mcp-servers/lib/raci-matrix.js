@@ -0,0 +1,278 @@
+/**
+ * RACI matrix parser
+ *
+ * Reads the RACI markdown documents in `.github/docs/architecture` into
+ * activities with their Responsible / Accountable / Consulted / Informed parties.
+ * Two layouts are understood:
+ * - markdown tables with an activity column and one column per party, cells holding
+ *   R, A, C, I (bold marks the lead) or — for not involved
+ * - per-domain sections with `**Responsible:** Team` style lines, and
+ *   `**Some Agent:** task` lines in agent sections
+ * Tables whose first column is "Domain" list domains as rows; each row is read
+ * as the domain's assignments for the area in each column.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROLE_KEYS = {
+  R: 'responsible',
+  A: 'accountable',
+  C: 'consulted',
+  I: 'informed'
+};
+
+const ROLE_LINE = /^\*\*(Responsible|Accountable|Consulted|Informed):\*\*\s*(.+)$/;
+const AGENT_LINE = /^\*\*([^*]*Agent):\*\*\s*(.+)$/;
+
+/**
+ * Heading text without markdown emphasis, emoji and numbering
+ */
+function cleanHeading(text) {
+  return text.replace(/\*\*/g, '').replace(/^[^A-Za-z]+/, '').trim();
+}
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * RACI letters in a table cell, e.g. "**R**" -> { letters: ['R'], lead: true }
+ */
+function parseCell(cell) {
+  const plain = cell.replace(/\*/g, '').trim();
+  if (!/^[RACI](\s*[/,]\s*[RACI])*$/.test(plain)) return null;
+  return { letters: plain.split(/\s*[/,]\s*/), lead: cell.includes('**') };
+}
+
+/**
+ * Split "Work Execution Team (shared)" into party and qualifier
+ */
+function parseParty(text) {
+  const match = text.replace(/\*\*/g, '').trim().match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+  return match ? { party: match[1], note: match[2] } : { party: text.replace(/\*\*/g, '').trim() };
+}
+
+function newActivity(activity, section, source, line) {
+  return {
+    activity,
+    section,
+    source,
+    line,
+    responsible: [],
+    accountable: [],
+    consulted: [],
+    informed: [],
+    lead: [],
+    notes: {}
+  };
+}
+
+function addAssignment(entry, letter, party, { lead = false, note } = {}) {
+  const list = entry[ROLE_KEYS[letter]];
+  if (!list.includes(party)) list.push(party);
+  if (lead && !entry.lead.includes(party)) entry.lead.push(party);
+  if (note) entry.notes[party] = note;
+}
+
+/**
+ * Convert one markdown table into activities
+ */
+function tableActivities(rows, context) {
+  const [header, , ...body] = rows;
+  const headerCells = splitRow(header.text);
+  const byDomain = /^domain$/i.test(headerCells[0]);
+  const activities = [];
+
+  for (const row of body) {
+    const cells = splitRow(row.text);
+    const label = cells[0].replace(/\*\*/g, '').trim();
+    if (!label) continue;
+
+    if (byDomain) {
+      headerCells.slice(1).forEach((column, i) => {
+        const parsed = parseCell(cells[i + 1] || '');
+        if (!parsed) return;
+        const entry = newActivity(column, `${context.section} / ${label}`, context.source, row.line);
+        parsed.letters.forEach(letter => addAssignment(entry, letter, label, { lead: parsed.lead }));
+        activities.push(entry);
+      });
+      continue;
+    }
+
+    const entry = newActivity(label, context.section, context.source, row.line);
+    headerCells.slice(1).forEach((party, i) => {
+      const parsed = parseCell(cells[i + 1] || '');
+      if (!parsed) return;
+      parsed.letters.forEach(letter => addAssignment(entry, letter, party, { lead: parsed.lead }));
+    });
+    activities.push(entry);
+  }
+  return activities;
+}
+
+/**
+ * Parse a RACI markdown document
+ */
+function parseRaciMarkdown(text, source) {
+  const lines = text.split('\n');
+  const activities = [];
+  const headings = [];
+  let tableRows = [];
+  let current = null;
+
+  const section = () => headings.filter(Boolean).slice(0, -1).join(' / ') || headings.filter(Boolean).join(' / ');
+
+  const flushTable = () => {
+    if (tableRows.length > 2) {
+      activities.push(...tableActivities(tableRows, { section: headings.filter(Boolean).join(' / '), source }));
+    }
+    tableRows = [];
+  };
+  const flushSection = () => {
+    if (current && ['responsible', 'accountable', 'consulted', 'informed'].some(key => current[key].length)) {
+      activities.push(current);
+    }
+    current = null;
+  };
+
+  lines.forEach((lineText, i) => {
+    const line = i + 1;
+    const trimmed = lineText.trim();
+
+    if (trimmed.startsWith('|')) {
+      tableRows.push({ text: trimmed, line });
+      return;
+    }
+    flushTable();
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushSection();
+      const level = heading[1].length;
+      headings.length = level;
+      headings[level - 1] = cleanHeading(heading[2]);
+      current = newActivity(headings[level - 1], section(), source, line);
+      return;
+    }
+
+    if (!current) return;
+    const roleLine = trimmed.match(ROLE_LINE);
+    if (roleLine) {
+      const letter = roleLine[1][0];
+      roleLine[2].split(/\s*(?:,|\+|&|\band\b)\s*/).filter(Boolean).forEach(text => {
+        const { party, note } = parseParty(text);
+        addAssignment(current, letter, party, { note });
+      });
+      return;
+    }
+    const agentLine = trimmed.match(AGENT_LINE);
+    if (agentLine) {
+      addAssignment(current, 'R', agentLine[1].trim(), { note: agentLine[2].trim() });
+    }
+  });
+
+  flushTable();
+  flushSection();
+  return activities;
+}
+
+/**
+ * Load and parse RACI documents relative to the docs directory
+ */
+function loadRaciMatrix(docsPath, files) {
+  const activities = [];
+  const sources = [];
+  const errors = [];
+  for (const file of files) {
+    const filePath = path.join(docsPath, file);
+    if (!fs.existsSync(filePath)) {
+      errors.push({ file, error: 'File not found' });
+      continue;
+    }
+    try {
+      const parsed = parseRaciMarkdown(fs.readFileSync(filePath, 'utf-8'), file);
+      activities.push(...parsed);
+      sources.push({ file, activities: parsed.length });
+    } catch (e) {
+      errors.push({ file, error: e.message });
+    }
+  }
+  return { activities, sources, errors };
+}
+
+function tokens(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+}
+
+/**
+ * Loose name match: every query token is a prefix of (or prefixed by) a name token,
+ * so "clarification agent" matches "Domain Clarif. Agent"
+ */
+function looselyMatches(query, name) {
+  const nameTokens = tokens(name);
+  return tokens(query).every(q => nameTokens.some(t => t.startsWith(q) || (q.startsWith(t) && t.length >= 4)));
+}
+
+/**
+ * Activities matching a name: exact, then substring, then loose token match on section + activity
+ */
+function findActivities(matrix, query) {
+  const lower = String(query).toLowerCase();
+  const exact = matrix.activities.filter(a => a.activity.toLowerCase() === lower);
+  if (exact.length) return exact;
+  const partial = matrix.activities.filter(a => a.activity.toLowerCase().includes(lower));
+  if (partial.length) return partial;
+  return matrix.activities.filter(a => looselyMatches(query, `${a.section} ${a.activity}`));
+}
+
+/**
+ * Every party named in the matrix, with how many activities it appears in per role
+ */
+function listParties(matrix) {
+  const parties = new Map();
+  for (const activity of matrix.activities) {
+    for (const key of Object.values(ROLE_KEYS)) {
+      for (const party of activity[key]) {
+        if (!parties.has(party)) {
+          parties.set(party, { party, responsible: 0, accountable: 0, consulted: 0, informed: 0 });
+        }
+        parties.get(party)[key]++;
+      }
+    }
+  }
+  return [...parties.values()].sort((a, b) => a.party.localeCompare(b.party));
+}
+
+/**
+ * Activities where a (loosely matched) party holds a role
+ */
+function assignmentsFor(matrix, partyQuery, letter) {
+  const key = ROLE_KEYS[letter];
+  return matrix.activities
+    .map(activity => {
+      const parties = activity[key].filter(party => looselyMatches(partyQuery, party));
+      return parties.length ? { activity, parties } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Activities without exactly one Accountable party
+ */
+function accountabilityIssues(matrix) {
+  return {
+    noAccountable: matrix.activities.filter(a => a.accountable.length === 0),
+    multipleAccountable: matrix.activities.filter(a => a.accountable.length > 1)
+  };
+}
+
+module.exports = {
+  ROLE_KEYS,
+  parseRaciMarkdown,
+  loadRaciMatrix,
+  findActivities,
+  listParties,
+  assignmentsFor,
+  accountabilityIssues
+};
@@ -0,0 +1,366 @@
+/**
+ * Full-text search over the knowledge base
+ *
+ * Builds an inverted index over the markdown files in the agents, instructions,
+ * prompts and documentation directories of the config (lib/config.js; by default
+ * under `.github`). Each file is split
+ * into sections at its headings, so a hit points at the section that matched
+ * (with its heading path and line) rather than at the whole file. Queries are
+ * ranked with BM25; words are stemmed (Porter) and `"quoted phrases"` must
+ * appear in order within a section.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter.js');
+
+/**
+ * Document type -> the `paths` setting of its directory (lib/config.js)
+ */
+const KNOWLEDGE_SOURCES = {
+  agent: 'agents',
+  instruction: 'instructions',
+  prompt: 'prompts',
+  doc: 'documentation'
+};
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  'a an and are as at be by for from has have in is it its of on or that the this to was were will with'.split(' ')
+);
+
+// ---------------------------------------------------------------------------
+// Porter stemmer
+// ---------------------------------------------------------------------------
+
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+const MEASURE_GT0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_EQ1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+const MEASURE_GT1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+/**
+ * Porter stem of a lowercase word; words with digits are left alone
+ */
+function stem(word) {
+  if (word.length < 3 || /\d/.test(word)) return word;
+
+  let w = word;
+  const initialY = w[0] === 'y';
+  if (initialY) w = `Y${w.slice(1)}`;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = w.match(/^(.+?)(ss|i)es$/))) w = match[1] + match[2];
+  else if ((match = w.match(/^(.+?)([^s])s$/))) w = match[1] + match[2];
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = w.match(/^(.+?)eed$/))) {
+    if (MEASURE_GT0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = w.match(/^(.+?)(ed|ing)$/)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c: y -> i
+  if ((match = w.match(/^(.+?)y$/)) && HAS_VOWEL.test(match[1])) w = `${match[1]}i`;
+
+  // Step 2 and 3: double and single suffixes
+  if ((match = w.match(/^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/))) {
+    if (MEASURE_GT0.test(match[1])) w = match[1] + STEP2[match[2]];
+  }
+  if ((match = w.match(/^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/))) {
+    if (MEASURE_GT0.test(match[1])) w = match[1] + STEP3[match[2]];
+  }
+
+  // Step 4: residual suffixes
+  if ((match = w.match(/^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/))) {
+    if (MEASURE_GT1.test(match[1])) w = match[1];
+  } else if ((match = w.match(/^(.+?)(s|t)(ion)$/))) {
+    if (MEASURE_GT1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = w.match(/^(.+?)e$/))) {
+    const base = match[1];
+    if (MEASURE_GT1.test(base) || (MEASURE_EQ1.test(base) && !CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MEASURE_GT1.test(w)) w = w.slice(0, -1);
+
+  return initialY ? `y${w.slice(1)}` : w;
+}
+
+/**
+ * Index terms of a text, in order (stopwords dropped, words stemmed)
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// ---------------------------------------------------------------------------
+// Sections
+// ---------------------------------------------------------------------------
+
+/**
+ * Split markdown into sections at `#`..`######` headings (fenced code is never a heading).
+ * Each section carries its heading path and the file line of its heading; text before
+ * the first heading becomes a section with an empty path.
+ */
+function splitMarkdownSections(content) {
+  const { data, body, bodyLine } = parseFrontmatter(content);
+  const sections = [];
+  const headings = [];
+  let current = { headingPath: [], line: bodyLine, lines: [] };
+  let inFence = false;
+
+  if (data.description) current.lines.push({ text: String(data.description), line: 2 });
+
+  body.split('\n').forEach((text, i) => {
+    const line = bodyLine + i;
+    if (/^\s*(```|~~~)/.test(text)) inFence = !inFence;
+    const heading = !inFence && text.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!heading) {
+      current.lines.push({ text, line });
+      return;
+    }
+    sections.push(current);
+    const level = heading[1].length;
+    headings.length = level;
+    headings[level - 1] = heading[2].replace(/[*`]/g, '').trim();
+    current = { headingPath: headings.filter(Boolean), line, lines: [] };
+  });
+  sections.push(current);
+
+  return sections.filter(section => section.headingPath.length || section.lines.some(l => l.text.trim()));
+}
+
+// ---------------------------------------------------------------------------
+// Index
+// ---------------------------------------------------------------------------
+
+/**
+ * Markdown files under a directory, recursively, sorted
+ */
+function collectMarkdownFiles(dirPath) {
+  if (!fs.existsSync(dirPath)) return [];
+  return fs.readdirSync(dirPath, { withFileTypes: true })
+    .flatMap(entry => {
+      const fullPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) return collectMarkdownFiles(fullPath);
+      return entry.name.endsWith('.md') ? [fullPath] : [];
+    })
+    .sort();
+}
+
+/**
+ * Document name as the other tools use it: file name without `.md` and type suffix
+ */
+function documentName(filePath) {
+  return path.basename(filePath).replace(/\.md$/, '').replace(/\.(instructions|agent|prompt)$/, '');
+}
+
+/**
+ * Build an index from documents: [{ type, name, file, content }]
+ */
+function buildIndex(documents) {
+  const sections = [];
+  const postings = new Map();
+  let totalLength = 0;
+
+  for (const document of documents) {
+    for (const section of splitMarkdownSections(document.content)) {
+      const id = sections.length;
+      const terms = tokenize([...section.headingPath, ...section.lines.map(l => l.text)].join('\n'));
+      sections.push({
+        type: document.type,
+        name: document.name,
+        file: document.file,
+        headingPath: section.headingPath,
+        line: section.line,
+        lines: section.lines,
+        length: terms.length
+      });
+      totalLength += terms.length;
+
+      terms.forEach((term, position) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const bySection = postings.get(term);
+        if (!bySection.has(id)) bySection.set(id, []);
+        bySection.get(id).push(position);
+      });
+    }
+  }
+
+  return {
+    documents: documents.length,
+    sections,
+    postings,
+    averageLength: sections.length ? totalLength / sections.length : 0,
+    builtAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Knowledge directories from the config paths: { base, dirs: { [type]: directory } }
+ *
+ * Files are named relative to base, the deepest directory holding all of them (`.github` by default).
+ */
+function knowledgeDirectories(projectRoot, paths) {
+  const dirs = {};
+  for (const [type, setting] of Object.entries(KNOWLEDGE_SOURCES)) {
+    dirs[type] = path.resolve(projectRoot, paths[setting]);
+  }
+  const within = (dir, parent) => {
+    const relative = path.relative(parent, dir);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  };
+  let base = dirs.instruction;
+  while (!Object.values(dirs).every(dir => within(dir, base)) && path.dirname(base) !== base) {
+    base = path.dirname(base);
+  }
+  return { base, dirs };
+}
+
+/**
+ * Index every markdown file of the knowledge directories (knowledgeDirectories)
+ *
+ * types: document types to include (default: all of KNOWLEDGE_SOURCES)
+ */
+function loadKnowledgeIndex({ base, dirs }, types = Object.keys(KNOWLEDGE_SOURCES)) {
+  const documents = [];
+  const errors = [];
+  for (const type of types) {
+    for (const filePath of collectMarkdownFiles(dirs[type])) {
+      try {
+        documents.push({
+          type,
+          name: documentName(filePath),
+          file: path.relative(base, filePath),
+          content: fs.readFileSync(filePath, 'utf-8')
+        });
+      } catch (e) {
+        errors.push({ file: path.relative(base, filePath), error: e.message });
+      }
+    }
+  }
+  const index = buildIndex(documents);
+  index.errors = errors;
+  return index;
+}
+
+// ---------------------------------------------------------------------------
+// Search
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a query into stemmed terms and quoted phrases
+ */
+function parseQuery(query) {
+  const phrases = [];
+  const rest = String(query).replace(/"([^"]*)"/g, (_, phrase) => {
+    const terms = tokenize(phrase);
+    if (terms.length) phrases.push(terms);
+    return ' ';
+  });
+  const terms = [...new Set([...tokenize(rest), ...phrases.flat()])];
+  return { terms, phrases };
+}
+
+/**
+ * Whether a section contains the phrase terms at consecutive positions
+ */
+function hasPhrase(index, sectionId, phrase) {
+  const [first, ...others] = phrase;
+  const starts = (index.postings.get(first) || new Map()).get(sectionId) || [];
+  return starts.some(start => others.every((term, i) => {
+    const positions = (index.postings.get(term) || new Map()).get(sectionId);
+    return positions && positions.includes(start + i + 1);
+  }));
+}
+
+/**
+ * First line of a section containing a query term, for display
+ */
+function snippetFor(section, terms) {
+  const wanted = new Set(terms);
+  const hit = section.lines.find(l => tokenize(l.text).some(term => wanted.has(term)));
+  if (!hit) return { line: section.line, snippet: section.headingPath[section.headingPath.length - 1] || '' };
+  const text = hit.text.trim();
+  return { line: hit.line, snippet: text.length > 200 ? `${text.slice(0, 197)}...` : text };
+}
+
+/**
+ * Rank sections for a query with BM25
+ *
+ * options.types: restrict to these document types
+ * options.limit: maximum hits (default 10)
+ * Returns [{ type, name, file, headingPath, sectionLine, line, score, snippet }]
+ */
+function searchIndex(index, query, { types, limit = 10 } = {}) {
+  const { terms, phrases } = parseQuery(query);
+  if (!terms.length) return [];
+
+  const total = index.sections.length;
+  const scores = new Map();
+  for (const term of terms) {
+    const bySection = index.postings.get(term);
+    if (!bySection) continue;
+    const idf = Math.log(1 + (total - bySection.size + 0.5) / (bySection.size + 0.5));
+    for (const [id, positions] of bySection) {
+      const section = index.sections[id];
+      if (types && !types.includes(section.type)) continue;
+      const tf = positions.length;
+      const norm = K1 * (1 - B + B * section.length / (index.averageLength || 1));
+      scores.set(id, (scores.get(id) || 0) + idf * (tf * (K1 + 1)) / (tf + norm));
+    }
+  }
+
+  return [...scores.entries()]
+    .filter(([id]) => phrases.every(phrase => hasPhrase(index, id, phrase)))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([id, score]) => {
+      const section = index.sections[id];
+      return {
+        type: section.type,
+        name: section.name,
+        file: section.file,
+        headingPath: section.headingPath,
+        sectionLine: section.line,
+        ...snippetFor(section, terms),
+        score: Math.round(score * 1000) / 1000
+      };
+    });
+}
+
+module.exports = {
+  KNOWLEDGE_SOURCES,
+  stem,
+  tokenize,
+  splitMarkdownSections,
+  collectMarkdownFiles,
+  documentName,
+  buildIndex,
+  knowledgeDirectories,
+  loadKnowledgeIndex,
+  parseQuery,
+  searchIndex
+};
@@ -0,0 +1,406 @@
+/**
+ * Fit markdown into a token budget by section instead of by substring
+ *
+ * The document is split at its headings and each section into blocks (paragraphs and lists, fenced
+ * code, tables). Sections are ranked by relevance to a query (the task, topic or file) and kept whole
+ * while they fit; the next one may be cut at a block boundary. Code fences and tables are never split.
+ * Text before the first heading and the title are always kept first. Sections that do not fit are
+ * replaced, where they were, by an outline of their headings with line numbers and token counts so
+ * the caller can fetch them on demand (findSection). Every omitted top-level heading is listed by name;
+ * deeper ones may be folded into the entry above them.
+ */
+
+const { parseFrontmatter } = require('./frontmatter.js');
+const { tokenize } = require('./search-index.js');
+
+// A section is only cut when at least this many tokens of it fit; otherwise it goes to the outline
+const MIN_PARTIAL_TOKENS = 80;
+
+// Tool named in the outline and continuation markers, for servers that have get_document_section
+const FETCH_WITH = 'get_document_section';
+
+const continues = fetchWith => `[... section continues, fetch it with ${fetchWith} ...]`;
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Split a section body into blocks that are cut between, never inside: fences, tables, paragraphs
+ */
+function splitBlocks(lines) {
+  const blocks = [];
+  let current = null;
+  let fence = null;
+
+  const close = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+
+  for (const line of lines) {
+    if (fence) {
+      current.lines.push(line);
+      if (line.trim().startsWith(fence)) {
+        fence = null;
+        close();
+      }
+      continue;
+    }
+    const fenceStart = line.match(FENCE);
+    if (fenceStart) {
+      close();
+      fence = fenceStart[1];
+      current = { kind: 'code', lines: [line] };
+      continue;
+    }
+    const kind = /^\s*\|/.test(line) ? 'table' : 'text';
+    if (!line.trim()) {
+      close();
+      continue;
+    }
+    if (current && current.kind !== kind) close();
+    if (!current) current = { kind, lines: [] };
+    current.lines.push(line);
+  }
+  close();
+  return blocks.map(block => ({ kind: block.kind, text: block.lines.join('\n') }));
+}
+
+/**
+ * Split markdown into { frontmatter, sections: [{ level, heading, headingPath, line, headingLine, blocks }] };
+ * the first section holds the text before any heading (level 0). lineOffset shifts line numbers when
+ * the content is an excerpt of a larger file.
+ */
+function splitDocument(content, lineOffset = 0) {
+  const { body, bodyLine, hasFrontmatter } = parseFrontmatter(content);
+  const frontmatter = hasFrontmatter ? content.slice(0, content.length - body.length) : '';
+  const sections = [];
+  const headings = [];
+  let current = { level: 0, heading: '', headingPath: [], line: bodyLine + lineOffset, headingLine: null, lines: [] };
+  let inFence = false;
+
+  body.split('\n').forEach((text, i) => {
+    if (FENCE.test(text)) inFence = !inFence;
+    const heading = !inFence && text.match(HEADING);
+    if (!heading) {
+      current.lines.push(text);
+      return;
+    }
+    sections.push(current);
+    const level = heading[1].length;
+    headings.length = level;
+    headings[level - 1] = heading[2].replace(/[*`]/g, '').trim();
+    current = {
+      level,
+      heading: headings[level - 1],
+      headingPath: headings.filter(Boolean),
+      line: bodyLine + lineOffset + i,
+      headingLine: text,
+      lines: []
+    };
+  });
+  sections.push(current);
+
+  return {
+    frontmatter,
+    sections: sections
+      .map(({ lines, ...section }) => ({ ...section, blocks: splitBlocks(lines) }))
+      .filter(section => section.level > 0 || section.blocks.length)
+  };
+}
+
+function sectionText(section, blocks = section.blocks) {
+  return [section.headingLine, ...blocks.map(block => block.text)].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Relevance of a section to the query terms: heading matches count double
+ */
+function relevance(section, terms) {
+  if (!terms.length) return 0;
+  const heading = new Set(tokenize(section.headingPath.join(' ')));
+  const counts = new Map();
+  for (const term of tokenize(section.blocks.map(block => block.text).join(' '))) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return terms.reduce((score, term) =>
+    score + (heading.has(term) ? 2 : 0) + (counts.has(term) ? 1 + Math.log(counts.get(term)) : 0), 0);
+}
+
+/**
+ * One outline entry on one line, e.g. "## Caching (line 40, ~320 tokens, 2 more sections below)"
+ */
+function describeOutlineEntry(entry) {
+  const more = entry.folded ? `, ${entry.folded} more section${entry.folded > 1 ? 's' : ''} below` : '';
+  const partial = entry.partial ? ', partly shown' : '';
+  const heading = entry.level ? `${'#'.repeat(entry.level)} ${entry.heading}` : '(text before the first heading)';
+  return `${heading} (line ${entry.line}, ~${entry.tokens} tokens${more}${partial})`;
+}
+
+function outlineLine(entry) {
+  return `> - ${describeOutlineEntry(entry)}`;
+}
+
+/**
+ * Outline block: one line per entry, or with names, the headings alone on one line
+ */
+function outlineBlock(entries, fetchWith, names = false) {
+  const header = `> Omitted sections (fetch with ${fetchWith}):`;
+  if (names) return `${header} ${entries.map(entry => `${entry.heading} (line ${entry.line})`).join('; ')}`;
+  return [header, ...entries.map(outlineLine)].join('\n');
+}
+
+/**
+ * Sections below a section: those after it up to the next heading at its level or above
+ */
+function subtree(sections, section) {
+  const end = sections.findIndex(other => other.index > section.index && other.level <= section.level);
+  return sections.slice(section.index + 1, end < 0 ? sections.length : end);
+}
+
+/**
+ * Fit markdown into maxTokens (and optionally maxChars)
+ *
+ * options.tokenizer counts tokens; options.query ranks sections (document order without one);
+ * options.lineOffset as for splitDocument; options.fetchWith names how the caller fetches an omitted
+ * section (default get_document_section).
+ * Returns { text, tokens, truncated, kept: [...], partial: [...], outline: [{ heading, headingPath, level,
+ * line, tokens, folded?, partial? }] }; outline holds the entries the text shows, folded counts included.
+ */
+function fitMarkdown(content, { tokenizer, maxTokens, maxChars = Infinity, query = '', lineOffset = 0, fetchWith = FETCH_WITH }) {
+  const totalTokens = tokenizer.count(content);
+  if (totalTokens <= maxTokens && content.length <= maxChars) {
+    return { text: content, tokens: totalTokens, truncated: false, kept: [], partial: [], outline: [] };
+  }
+
+  const { frontmatter, sections } = splitDocument(content, lineOffset);
+  const terms = [...new Set(tokenize(query))];
+  sections.forEach((section, index) => {
+    section.index = index;
+    section.tokens = tokenizer.count(sectionText(section));
+    section.score = relevance(section, terms);
+  });
+
+  // The preamble and the title (the first heading, when no heading is above its level) come first,
+  // then sections by relevance, ties in document order
+  const topLevel = Math.min(...sections.filter(section => section.level > 0).map(section => section.level));
+  const leading = sections.filter((section, index) =>
+    section.level === 0 || (index <= 1 && section.level === topLevel));
+  const ranked = [
+    ...leading,
+    ...sections.filter(section => !leading.includes(section)).sort((a, b) => b.score - a.score || a.index - b.index)
+  ];
+
+  // Room for the outline is held back (at most a quarter of the budget; a longer outline is folded
+  // below) and released as sections are kept
+  const fixed = tokenizer.count(frontmatter);
+  const outlineCost = section => tokenizer.count(outlineLine(section)) + 1;
+  let outlineReserve = Math.min(
+    Math.floor(maxTokens / 4),
+    tokenizer.count(outlineBlock([], fetchWith)) + sections.reduce((sum, s) => sum + outlineCost(s), 0)
+  );
+  let used = fixed;
+  let chars = frontmatter.length;
+  const kept = new Map();
+
+  for (const section of ranked) {
+    const available = maxTokens - used - outlineReserve + Math.min(outlineReserve, outlineCost(section));
+    const availableChars = maxChars - chars;
+    if (section.tokens <= available && sectionText(section).length <= availableChars) {
+      kept.set(section, section.blocks);
+      used += section.tokens;
+      chars += sectionText(section).length;
+      outlineReserve -= Math.min(outlineReserve, outlineCost(section));
+      continue;
+    }
+    if (available < MIN_PARTIAL_TOKENS) continue;
+
+    // Keep the leading blocks that fit; the block that does not fit ends the section
+    const blocks = [];
+    for (const block of section.blocks) {
+      const candidate = [...blocks, block];
+      const text = `${sectionText(section, candidate)}\n\n${continues(fetchWith)}`;
+      if (tokenizer.count(text) > available || text.length > availableChars) break;
+      blocks.push(block);
+    }
+    if (!blocks.length) continue;
+    const text = `${sectionText(section, blocks)}\n\n${continues(fetchWith)}`;
+    kept.set(section, blocks);
+    used += tokenizer.count(text);
+    chars += text.length;
+  }
+
+  // Separators and repeated outline headers are not in the estimate above. A kept heading with nothing
+  // kept under it is dropped, its outline entry stands for it. Until the text fits and the outline is
+  // within a quarter of the budget: fold deeper headings into their parent (never past the top level, so
+  // every omitted top-level heading stays named), then drop the last blocks of the least relevant kept
+  // sections, then of the preamble and title, then the frontmatter. Whole blocks are dropped, so fences
+  // and tables stay intact. When even the top-level outline does not fit, it lists the headings by name
+  // on one line; when that does not fit either, the text goes without it and only the returned outline
+  // names the omitted sections.
+  const outlineCap = Math.floor(maxTokens / 4);
+  const outlineTop = Math.min(...sections.filter(s => s.level > 0 && !leading.includes(s)).map(s => s.level));
+  const selected = new Map(kept);
+  let options;
+  let rendered;
+  let tokens;
+  let outlineTokens;
+  const pruneEmptyParents = () => {
+    for (const section of [...sections].reverse()) {
+      if (!kept.has(section) || kept.get(section).length || leading.includes(section)) continue;
+      const below = subtree(sections, section);
+      if (below.length && !below.some(s => kept.has(s))) kept.delete(section);
+    }
+  };
+  const render = () => {
+    pruneEmptyParents();
+    rendered = renderFitted(sections, kept, options);
+    tokens = tokenizer.count(rendered.text);
+    outlineTokens = tokenizer.count(rendered.outlineText);
+  };
+  const fits = () => tokens <= maxTokens && rendered.text.length <= maxChars &&
+    (outlineTokens <= outlineCap || options.outlineLevel <= outlineTop);
+  const foldOutline = () => options.outlineLevel > outlineTop && Boolean(options.outlineLevel--);
+  const dropLastBlock = candidates => () => {
+    const section = candidates.find(s => kept.has(s));
+    if (!section) return false;
+    const blocks = kept.get(section);
+    if (blocks.length > 1) kept.set(section, blocks.slice(0, -1));
+    else kept.delete(section);
+    return true;
+  };
+  const dropSectionBlock = dropLastBlock(ranked.filter(section => !leading.includes(section)).reverse());
+  const dropLeadingBlock = dropLastBlock([...leading].reverse());
+  const dropFrontmatter = () => Boolean(options.frontmatter) && !(options.frontmatter = '');
+  const fit = outlineStyle => {
+    kept.clear();
+    selected.forEach((blocks, section) => kept.set(section, blocks));
+    options = { frontmatter, fetchWith, outlineLevel: outlineStyle === 'list' ? 6 : outlineTop, outlineStyle };
+    render();
+    while (!fits() && [foldOutline, dropSectionBlock, dropLeadingBlock, dropFrontmatter].some(step => step())) render();
+  };
+
+  // Dropping for the outline can free more than it needed: refill in rank order, block by block,
+  // while the text still fits (a section newly cut must keep MIN_PARTIAL_TOKENS of itself)
+  const refill = () => {
+    for (const section of ranked) {
+      const before = kept.get(section);
+      for (let count = (before || []).length + 1; count <= section.blocks.length; count++) {
+        const previous = kept.get(section);
+        kept.set(section, section.blocks.slice(0, count));
+        render();
+        if (fits()) continue;
+        if (previous) kept.set(section, previous);
+        else kept.delete(section);
+        break;
+      }
+      const blocks = kept.get(section);
+      if (!before && blocks && blocks.length < section.blocks.length &&
+        tokenizer.count(sectionText(section, blocks)) < MIN_PARTIAL_TOKENS) kept.delete(section);
+    }
+    render();
+  };
+
+  fit('list');
+  if (!fits()) fit('names');
+  if (!fits()) fit('none');
+  refill();
+
+  const headingPaths = whole => sections
+    .filter(s => kept.has(s) && (kept.get(s).length === s.blocks.length) === whole)
+    .map(s => s.headingPath.join(' > '));
+  return {
+    text: rendered.text,
+    tokens,
+    truncated: true,
+    kept: headingPaths(true),
+    partial: headingPaths(false),
+    outline: rendered.outline
+  };
+}
+
+/**
+ * Kept sections in document order; consecutive omitted sections share one outline block.
+ * Omitted headings deeper than outlineLevel are counted in the entry of their nearest omitted
+ * ancestor (folded), even past kept sections. outlineStyle 'list' shows an entry per line, 'names' the
+ * headings alone and 'none' no outline block.
+ * Returns { text, outlineText, outline }: outline lists the shown entries and the partly kept sections
+ */
+function renderFitted(sections, kept, { frontmatter, fetchWith, outlineLevel, outlineStyle }) {
+  const parts = [];
+  const outline = [];
+  const ancestors = [];
+  let pending = null;
+  for (const section of sections) {
+    const blocks = kept.get(section);
+    const whole = blocks && blocks.length === section.blocks.length;
+    const { heading, headingPath, level, line, tokens } = section;
+    while (ancestors.length && ancestors[ancestors.length - 1].level >= level) ancestors.pop();
+    const parent = ancestors[ancestors.length - 1];
+    if (blocks) {
+      pending = null;
+      parts.push(whole ? sectionText(section) : `${sectionText(section, blocks)}\n\n${continues(fetchWith)}`);
+      if (!whole) outline.push({ heading, headingPath, level, line, tokens, partial: true });
+      ancestors.push({ level });
+      continue;
+    }
+    if (level > outlineLevel && parent && parent.heading) {
+      parent.tokens += tokens;
+      parent.folded = (parent.folded || 0) + 1;
+      continue;
+    }
+    const entry = { heading, headingPath, level, line, tokens };
+    if (!pending) parts.push(pending = []);
+    pending.push(entry);
+    outline.push(entry);
+    ancestors.push(entry);
+  }
+  const shown = part => outlineStyle !== 'none' && outlineBlock(part, fetchWith, outlineStyle === 'names');
+  const text = parts.map(part => Array.isArray(part) ? shown(part) : part).filter(Boolean).join('\n\n');
+  const outlineText = parts.filter(Array.isArray).map(shown).filter(Boolean).join('\n\n');
+  return { text: `${frontmatter}${text}\n`, outlineText, outline };
+}
+
+/**
+ * A section and its subsections, by heading text or heading path ("Parent > Child"), case-insensitive
+ *
+ * Returns { heading, headingPath, level, line, content } or null
+ */
+function findSection(content, heading) {
+  const wanted = String(heading).replace(/^#+\s*/, '').split('>').map(part => part.trim().toLowerCase()).filter(Boolean);
+  const { sections } = splitDocument(content);
+  const index = sections.findIndex(section => {
+    const headingPath = section.headingPath.map(part => part.toLowerCase());
+    return section.level > 0 && wanted.length &&
+      wanted.every((part, i) => headingPath[headingPath.length - wanted.length + i] === part);
+  });
+  if (index < 0) return null;
+
+  const section = sections[index];
+  const end = sections.findIndex((other, i) => i > index && other.level <= section.level);
+  const included = sections.slice(index, end < 0 ? sections.length : end);
+  return {
+    heading: section.heading,
+    headingPath: section.headingPath,
+    level: section.level,
+    line: section.line,
+    content: included.map(s => sectionText(s)).join('\n\n')
+  };
+}
+
+/**
+ * Headings of a document: [{ heading, headingPath, level, line }]
+ */
+function headingOutline(content) {
+  return splitDocument(content).sections
+    .filter(section => section.level > 0)
+    .map(({ heading, headingPath, level, line }) => ({ heading, headingPath, level, line }));
+}
+
+module.exports = {
+  splitDocument,
+  fitMarkdown,
+  findSection,
+  headingOutline,
+  describeOutlineEntry
+};
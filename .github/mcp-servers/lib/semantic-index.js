@@ -0,0 +1,403 @@
+/**
+ * Offline semantic search over the knowledge base
+ *
+ * Embeds the same heading sections as `search-index.js` and keeps the vectors in
+ * `<projectRoot>/.mcp-cache/semantic-index.json`. Each file's entry records the
+ * sha256 of its content and the embedder used, so an update only re-embeds files
+ * that changed (and drops files that were removed).
+ *
+ * Embedders never touch the network:
+ * - `transformers`: a sentence-embedding model run on CPU by `@xenova/transformers`,
+ *   loaded from local model files only (remote model download is disabled)
+ * - `hashing`: a built-in feature-hashing embedder over stemmed words and word pairs.
+ *   It needs nothing installed but only captures word overlap, so it is only used when
+ *   chosen explicitly (MCP_EMBEDDING_PROVIDER=hashing). Without the model, semantic and
+ *   hybrid searches report that they are unavailable and return keyword results.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  KNOWLEDGE_SOURCES,
+  tokenize,
+  splitMarkdownSections,
+  collectMarkdownFiles,
+  documentName,
+  searchIndex
+} = require('./search-index.js');
+
+const CACHE_DIR = '.mcp-cache';
+const INDEX_FILE = 'semantic-index.json';
+const INDEX_VERSION = 1;
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const HASHING_DIMENSIONS = 512;
+const BATCH_SIZE = 16;
+
+// Sentence-embedding models read at most a few hundred tokens
+const MAX_SECTION_CHARS = 2000;
+
+// ---------------------------------------------------------------------------
+// Embedders
+// ---------------------------------------------------------------------------
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+/**
+ * Built-in embedder: signed feature hashing of stemmed words and adjacent word pairs
+ */
+function createHashingEmbedder(dimensions = HASHING_DIMENSIONS) {
+  const embedOne = text => {
+    const vector = new Float32Array(dimensions);
+    const terms = tokenize(text);
+    const add = (feature, weight) => {
+      const hash = fnv1a(feature);
+      vector[hash % dimensions] += (hash & 0x80000000 ? -1 : 1) * weight;
+    };
+    terms.forEach((term, i) => {
+      add(term, 1);
+      if (i > 0) add(`${terms[i - 1]} ${term}`, 0.5);
+    });
+    return normalize(vector);
+  };
+
+  return {
+    id: `hashing-${dimensions}`,
+    kind: 'hashing',
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+/**
+ * Local sentence-embedding model via `@xenova/transformers` (optional dependency)
+ *
+ * modelPath: directory holding `<model>/` with the ONNX weights and tokenizer files
+ */
+async function createTransformersEmbedder({ model = DEFAULT_MODEL, modelPath }) {
+  const { pipeline, env } = await import('@xenova/transformers');
+  env.allowRemoteModels = false;
+  env.allowLocalModels = true;
+  if (modelPath) env.localModelPath = modelPath;
+
+  const extractor = await pipeline('feature-extraction', model, { quantized: true });
+
+  return {
+    id: `transformers:${model}`,
+    kind: 'transformers',
+    async embed(texts) {
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return output.tolist().map(values => Float32Array.from(values));
+    }
+  };
+}
+
+/**
+ * Create the configured embedder
+ *
+ * options.provider: 'auto' (model if available, else hashing), 'transformers' or 'hashing'
+ * options.model / options.modelPath: passed to the transformers embedder
+ * The returned embedder has `fallbackReason` when 'auto' could not load the model.
+ */
+async function createEmbedder({ provider = 'auto', model, modelPath } = {}) {
+  if (provider === 'hashing') return createHashingEmbedder();
+  try {
+    return await createTransformersEmbedder({ model, modelPath });
+  } catch (e) {
+    if (provider === 'transformers') {
+      throw new Error(`Cannot load embedding model ${model || DEFAULT_MODEL}: ${e.message}`);
+    }
+    return { ...createHashingEmbedder(), fallbackReason: e.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Index on disk
+// ---------------------------------------------------------------------------
+
+function encodeVector(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+}
+
+function decodeVector(text) {
+  const buffer = Buffer.from(text, 'base64');
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+function readIndexFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return data.version === INDEX_VERSION ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeIndexFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const temp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(data));
+  fs.renameSync(temp, filePath);
+}
+
+/**
+ * Text embedded for a section: heading path plus body, without code fences
+ */
+function sectionText(section) {
+  const body = section.lines.map(l => l.text).join('\n').replace(/^\s*(```|~~~).*$/gm, '');
+  return `${section.headingPath.join(' > ')}\n${body}`.replace(/\s+/g, ' ').trim().slice(0, MAX_SECTION_CHARS);
+}
+
+function preview(section) {
+  const first = section.lines.map(l => l.text.trim()).find(text => text && !/^(```|~~~)/.test(text)) || '';
+  return first.length > 200 ? `${first.slice(0, 197)}...` : first;
+}
+
+/**
+ * Bring the on-disk index up to date and return it
+ *
+ * knowledge: the knowledge directories (knowledgeDirectories); cacheDir: where `semantic-index.json` lives
+ * Returns { index, stats: { files, sections, embedded, reused, removed } }
+ */
+async function updateSemanticIndex({ knowledge, cacheDir, embedder, types = Object.keys(KNOWLEDGE_SOURCES) }) {
+  const indexPath = path.join(cacheDir, INDEX_FILE);
+  const previous = readIndexFile(indexPath);
+  const previousFiles = previous && previous.embedder === embedder.id ? previous.files : {};
+  const files = {};
+  const stats = { files: 0, sections: 0, embedded: 0, reused: 0, removed: 0 };
+  const pending = [];
+
+  for (const type of types) {
+    for (const filePath of collectMarkdownFiles(knowledge.dirs[type])) {
+      const file = path.relative(knowledge.base, filePath);
+      const content = fs.readFileSync(filePath, 'utf-8');
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+      stats.files++;
+
+      if (previousFiles[file] && previousFiles[file].hash === hash) {
+        files[file] = previousFiles[file];
+        stats.reused++;
+        continue;
+      }
+
+      const sections = splitMarkdownSections(content).map(section => ({
+        headingPath: section.headingPath,
+        line: section.line,
+        preview: preview(section),
+        text: sectionText(section)
+      }));
+      files[file] = { type, name: documentName(filePath), hash, sections };
+      pending.push(...sections);
+      stats.embedded++;
+    }
+  }
+  stats.removed = Object.keys(previousFiles).filter(file => !files[file]).length;
+
+  for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+    const batch = pending.slice(i, i + BATCH_SIZE);
+    const vectors = await embedder.embed(batch.map(section => section.text));
+    batch.forEach((section, j) => {
+      section.vector = encodeVector(vectors[j]);
+      delete section.text;
+    });
+  }
+
+  const data = { version: INDEX_VERSION, embedder: embedder.id, updatedAt: new Date().toISOString(), files };
+  if (stats.embedded || stats.removed || !previous || previous.embedder !== embedder.id) {
+    writeIndexFile(indexPath, data);
+  } else {
+    data.updatedAt = previous.updatedAt;
+  }
+
+  const sections = [];
+  for (const [file, entry] of Object.entries(files)) {
+    for (const section of entry.sections) {
+      sections.push({
+        type: entry.type,
+        name: entry.name,
+        file,
+        headingPath: section.headingPath,
+        line: section.line,
+        preview: section.preview,
+        vector: decodeVector(section.vector)
+      });
+    }
+  }
+  stats.sections = sections.length;
+
+  return { index: { embedder: embedder.id, updatedAt: data.updatedAt, path: indexPath, sections }, stats };
+}
+
+// ---------------------------------------------------------------------------
+// Search
+// ---------------------------------------------------------------------------
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Sections most similar to the query (cosine similarity of normalized vectors)
+ */
+async function semanticSearch(index, embedder, query, { types, limit = 10 } = {}) {
+  const [queryVector] = await embedder.embed([String(query)]);
+  return index.sections
+    .filter(section => !types || types.includes(section.type))
+    .map(section => ({ section, score: dot(queryVector, section.vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ section, score }) => ({
+      type: section.type,
+      name: section.name,
+      file: section.file,
+      headingPath: section.headingPath,
+      sectionLine: section.line,
+      line: section.line,
+      snippet: section.preview,
+      score: Math.round(score * 1000) / 1000
+    }));
+}
+
+/**
+ * Combine keyword (BM25) and semantic hits for the same sections
+ *
+ * Each score is scaled by the best score of its kind, then mixed:
+ * score = semanticWeight * semantic + (1 - semanticWeight) * keyword
+ */
+async function hybridSearch({ keywordIndex, semanticIndex, embedder, query, types, limit = 10, semanticWeight = 0.5 }) {
+  const pool = Math.max(limit * 5, 50);
+  const keywordHits = searchIndex(keywordIndex, query, { types, limit: pool });
+  const semanticHits = await semanticSearch(semanticIndex, embedder, query, { types, limit: pool });
+  const maxKeyword = Math.max(0, ...keywordHits.map(hit => hit.score)) || 1;
+  const maxSemantic = Math.max(0, ...semanticHits.map(hit => hit.score)) || 1;
+
+  const merged = new Map();
+  const key = hit => `${hit.file}#${hit.sectionLine}`;
+  for (const hit of semanticHits) {
+    merged.set(key(hit), { ...hit, keywordScore: 0, semanticScore: hit.score });
+  }
+  for (const hit of keywordHits) {
+    const existing = merged.get(key(hit));
+    // Keyword hits carry the line that matched, which is the better snippet
+    merged.set(key(hit), { ...hit, keywordScore: hit.score, semanticScore: existing ? existing.semanticScore : 0 });
+  }
+
+  return [...merged.values()]
+    .map(hit => {
+      const score = semanticWeight * Math.max(0, hit.semanticScore) / maxSemantic +
+        (1 - semanticWeight) * hit.keywordScore / maxKeyword;
+      return { ...hit, score: Math.round(score * 1000) / 1000 };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+const SETUP_HINT = 'install @xenova/transformers and the model files (see "Semantic search setup" in .github/mcp-servers/README.md)';
+
+/**
+ * Search entry point shared by the knowledge servers, over the knowledge directories (knowledgeDirectories)
+ *
+ * Settings come from the environment:
+ * MCP_CACHE_DIR (default `<projectRoot>/.mcp-cache`), MCP_EMBEDDING_PROVIDER (auto | transformers | hashing),
+ * MCP_EMBEDDING_MODEL and MCP_EMBEDDING_MODEL_PATH (default `<cache dir>/models`).
+ * The embedder is created on the first semantic query; the semantic index is brought
+ * up to date (changed files only) before each one.
+ */
+function createKnowledgeSearch({ projectRoot, knowledge, getKeywordIndex, env = process.env }) {
+  const cacheDir = env.MCP_CACHE_DIR || path.join(projectRoot, CACHE_DIR);
+  let embedderPromise = null;
+  let updating = Promise.resolve();
+
+  const getEmbedder = () => {
+    if (!embedderPromise) {
+      embedderPromise = createEmbedder({
+        provider: env.MCP_EMBEDDING_PROVIDER || 'auto',
+        model: env.MCP_EMBEDDING_MODEL || DEFAULT_MODEL,
+        modelPath: env.MCP_EMBEDDING_MODEL_PATH || path.join(cacheDir, 'models')
+      });
+      embedderPromise.catch(() => {
+        embedderPromise = null;
+      });
+    }
+    return embedderPromise;
+  };
+
+  // Updates run one at a time so concurrent queries never write the cache file together
+  const getSemanticIndex = embedder => {
+    const next = updating.then(() => updateSemanticIndex({ knowledge, cacheDir, embedder }));
+    updating = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    cacheDir,
+
+    /**
+     * mode: 'keyword' (BM25 only), 'semantic' or 'hybrid'
+     * Returns { mode, results, embedder?, index? }. When the embedding model is unavailable a
+     * semantic or hybrid search returns keyword results with { mode: 'keyword', requestedMode, unavailable }.
+     */
+    async search(query, { mode = 'keyword', types, limit = 10, semanticWeight = 0.5 } = {}) {
+      if (mode === 'keyword') {
+        return { mode, results: searchIndex(getKeywordIndex(), query, { types, limit }) };
+      }
+
+      const embedder = await getEmbedder();
+      if (embedder.fallbackReason) {
+        return {
+          mode: 'keyword',
+          requestedMode: mode,
+          unavailable: `${mode} search is unavailable (${embedder.fallbackReason}); ${SETUP_HINT}. Showing keyword results`,
+          results: searchIndex(getKeywordIndex(), query, { types, limit })
+        };
+      }
+      const { index, stats } = await getSemanticIndex(embedder);
+      const results = mode === 'semantic'
+        ? await semanticSearch(index, embedder, query, { types, limit })
+        : await hybridSearch({ keywordIndex: getKeywordIndex(), semanticIndex: index, embedder, query, types, limit, semanticWeight });
+
+      return {
+        mode,
+        results,
+        embedder: embedder.id,
+        index: { path: index.path, updatedAt: index.updatedAt, ...stats }
+      };
+    }
+  };
+}
+
+module.exports = {
+  CACHE_DIR,
+  DEFAULT_MODEL,
+  createEmbedder,
+  createHashingEmbedder,
+  updateSemanticIndex,
+  semanticSearch,
+  hybridSearch,
+  createKnowledgeSearch
+};
@@ -0,0 +1,153 @@
+/**
+ * Serve MCP servers through another server in the same process
+ *
+ * connectClient links a server to an in-memory client once; createMountServer builds a front server
+ * over one or more of these mounts, as often as needed (the gateway, one per HTTP session). Tools and
+ * prompts of a mount with a namespace are published as `<namespace>.<name>`, without one under their
+ * own names. Resources keep their URIs. A mount's list_changed notifications are passed on to every
+ * front server that is still open.
+ */
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ResourceListChangedNotificationSchema,
+  PromptListChangedNotificationSchema,
+  ErrorCode,
+  McpError,
+} = require('@modelcontextprotocol/sdk/types.js');
+const { createServer, registerTools, protocolError } = require('./server-runtime.js');
+const { notifyResourceListChanged, notifyPromptListChanged } = require('./hot-reload.js');
+
+/**
+ * Connect a client to a server in this process.
+ * Returns { client, serverInfo, capabilities, tools, fronts } for createMountServer.
+ */
+async function connectClient(server, clientName) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: clientName, version: '1.0.0' });
+  await server.connect(serverTransport);
+  await client.connect(clientTransport);
+  const { tools } = await client.listTools();
+
+  const fronts = new Set();
+  client.setNotificationHandler(ResourceListChangedNotificationSchema, async () => fronts.forEach(notifyResourceListChanged));
+  client.setNotificationHandler(PromptListChangedNotificationSchema, async () => fronts.forEach(notifyPromptListChanged));
+
+  return {
+    client,
+    serverInfo: client.getServerVersion(),
+    capabilities: client.getServerCapabilities() || {},
+    tools,
+    fronts
+  };
+}
+
+function mountedName(mount, name) {
+  return mount.namespace ? `${mount.namespace}.${name}` : name;
+}
+
+/**
+ * A mount's tools as tool declarations, without the ones in mount.omit
+ */
+function mountedTools(mount) {
+  return mount.tools
+    .filter(tool => !(mount.omit && mount.omit[tool.name]))
+    .map(tool => ({
+      name: mountedName(mount, tool.name),
+      description: mount.namespace ? `[${mount.namespace}] ${tool.description || ''}`.trim() : tool.description,
+      inputSchema: tool.inputSchema,
+      handler: args => mount.client.callTool({ name: tool.name, arguments: args })
+    }));
+}
+
+/**
+ * The items each mount with a capability lists: [{ mount, items }]
+ */
+async function listFrom(mounts, capability, list) {
+  return Promise.all(mounts
+    .filter(mount => mount.capabilities[capability])
+    .map(async mount => ({ mount, items: await list(mount) })));
+}
+
+/**
+ * Front server over connected mounts: their tools, resources and prompts, plus any extra tools
+ */
+function createMountServer(mounts, { name, version = '1.0.0', tools: extraTools = [] }) {
+  const hasResources = mounts.some(mount => mount.capabilities.resources);
+  const hasPrompts = mounts.some(mount => mount.capabilities.prompts);
+  const capabilities = {};
+  if (hasResources) capabilities.resources = { listChanged: true };
+  if (hasPrompts) capabilities.prompts = { listChanged: true };
+  const server = createServer({ name, version, capabilities });
+
+  registerTools(server, [...mounts.flatMap(mountedTools), ...extraTools]);
+
+  if (hasResources) {
+    const owners = new Map();
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const lists = await listFrom(mounts, 'resources', mount => mount.client.listResources().then(r => r.resources));
+      for (const { mount, items } of lists) items.forEach(resource => owners.set(resource.uri, mount));
+      return { resources: lists.flatMap(({ items }) => items) };
+    });
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      const lists = await listFrom(mounts, 'resources', mount => mount.client.listResourceTemplates().then(r => r.resourceTemplates));
+      return { resourceTemplates: lists.flatMap(({ items }) => items) };
+    });
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const candidates = owners.has(uri) ? [owners.get(uri)] : mounts.filter(mount => mount.capabilities.resources);
+      let lastError = null;
+      for (const mount of candidates) {
+        try {
+          return await mount.client.readResource({ uri });
+        } catch (e) {
+          lastError = e;
+        }
+      }
+      if (lastError instanceof McpError) throw protocolError(lastError.code, lastError.message, lastError.data);
+      throw lastError || protocolError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+    });
+  }
+
+  if (hasPrompts) {
+    const promptMounts = mounts.filter(mount => mount.capabilities.prompts);
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      const lists = await listFrom(promptMounts, 'prompts', mount => mount.client.listPrompts().then(r => r.prompts));
+      return {
+        prompts: lists.flatMap(({ mount, items }) => items.map(prompt => ({ ...prompt, name: mountedName(mount, prompt.name) })))
+      };
+    });
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const requested = request.params.name;
+      const mount = promptMounts.find(m => !m.namespace || requested.startsWith(`${m.namespace}.`));
+      if (!mount) {
+        throw protocolError(ErrorCode.InvalidParams, `Unknown prompt: ${requested}. Prompt names start with their module, e.g. "instructions.<prompt>"`);
+      }
+      const promptName = mount.namespace ? requested.slice(mount.namespace.length + 1) : requested;
+      try {
+        return await mount.client.getPrompt({ ...request.params, name: promptName });
+      } catch (e) {
+        if (e instanceof McpError) throw protocolError(e.code, e.message, e.data);
+        throw e;
+      }
+    });
+  }
+
+  for (const mount of mounts) mount.fronts.add(server);
+  server.onclose = () => mounts.forEach(mount => mount.fronts.delete(server));
+
+  return server;
+}
+
+module.exports = {
+  connectClient,
+  mountedTools,
+  listFrom,
+  createMountServer
+};
@@ -0,0 +1,205 @@
+/**
+ * Shared MCP server runtime
+ *
+ * Each tool is declared once: { name, description, inputSchema, handler(args, request) }.
+ * registerTools answers tools/list from the declarations, validates the arguments of tools/call
+ * against the tool's inputSchema before the handler runs and turns the handler's return value
+ * into a tool result:
+ * - { content: [...] } is passed through
+ * - a string becomes one text item
+ * - anything else is sent as indented JSON
+ *
+ * Errors have one shape: an McpError whose data is { tool, errors? }. Invalid arguments are
+ * InvalidParams with one message per problem in data.errors; an unknown tool is MethodNotFound;
+ * an McpError thrown by a handler keeps its code; any other error becomes InternalError. Messages
+ * go on the wire without the "MCP error <code>: " prefix, which the client adds once (protocolError).
+ */
+
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ErrorCode,
+  McpError,
+} = require('@modelcontextprotocol/sdk/types.js');
+
+const ERROR_PREFIX = /^(MCP error -?\d+: )+/;
+
+/**
+ * McpError sent with its bare message: the SDK sends error.message, which the McpError constructor has
+ * already prefixed, and the client prefixes it again. Prefixes of a relayed message are stripped too.
+ */
+function protocolError(code, message, data) {
+  const bare = String(message).replace(ERROR_PREFIX, '');
+  const error = new McpError(code, bare, data);
+  error.message = bare;
+  return error;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Problems with a value against a JSON Schema (the subset tool schemas use: type, enum, const,
+ * required, properties, additionalProperties, items, minimum, maximum, minLength, maxLength,
+ * minItems, maxItems, pattern). Returns [] when the value is valid.
+ */
+function validateSchema(schema, value, at = 'arguments') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      const actual = typeOf(value) === 'integer' ? 'number' : typeOf(value);
+      return [`${at}: expected ${types.join(' or ')}, got ${actual}`];
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${at}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${at}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key}: is not a known argument`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Tool result from a handler's return value
+ */
+function toToolResult(value) {
+  if (value && typeof value === 'object' && Array.isArray(value.content)) return value;
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return { content: [{ type: 'text', text }] };
+}
+
+/**
+ * Create a Server with the tools capability; other capabilities (resources, prompts) are merged in
+ * and their handlers are registered on the returned server as usual
+ */
+function createServer({ name, version = '1.0.0', capabilities = {} }) {
+  return new Server({ name, version }, {
+    capabilities: { ...capabilities, tools: { ...capabilities.tools } }
+  });
+}
+
+/**
+ * Serve the declared tools: tools/list from the declarations, tools/call validated and dispatched
+ */
+function registerTools(server, tools) {
+  const byName = new Map();
+  for (const tool of tools) {
+    if (typeof tool.handler !== 'function') throw new Error(`Tool ${tool.name} has no handler`);
+    if (byName.has(tool.name)) throw new Error(`Tool ${tool.name} is declared twice`);
+    byName.set(tool.name, tool);
+  }
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    const tool = byName.get(name);
+    if (!tool) {
+      throw protocolError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`, { tool: name });
+    }
+
+    const errors = validateSchema(tool.inputSchema || { type: 'object' }, args);
+    if (errors.length) {
+      throw protocolError(ErrorCode.InvalidParams, `Invalid arguments for ${name}: ${errors.join('; ')}`, { tool: name, errors });
+    }
+
+    try {
+      return toToolResult(await tool.handler(args, request));
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw protocolError(error.code, error.message, { ...error.data, tool: name });
+      }
+      throw protocolError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`, { tool: name });
+    }
+  });
+
+  return server;
+}
+
+/**
+ * createServer and registerTools in one step, for servers without other handlers
+ */
+function createToolServer({ tools, ...options }) {
+  return registerTools(createServer(options), tools);
+}
+
+/**
+ * Connect a server over stdio and log to stderr (stdout carries the protocol)
+ */
+function runStdio(server, label) {
+  const main = async () => {
+    const transport = new StdioServerTransport();
+    await server.connect(transport);
+    console.error(`${label} MCP server running on stdio`);
+  };
+  main().catch(console.error);
+}
+
+module.exports = {
+  protocolError,
+  validateSchema,
+  toToolResult,
+  createServer,
+  registerTools,
+  createToolServer,
+  runStdio
+};
@@ -0,0 +1,311 @@
+/**
+ * Token counting for context budgets
+ *
+ * A tokenizer is { name, exact, fallbackReason?, count(text), truncate(text, maxTokens) }.
+ * BPE tokenizers read tiktoken vocabularies (`<encoding>.tiktoken`, one `base64-token rank` per line,
+ * optionally gzipped as `<encoding>.tiktoken.gz`) from `.github/mcp-servers/tokenizers` or
+ * MCP_TOKENIZER_PATH; nothing is downloaded. o200k_base and cl100k_base ship with the servers. The encoding is
+ * picked from the target model (MCP_TOKENIZER_MODEL, or a `model` argument) or set directly with
+ * MCP_TOKENIZER_ENCODING. Without a vocabulary for the model, the 4-characters-per-token estimate is
+ * used and the tokenizer says why.
+ *
+ * Other tokenizers plug in with registerTokenizer(name, factory); a registered name can be used as
+ * an encoding.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_MODEL = 'gpt-4o';
+const DEFAULT_VOCAB_DIR = path.join(__dirname, '..', 'tokenizers');
+
+const CONTRACTIONS = "'(?:[sS]|[dD]|[mM]|[tT]|[lL][lL]|[vV][eE]|[rR][eE])";
+const UPPER = '[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]';
+const LOWER = '[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]';
+
+/**
+ * Pre-tokenizer patterns of the published encodings (JavaScript ports of the tiktoken patterns)
+ */
+const ENCODINGS = {
+  o200k_base: {
+    file: 'o200k_base.tiktoken',
+    pattern: [
+      `[^\\r\\n\\p{L}\\p{N}]?${UPPER}*${LOWER}+(?:${CONTRACTIONS})?`,
+      `[^\\r\\n\\p{L}\\p{N}]?${UPPER}+${LOWER}*(?:${CONTRACTIONS})?`,
+      '\\p{N}{1,3}',
+      ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*',
+      '\\s*[\\r\\n]+',
+      '\\s+(?!\\S)',
+      '\\s+'
+    ].join('|')
+  },
+  cl100k_base: {
+    file: 'cl100k_base.tiktoken',
+    pattern: `${CONTRACTIONS}|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+`
+  },
+  p50k_base: {
+    file: 'p50k_base.tiktoken',
+    pattern: "'(?:[sdmt]|ll|ve|re)| ?\\p{L}+| ?\\p{N}+| ?[^\\s\\p{L}\\p{N}]+|\\s+(?!\\S)|\\s+"
+  },
+  r50k_base: {
+    file: 'r50k_base.tiktoken',
+    pattern: "'(?:[sdmt]|ll|ve|re)| ?\\p{L}+| ?\\p{N}+| ?[^\\s\\p{L}\\p{N}]+|\\s+(?!\\S)|\\s+"
+  }
+};
+
+/**
+ * Target model -> encoding, first match wins
+ */
+const MODEL_ENCODINGS = [
+  { pattern: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o1|o3|o4)/, encoding: 'o200k_base' },
+  { pattern: /^(gpt-4|gpt-3\.5|text-embedding-3|text-embedding-ada-002)/, encoding: 'cl100k_base' },
+  { pattern: /^(code-|text-davinci-00[23])/, encoding: 'p50k_base' },
+  { pattern: /^(gpt2|davinci|curie|babbage|ada)/, encoding: 'r50k_base' }
+];
+
+const customTokenizers = new Map();
+const rankCache = new Map();
+const tokenizerCache = new Map();
+
+// Counts of recently seen pre-token pieces; markdown repeats the same words a lot
+const PIECE_CACHE_SIZE = 50000;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * The 4-characters-per-token estimate, used when no vocabulary is available
+ */
+function createCharTokenizer(fallbackReason) {
+  return {
+    name: `chars-${CHARS_PER_TOKEN}`,
+    exact: false,
+    fallbackReason,
+    count: estimateTokens,
+    truncate(text, maxTokens) {
+      const cut = String(text).slice(0, Math.max(0, maxTokens) * CHARS_PER_TOKEN);
+      return { text: cut, tokens: estimateTokens(cut) };
+    }
+  };
+}
+
+/**
+ * Vocabulary file of an encoding in a directory: `<file>`, else `<file>.gz`; null when neither exists
+ */
+function findVocabulary(vocabDir, file) {
+  return [file, `${file}.gz`].map(name => path.join(vocabDir, name)).find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Token ranks of a tiktoken vocabulary, keyed by the token bytes as a latin1 string
+ */
+function loadRanks(filePath) {
+  if (rankCache.has(filePath)) return rankCache.get(filePath);
+  const ranks = new Map();
+  const data = fs.readFileSync(filePath);
+  const text = (filePath.endsWith('.gz') ? zlib.gunzipSync(data) : data).toString('utf-8');
+  for (const line of text.split('\n')) {
+    const [token, rank] = line.trim().split(/\s+/);
+    if (!token || rank === undefined) continue;
+    ranks.set(Buffer.from(token, 'base64').toString('latin1'), Number(rank));
+  }
+  rankCache.set(filePath, ranks);
+  return ranks;
+}
+
+/**
+ * Number of tokens one pre-token piece encodes to (tiktoken's byte pair merge)
+ */
+function bytePairCount(bytes, ranks) {
+  if (ranks.has(bytes)) return 1;
+  const boundaries = [...Array(bytes.length + 1).keys()];
+  const rankAt = i => (i + 2 < boundaries.length
+    ? ranks.get(bytes.slice(boundaries[i], boundaries[i + 2]))
+    : undefined);
+  const pairRanks = boundaries.map((_, i) => rankAt(i));
+
+  for (;;) {
+    let best = -1;
+    for (let i = 0; i < boundaries.length - 2; i++) {
+      if (pairRanks[i] !== undefined && (best < 0 || pairRanks[i] < pairRanks[best])) best = i;
+    }
+    if (best < 0) break;
+    boundaries.splice(best + 1, 1);
+    pairRanks.splice(best + 1, 1);
+    pairRanks[best] = rankAt(best);
+    if (best > 0) pairRanks[best - 1] = rankAt(best - 1);
+  }
+  return boundaries.length - 1;
+}
+
+/**
+ * BPE tokenizer over a rank table
+ */
+function createBpeTokenizer(name, ranks, pattern) {
+  const pieces = new Map();
+  const countPiece = piece => {
+    let count = pieces.get(piece);
+    if (count === undefined) {
+      count = bytePairCount(Buffer.from(piece, 'utf-8').toString('latin1'), ranks);
+      if (pieces.size >= PIECE_CACHE_SIZE) pieces.clear();
+      pieces.set(piece, count);
+    }
+    return count;
+  };
+  const split = text => String(text).match(new RegExp(pattern, 'gu')) || [];
+
+  return {
+    name,
+    exact: true,
+    count(text) {
+      return split(text).reduce((total, piece) => total + countPiece(piece), 0);
+    },
+    /**
+     * Longest prefix within maxTokens, cut between pre-token pieces
+     */
+    truncate(text, maxTokens) {
+      let tokens = 0;
+      let length = 0;
+      for (const piece of split(text)) {
+        const count = countPiece(piece);
+        if (tokens + count > maxTokens) break;
+        tokens += count;
+        length += piece.length;
+      }
+      return { text: String(text).slice(0, length), tokens };
+    }
+  };
+}
+
+/**
+ * Add a tokenizer: factory({ model, vocabPath }) returns { name, exact, count, truncate }
+ */
+function registerTokenizer(name, factory) {
+  customTokenizers.set(name, factory);
+  tokenizerCache.clear();
+}
+
+function encodingForModel(model) {
+  const match = MODEL_ENCODINGS.find(entry => entry.pattern.test(String(model).toLowerCase()));
+  return match ? match.encoding : null;
+}
+
+/**
+ * Tokenizer for a target model or encoding
+ *
+ * options.model, options.encoding, options.vocabPath default to MCP_TOKENIZER_MODEL,
+ * MCP_TOKENIZER_ENCODING and MCP_TOKENIZER_PATH. Falls back to the 4-character estimate
+ * (with fallbackReason) when the model has no known encoding or its vocabulary is missing.
+ */
+function createTokenizer({ model, encoding, vocabPath, env = process.env } = {}) {
+  const targetModel = model || env.MCP_TOKENIZER_MODEL || DEFAULT_MODEL;
+  const encodingName = encoding || (model ? null : env.MCP_TOKENIZER_ENCODING) || encodingForModel(targetModel);
+  const vocabDir = vocabPath || env.MCP_TOKENIZER_PATH || DEFAULT_VOCAB_DIR;
+  const key = `${targetModel}|${encodingName}|${vocabDir}`;
+  if (tokenizerCache.has(key)) return tokenizerCache.get(key);
+
+  let tokenizer;
+  if (encodingName && customTokenizers.has(encodingName)) {
+    tokenizer = customTokenizers.get(encodingName)({ model: targetModel, vocabPath: vocabDir });
+  } else if (!encodingName) {
+    tokenizer = createCharTokenizer(`No offline vocabulary is known for model "${targetModel}"`);
+  } else if (!ENCODINGS[encodingName]) {
+    tokenizer = createCharTokenizer(`Unknown encoding "${encodingName}"`);
+  } else {
+    const vocabFile = findVocabulary(vocabDir, ENCODINGS[encodingName].file);
+    if (!vocabFile) {
+      tokenizer = createCharTokenizer(`Vocabulary ${ENCODINGS[encodingName].file} not found in ${vocabDir}`);
+    } else {
+      try {
+        tokenizer = createBpeTokenizer(encodingName, loadRanks(vocabFile), ENCODINGS[encodingName].pattern);
+      } catch (e) {
+        tokenizer = createCharTokenizer(`Could not load ${vocabFile}: ${e.message}`);
+      }
+    }
+  }
+
+  tokenizer = { ...tokenizer, model: targetModel };
+  tokenizerCache.set(key, tokenizer);
+  return tokenizer;
+}
+
+/**
+ * Estimated (4 characters per token) and exact counts; exact is null without a vocabulary
+ */
+function tokenCounts(tokenizer, text) {
+  return {
+    estimated: estimateTokens(text),
+    exact: tokenizer.exact ? tokenizer.count(text) : null
+  };
+}
+
+/**
+ * A token budget (and optional character cap) that content is taken from in order
+ *
+ * take(text, { marker }) returns { text, tokens, truncated }: the whole text when it fits, otherwise the
+ * longest prefix that fits followed by the marker, or an empty text once the budget is spent.
+ */
+function createBudget(tokenizer, { maxTokens, maxChars = Infinity }) {
+  let usedTokens = 0;
+  let usedChars = 0;
+
+  const spend = (text, tokens) => {
+    usedTokens += tokens;
+    usedChars += text.length;
+  };
+
+  return {
+    get remainingTokens() {
+      return Math.max(0, maxTokens - usedTokens);
+    },
+    get remainingChars() {
+      return Math.max(0, maxChars - usedChars);
+    },
+    exhausted() {
+      return usedTokens >= maxTokens || usedChars >= maxChars;
+    },
+    take(text, { marker = '' } = {}) {
+      const tokens = tokenizer.count(text);
+      if (tokens <= maxTokens - usedTokens && text.length <= maxChars - usedChars) {
+        spend(text, tokens);
+        return { text, tokens, truncated: false };
+      }
+      const markerTokens = marker ? tokenizer.count(marker) : 0;
+      const room = Math.max(0, maxTokens - usedTokens - markerTokens);
+      const cut = tokenizer.truncate(text.slice(0, Math.max(0, maxChars - usedChars - marker.length)), room);
+      if (!cut.text) {
+        usedTokens = maxTokens;
+        return { text: '', tokens: 0, truncated: true };
+      }
+      const result = cut.text + marker;
+      spend(result, cut.tokens + markerTokens);
+      return { text: result, tokens: cut.tokens + markerTokens, truncated: true };
+    },
+    usage() {
+      return {
+        tokens: usedTokens,
+        chars: usedChars,
+        maxTokens,
+        maxChars: Number.isFinite(maxChars) ? maxChars : undefined
+      };
+    }
+  };
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  DEFAULT_VOCAB_DIR,
+  ENCODINGS,
+  MODEL_ENCODINGS,
+  estimateTokens,
+  createCharTokenizer,
+  createBpeTokenizer,
+  registerTokenizer,
+  encodingForModel,
+  createTokenizer,
+  tokenCounts,
+  createBudget
+};
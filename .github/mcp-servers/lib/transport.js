@@ -0,0 +1,294 @@
+/**
+ * Transport selection for the MCP servers: stdio (default) or HTTP
+ *
+ * MCP_TRANSPORT=http serves one instance to many clients:
+ * - Streamable HTTP on MCP_HTTP_PATH (default /mcp): POST, GET (SSE stream) and DELETE, one session per
+ *   initialize, identified by the Mcp-Session-Id header
+ * - The older HTTP+SSE transport for clients without Streamable HTTP: GET /sse, then POST /messages?sessionId=
+ * - GET /health: status, server name and open sessions, without authentication
+ *
+ * MCP_HTTP_HOST (default 127.0.0.1) and MCP_HTTP_PORT (default 3100) set the bind address. With
+ * MCP_HTTP_TOKEN every request except /health needs `Authorization: Bearer <token>`. On a loopback address
+ * the Host header must name that address, against DNS rebinding. A Streamable HTTP session with no open
+ * request for MCP_HTTP_SESSION_TIMEOUT seconds (default 1800, 0 keeps sessions open) is closed.
+ *
+ * Each session gets its own front server (lib/server-mount.js) over the one server instance, so caches,
+ * indexes and file watchers are shared between sessions.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const { runStdio } = require('./server-runtime.js');
+const { connectClient, createMountServer } = require('./server-mount.js');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 3100;
+const DEFAULT_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const DEFAULT_SESSION_TIMEOUT_SECONDS = 30 * 60;
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const SERVER_ERROR = -32000;
+
+/**
+ * Transport settings from the environment: { transport, host, port, path, token, sessionTimeoutMs }
+ */
+function transportOptions(env = process.env) {
+  const transport = (env.MCP_TRANSPORT || 'stdio').toLowerCase();
+  if (!['stdio', 'http'].includes(transport)) {
+    throw new Error(`Unknown MCP_TRANSPORT "${env.MCP_TRANSPORT}". Use stdio or http`);
+  }
+  const port = env.MCP_HTTP_PORT === undefined ? DEFAULT_PORT : Number(env.MCP_HTTP_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid MCP_HTTP_PORT "${env.MCP_HTTP_PORT}"`);
+  }
+  const sessionTimeout = env.MCP_HTTP_SESSION_TIMEOUT === undefined
+    ? DEFAULT_SESSION_TIMEOUT_SECONDS
+    : Number(env.MCP_HTTP_SESSION_TIMEOUT);
+  if (!Number.isFinite(sessionTimeout) || sessionTimeout < 0) {
+    throw new Error(`Invalid MCP_HTTP_SESSION_TIMEOUT "${env.MCP_HTTP_SESSION_TIMEOUT}"`);
+  }
+  return {
+    transport,
+    host: env.MCP_HTTP_HOST || DEFAULT_HOST,
+    port,
+    path: env.MCP_HTTP_PATH || DEFAULT_PATH,
+    token: env.MCP_HTTP_TOKEN || null,
+    sessionTimeoutMs: sessionTimeout * 1000
+  };
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message, code = SERVER_ERROR) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf-8')) : undefined);
+      } catch (e) {
+        reject(Object.assign(new Error(`Invalid JSON: ${e.message}`), { status: 400, rpcCode: PARSE_ERROR }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function tokenMatches(header, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Hosts a loopback bind answers to, or null when any Host is accepted
+ */
+function allowedHosts(host, port) {
+  if (!LOOPBACK_HOSTS.includes(host)) return null;
+  return new Set(LOOPBACK_HOSTS.map(name => (name.includes(':') ? `[${name}]:${port}` : `${name}:${port}`)));
+}
+
+/**
+ * Serve over HTTP; createSessionServer() returns a new, unconnected Server for each session.
+ * Resolves to { httpServer, sessions, close() } once listening.
+ */
+function runHttp(createSessionServer, label, options) {
+  const sessions = new Map();
+  const startedAt = Date.now();
+  let hosts = null;
+
+  // The server's own close handling is chained onto transport.onclose by connect()
+  const openSession = async transport => {
+    const server = await createSessionServer();
+    transport.onclose = () => sessions.delete(transport.sessionId);
+    await server.connect(transport);
+  };
+
+  const handleStreamable = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || session.kind !== 'streamable') {
+        sendRpcError(res, 404, `Unknown session: ${sessionId}`);
+        return;
+      }
+      session.openRequests += 1;
+      res.once('close', () => {
+        session.openRequests -= 1;
+        session.lastSeen = Date.now();
+      });
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendRpcError(res, 400, 'No Mcp-Session-Id header; start a session with an initialize request');
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: id => sessions.set(id, {
+        kind: 'streamable',
+        transport,
+        openedAt: new Date().toISOString(),
+        lastSeen: Date.now(),
+        openRequests: 0
+      })
+    });
+    await openSession(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const handleSse = async (req, res) => {
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    sessions.set(transport.sessionId, { kind: 'sse', transport, openedAt: new Date().toISOString() });
+    await openSession(transport);
+  };
+
+  const handleMessage = async (req, res, url) => {
+    const session = sessions.get(url.searchParams.get('sessionId'));
+    if (!session || session.kind !== 'sse') {
+      sendRpcError(res, 404, `Unknown session: ${url.searchParams.get('sessionId')}`);
+      return;
+    }
+    await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+  };
+
+  // Close Streamable sessions without an open request (such as the GET stream) for the timeout; SSE
+  // sessions end with their connection
+  const sweepIdle = () => {
+    const idleSince = Date.now() - options.sessionTimeoutMs;
+    for (const [id, session] of sessions) {
+      if (session.kind !== 'streamable' || session.openRequests > 0 || session.lastSeen > idleSince) continue;
+      console.error(`${label} MCP server: closing idle session ${id}`);
+      sessions.delete(id);
+      session.transport.close().catch(e => console.error(`${label} MCP server: closing session ${id} failed: ${e.message}`));
+    }
+  };
+  const sweeper = options.sessionTimeoutMs > 0
+    ? setInterval(sweepIdle, Math.min(options.sessionTimeoutMs, MAX_SWEEP_INTERVAL_MS)).unref()
+    : null;
+
+  const health = res => {
+    const kinds = [...sessions.values()].map(session => session.kind);
+    sendJson(res, 200, {
+      status: 'ok',
+      server: label,
+      transport: 'http',
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      sessions: {
+        streamable: kinds.filter(kind => kind === 'streamable').length,
+        sse: kinds.filter(kind => kind === 'sse').length
+      },
+      auth: options.token ? 'bearer' : 'none'
+    });
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (hosts && !hosts.has(req.headers.host)) {
+        sendRpcError(res, 403, `Invalid Host header: ${req.headers.host}`);
+        return;
+      }
+      if (url.pathname === '/health' && req.method === 'GET') {
+        health(res);
+        return;
+      }
+      if (options.token && !tokenMatches(req.headers.authorization, options.token)) {
+        sendJson(res, 401, { error: 'Missing or invalid bearer token' }, { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+      if (url.pathname === options.path && ['POST', 'GET', 'DELETE'].includes(req.method)) {
+        await handleStreamable(req, res);
+      } else if (url.pathname === SSE_PATH && req.method === 'GET') {
+        await handleSse(req, res);
+      } else if (url.pathname === MESSAGES_PATH && req.method === 'POST') {
+        await handleMessage(req, res, url);
+      } else {
+        sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+      }
+    } catch (e) {
+      console.error(`${label} MCP server: ${req.method} ${req.url} failed: ${e.message}`);
+      if (!res.headersSent) sendRpcError(res, e.status || 500, e.message, e.rpcCode);
+      else res.end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', e => {
+      clearInterval(sweeper);
+      reject(e);
+    });
+    httpServer.listen(options.port, options.host, () => {
+      const { port } = httpServer.address();
+      hosts = allowedHosts(options.host, port);
+      const shownHost = options.host.includes(':') ? `[${options.host}]` : options.host;
+      console.error(`${label} MCP server listening on http://${shownHost}:${port}${options.path} (SSE: ${SSE_PATH}, health: /health)`);
+      resolve({
+        httpServer,
+        sessions,
+        close: async () => {
+          clearInterval(sweeper);
+          await Promise.all([...sessions.values()].map(session => session.transport.close().catch(() => {})));
+          await new Promise(done => httpServer.close(done));
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Run a server on the transport MCP_TRANSPORT selects
+ *
+ * target is a connected-once Server or a function returning a new Server (per HTTP session). A Server
+ * is served over HTTP through a front server per session, mounted on the one instance.
+ */
+async function serve(target, label, options = transportOptions()) {
+  if (options.transport === 'stdio') {
+    runStdio(typeof target === 'function' ? await target() : target, label);
+    return null;
+  }
+
+  let createSessionServer = target;
+  if (typeof target !== 'function') {
+    const mount = await connectClient(target, `${label} HTTP sessions`);
+    createSessionServer = () => createMountServer([mount], { ...mount.serverInfo });
+  }
+  return runHttp(createSessionServer, label, options);
+}
+
+module.exports = {
+  transportOptions,
+  runHttp,
+  serve
+};
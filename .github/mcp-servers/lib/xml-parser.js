@@ -0,0 +1,208 @@
+/**
+ * Minimal XML parser for Moqui definition files
+ *
+ * Moqui entity, service, screen and component files are plain XML without
+ * namespaces in element names, so a small dependency-free parser is enough.
+ * Every element records the line it starts on so callers can point at
+ * concrete locations in the source file.
+ */
+
+const fs = require('fs');
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * Decode XML character and entity references
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' ? parseInt(ref.substring(2), 16) : parseInt(ref.substring(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, ref) ? NAMED_ENTITIES[ref] : match;
+  });
+}
+
+/**
+ * Parse the attribute section of a start tag
+ */
+function parseAttributes(source, line) {
+  const attributes = {};
+  const attrRegex = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attrRegex.exec(source)) !== null) {
+    const value = match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1]] = decodeEntities(value);
+  }
+  const leftover = source.replace(attrRegex, '').trim();
+  if (leftover && leftover !== '/') {
+    throw new Error(`Malformed attributes near line ${line}: ${leftover.substring(0, 40)}`);
+  }
+  return attributes;
+}
+
+/**
+ * Parse XML text into an element tree
+ *
+ * Returns the root element: { name, attributes, children, text, line }.
+ * `text` holds the concatenated character data directly inside the element.
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '', line: 1 };
+  const stack = [root];
+  let pos = 0;
+  let line = 1;
+
+  const advance = (to) => {
+    for (let i = pos; i < to; i++) {
+      if (xml.charCodeAt(i) === 10) line++;
+    }
+    pos = to;
+  };
+
+  const skipTo = (marker, what) => {
+    const end = xml.indexOf(marker, pos);
+    if (end === -1) throw new Error(`Unterminated ${what} starting at line ${line}`);
+    const body = xml.substring(pos, end);
+    advance(end + marker.length);
+    return body;
+  };
+
+  while (pos < xml.length) {
+    const lt = xml.indexOf('<', pos);
+    const current = stack[stack.length - 1];
+
+    if (lt === -1) {
+      current.text += decodeEntities(xml.substring(pos));
+      advance(xml.length);
+      break;
+    }
+    if (lt > pos) {
+      current.text += decodeEntities(xml.substring(pos, lt));
+      advance(lt);
+    }
+
+    if (xml.startsWith('<!--', pos)) {
+      skipTo('-->', 'comment');
+    } else if (xml.startsWith('<![CDATA[', pos)) {
+      advance(pos + 9);
+      current.text += skipTo(']]>', 'CDATA section');
+    } else if (xml.startsWith('<?', pos)) {
+      skipTo('?>', 'processing instruction');
+    } else if (xml.startsWith('<!', pos)) {
+      skipTo('>', 'declaration');
+    } else if (xml.startsWith('</', pos)) {
+      const tagLine = line;
+      advance(pos + 2);
+      const name = skipTo('>', 'end tag').trim();
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}> at line ${tagLine}` +
+          (stack.length > 1 ? ` (expected </${current.name}>)` : ''));
+      }
+      stack.pop();
+    } else {
+      const tagLine = line;
+      advance(pos + 1);
+      // Find the end of the tag while respecting quoted attribute values
+      let end = pos;
+      let quote = null;
+      while (end < xml.length) {
+        const ch = xml[end];
+        if (quote) {
+          if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+          quote = ch;
+        } else if (ch === '>') {
+          break;
+        }
+        end++;
+      }
+      if (end >= xml.length) throw new Error(`Unterminated start tag at line ${tagLine}`);
+
+      const raw = xml.substring(pos, end);
+      advance(end + 1);
+      const selfClosing = raw.endsWith('/');
+      const body = selfClosing ? raw.slice(0, -1) : raw;
+      const nameMatch = body.match(/^([^\s/>]+)/);
+      if (!nameMatch) throw new Error(`Missing element name at line ${tagLine}`);
+
+      const element = {
+        name: nameMatch[1],
+        attributes: parseAttributes(body.substring(nameMatch[1].length), tagLine),
+        children: [],
+        text: '',
+        line: tagLine
+      };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`Unclosed element <${open.name}> opened at line ${open.line}`);
+  }
+
+  const rootElement = root.children[0];
+  if (!rootElement) throw new Error('Document has no root element');
+  return rootElement;
+}
+
+/**
+ * Read and parse an XML file
+ */
+function parseXmlFile(filePath) {
+  return parseXml(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Get direct children with the given element name
+ */
+function childrenNamed(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+/**
+ * Get the first direct child with the given element name
+ */
+function childNamed(element, name) {
+  return element.children.find(child => child.name === name) || null;
+}
+
+/**
+ * Walk all descendants depth-first, calling visitor(element, ancestors)
+ */
+function walk(element, visitor, ancestors = []) {
+  for (const child of element.children) {
+    visitor(child, ancestors);
+    walk(child, visitor, [...ancestors, child]);
+  }
+}
+
+/**
+ * Get all descendants with the given element name
+ */
+function descendantsNamed(element, name) {
+  const found = [];
+  walk(element, child => {
+    if (child.name === name) found.push(child);
+  });
+  return found;
+}
+
+module.exports = {
+  parseXml,
+  parseXmlFile,
+  decodeEntities,
+  childrenNamed,
+  childNamed,
+  descendantsNamed,
+  walk
+};
@@ -11,26 +11,65 @@
  * Enables Copilot to leverage project-specific expertise and patterns.
  */
 
-const { Server } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const {
-  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
   ErrorCode,
   McpError,
 } = require('@modelcontextprotocol/sdk/types.js');
+const { createServer, registerTools, protocolError } = require('./lib/server-runtime.js');
+const { serve } = require('./lib/transport.js');
 const fs = require('fs');
 const path = require('path');
-
-const projectRoot = process.env.MOQUI_PROJECT_ROOT || '/home/n541342/IdeaProjects/moqui_example';
-const agentsPath = path.join(projectRoot, '.github/agents');
-const instructionsPath = path.join(projectRoot, '.github/instructions');
-const promptsPath = path.join(projectRoot, '.github/prompts');
-
-const server = new Server({
+const { parseFrontmatter } = require('./lib/frontmatter.js');
+const { KNOWLEDGE_SOURCES, knowledgeDirectories, loadKnowledgeIndex } = require('./lib/search-index.js');
+const { createKnowledgeSearch } = require('./lib/semantic-index.js');
+const { isWatchEnabled, watchDirectories, createReloadTracker, notifyResourceListChanged, notifyPromptListChanged } = require('./lib/hot-reload.js');
+const { templateVariables, renderPrompt } = require('./lib/prompt-template.js');
+const { fitToBudget } = require('./lib/context-budget.js');
+const { findSection, headingOutline } = require('./lib/section-truncate.js');
+const { loadConfig } = require('./lib/config.js');
+
+const { projectRoot, paths } = loadConfig();
+const agentsPath = path.join(projectRoot, paths.agents);
+const instructionsPath = path.join(projectRoot, paths.instructions);
+const promptsPath = path.join(projectRoot, paths.prompts);
+const docsPath = path.join(projectRoot, paths.documentation);
+const knowledge = knowledgeDirectories(projectRoot, paths);
+
+const server = createServer({
   name: 'mcp-instructions',
   version: '1.0.0',
+  capabilities: {
+    resources: { listChanged: true },
+    prompts: { listChanged: true }
+  }
 });
 
+const reloadTracker = createReloadTracker();
+
+/**
+ * Load one markdown file
+ */
+function loadMarkdownFile(dirPath, filename) {
+  const filePath = path.join(dirPath, filename);
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const frontmatter = parseFrontmatter(content);
+  return {
+    filename,
+    name: filename.replace('.md', '').replace('.instructions', '').replace('.agent', '').replace('.prompt', ''),
+    content,
+    metadata: frontmatter.data,
+    body: frontmatter.body,
+    frontmatterError: frontmatter.error,
+    type: determineFileType(filename),
+    path: filePath
+  };
+}
+
 /**
  * Load all markdown files from a directory
  */
@@ -42,15 +81,9 @@ function loadMarkdownFiles(dirPath) {
   return fs.readdirSync(dirPath)
     .filter(f => f.endsWith('.md'))
     .map(filename => {
-      const filePath = path.join(dirPath, filename);
-      const content = fs.readFileSync(filePath, 'utf-8');
-      return {
-        filename,
-        name: filename.replace('.md', '').replace('.instructions', '').replace('.agent', '').replace('.prompt', ''),
-        content,
-        type: determineFileType(filename),
-        path: filePath
-      };
+      const file = loadMarkdownFile(dirPath, filename);
+      reloadTracker.record(file.path, 'initial', file.frontmatterError);
+      return file;
     });
 }
 
@@ -65,34 +98,11 @@ function determineFileType(filename) {
 }
 
 /**
- * Extract frontmatter metadata from markdown
+ * Frontmatter value as display text (lists are comma-joined)
  */
-function extractMetadata(content) {
-  const frontmatterRegex = /^---\n([\s\S]*?)\n---/;
-  const match = content.match(frontmatterRegex);
-  
-  if (!match) return {};
-  
-  const metadata = {};
-  const lines = match[1].split('\n');
-  
-  for (const line of lines) {
-    if (line.includes(':')) {
-      const [key, ...valueParts] = line.split(':');
-      metadata[key.trim()] = valueParts.join(':').trim().replace(/^['"]|['"]$/g, '');
-    }
-  }
-  
-  return metadata;
-}
-
-/**
- * Get file body (content after frontmatter)
- */
-function getFileBody(content) {
-  const frontmatterRegex = /^---\n([\s\S]*?)\n---\n([\s\S]*)/;
-  const match = content.match(frontmatterRegex);
-  return match ? match[2] : content;
+function metadataText(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return value === undefined || value === null ? '' : String(value).trim();
 }
 
 /**
@@ -101,10 +111,9 @@ function getFileBody(content) {
 function searchFiles(files, keyword) {
   const lowerKeyword = keyword.toLowerCase();
   return files.filter(file => {
-    const metadata = extractMetadata(file.content);
-    const description = (metadata.description || '').toLowerCase();
-    const applyTo = (metadata.applyTo || '').toLowerCase();
-    const body = getFileBody(file.content).toLowerCase().substring(0, 500);
+    const description = metadataText(file.metadata.description).toLowerCase();
+    const applyTo = metadataText(file.metadata.applyTo).toLowerCase();
+    const body = file.body.toLowerCase().substring(0, 500);
     
     return file.name.toLowerCase().includes(lowerKeyword) ||
            description.includes(lowerKeyword) ||
@@ -118,6 +127,131 @@ const agents = loadMarkdownFiles(agentsPath);
 const instructions = loadMarkdownFiles(instructionsPath);
 const prompts = loadMarkdownFiles(promptsPath);
 
+// Section index over agents, instructions, prompts and docs, built on first search
+let knowledgeIndex = null;
+
+function getKnowledgeIndex() {
+  if (!knowledgeIndex) knowledgeIndex = loadKnowledgeIndex(knowledge);
+  return knowledgeIndex;
+}
+
+const knowledgeSearch = createKnowledgeSearch({ projectRoot, knowledge, getKeywordIndex: getKnowledgeIndex });
+
+// Hot reload: replace just the changed file in its list and drop the search index
+const libraries = [
+  { kind: 'agent', dirPath: agentsPath, files: agents },
+  { kind: 'instruction', dirPath: instructionsPath, files: instructions },
+  { kind: 'prompt', dirPath: promptsPath, files: prompts }
+];
+
+function reloadFile({ filePath, directory, exists }) {
+  const library = libraries.find(l => l.dirPath === directory && path.dirname(filePath) === directory);
+  if (library) {
+    const filename = path.basename(filePath);
+    const index = library.files.findIndex(f => f.filename === filename);
+    if (!exists) {
+      if (index >= 0) library.files.splice(index, 1);
+      reloadTracker.record(filePath, 'remove');
+    } else {
+      const file = loadMarkdownFile(directory, filename);
+      if (index >= 0) library.files[index] = file;
+      else library.files.push(file);
+      reloadTracker.record(filePath, index >= 0 ? 'change' : 'add', file.frontmatterError);
+    }
+    notifyResourceListChanged(server);
+    if (library.kind === 'prompt') notifyPromptListChanged(server);
+  }
+  knowledgeIndex = null;
+}
+
+const watcher = isWatchEnabled()
+  ? watchDirectories([...libraries.map(l => l.dirPath), docsPath], reloadFile)
+  : null;
+
+/**
+ * MCP resources: every agent, instruction and prompt file as `<kind>://<name>`
+ */
+function resourceUri(kind, file) {
+  return `${kind}://${encodeURIComponent(file.name)}`;
+}
+
+function findResource(uri) {
+  const match = String(uri).match(/^([a-z]+):\/\/(.+)$/);
+  const library = match && libraries.find(l => l.kind === match[1]);
+  if (!library) return null;
+  const name = decodeURIComponent(match[2]).replace(/\.md$/, '').toLowerCase();
+  const file = library.files.find(f => f.name.toLowerCase() === name || f.filename.toLowerCase() === `${name}.md`);
+  return file ? { library, file } : null;
+}
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+  resources: libraries.flatMap(library => library.files.map(file => ({
+    uri: resourceUri(library.kind, file),
+    name: file.name,
+    description: metadataText(file.metadata.description) || undefined,
+    mimeType: 'text/markdown'
+  })))
+}));
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+  resourceTemplates: [
+    { uriTemplate: 'agent://{name}', name: 'Agent', description: `Agent definition from ${paths.agents}`, mimeType: 'text/markdown' },
+    { uriTemplate: 'instruction://{name}', name: 'Instruction', description: `Instruction set from ${paths.instructions}`, mimeType: 'text/markdown' },
+    { uriTemplate: 'prompt://{name}', name: 'Prompt', description: `Prompt file from ${paths.prompts}`, mimeType: 'text/markdown' }
+  ]
+}));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const found = findResource(uri);
+  if (!found) {
+    throw protocolError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+  }
+  return {
+    contents: [{ uri, mimeType: 'text/markdown', text: found.file.content }]
+  };
+});
+
+/**
+ * Render a prompt file's body (frontmatter dropped) against the project root
+ */
+function renderPromptFile(prompt, values = {}, inlineFiles = true) {
+  return renderPrompt(prompt.body, values || {}, {
+    projectRoot,
+    promptDir: path.dirname(prompt.path),
+    inlineFiles
+  });
+}
+
+/**
+ * MCP prompts: prompt files, with arguments from their `${input:...}` and other variables
+ */
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: prompts.map(prompt => ({
+    name: prompt.name,
+    description: metadataText(prompt.metadata.description) || undefined,
+    arguments: templateVariables(prompt.body).map(({ name, description, required }) => ({ name, description, required }))
+  }))
+}));
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: values = {} } = request.params;
+  const prompt = prompts.find(p => p.name.toLowerCase() === String(name).toLowerCase());
+  if (!prompt) {
+    throw protocolError(ErrorCode.InvalidParams, `Prompt "${name}" not found`);
+  }
+  const rendered = renderPromptFile(prompt, values, true);
+  if (rendered.missing.length) {
+    throw protocolError(ErrorCode.InvalidParams, `Prompt "${prompt.name}" needs: ${rendered.missing.join(', ')}`);
+  }
+  return {
+    description: metadataText(prompt.metadata.description) || undefined,
+    messages: [
+      { role: 'user', content: { type: 'text', text: rendered.text } }
+    ]
+  };
+});
+
 // Tool definitions
 const tools = [
   {
@@ -131,7 +265,8 @@ const tools = [
           description: 'Optional: Filter agents by name or expertise (e.g., "i18n", "cloud", "language")'
         }
       }
-    }
+    },
+    handler: listAgents
   },
   {
     name: 'get_agent',
@@ -142,10 +277,27 @@ const tools = [
         agent_name: {
           type: 'string',
           description: 'Name of the agent (e.g., "i18n-agent", "typescript-agent", "en-US-language-agent")'
+        },
+        maxTokens: {
+          type: 'number',
+          description: 'Optional: Token budget; over it, the most relevant sections are kept and the rest outlined'
+        },
+        task: {
+          type: 'string',
+          description: 'Optional: Current task, used to pick the sections to keep when maxTokens is set'
+        },
+        section: {
+          type: 'string',
+          description: 'Optional: Heading text or heading path (e.g., "Caching" or "Backend Performance > Caching") to get one section with its subsections, such as one listed in the outline of omitted sections'
+        },
+        model: {
+          type: 'string',
+          description: 'Optional: Target model whose tokenizer counts maxTokens (default: MCP_TOKENIZER_MODEL or gpt-4o)'
         }
       },
       required: ['agent_name']
-    }
+    },
+    handler: getAgent
   },
   {
     name: 'list_instructions',
@@ -158,7 +310,8 @@ const tools = [
           description: 'Optional: Filter by programming language (e.g., "java", "groovy", "typescript", "vue")'
         }
       }
-    }
+    },
+    handler: listInstructions
   },
   {
     name: 'get_instructions',
@@ -169,10 +322,27 @@ const tools = [
         instruction_name: {
           type: 'string',
           description: 'Name of the instruction file (e.g., "java", "groovy", "typescript-5-es2022", "code-review-generic")'
+        },
+        maxTokens: {
+          type: 'number',
+          description: 'Optional: Token budget; over it, the most relevant sections are kept and the rest outlined'
+        },
+        task: {
+          type: 'string',
+          description: 'Optional: Current task, used to pick the sections to keep when maxTokens is set'
+        },
+        section: {
+          type: 'string',
+          description: 'Optional: Heading text or heading path (e.g., "Caching" or "Backend Performance > Caching") to get one section with its subsections, such as one listed in the outline of omitted sections'
+        },
+        model: {
+          type: 'string',
+          description: 'Optional: Target model whose tokenizer counts maxTokens (default: MCP_TOKENIZER_MODEL or gpt-4o)'
         }
       },
       required: ['instruction_name']
-    }
+    },
+    handler: getInstructions
   },
   {
     name: 'list_prompts',
@@ -185,40 +355,69 @@ const tools = [
           description: 'Optional: Filter prompts by category'
         }
       }
-    }
+    },
+    handler: listPrompts
   },
   {
     name: 'get_prompt',
-    description: 'Get a specific prompt or template',
+    description: 'Get a specific prompt or template; with render: true, fill in its variables and referenced files',
     inputSchema: {
       type: 'object',
       properties: {
         prompt_name: {
           type: 'string',
           description: 'Name of the prompt'
+        },
+        render: {
+          type: 'boolean',
+          description: 'Return the rendered prompt text and the variables it expects instead of the raw file. Default: false'
+        },
+        variables: {
+          type: 'object',
+          description: 'Variable values for render mode, e.g. { "DecisionTitle": "...", "file": "runtime/component/x/service/X.xml", "selection": "..." }',
+          additionalProperties: { type: 'string' }
+        },
+        inline_files: {
+          type: 'boolean',
+          description: 'Render mode: append files the prompt links to and the "file" variable. Default: true'
         }
       },
       required: ['prompt_name']
-    }
+    },
+    handler: getPrompt
   },
   {
     name: 'search_knowledge',
-    description: 'Search across agents, instructions, and prompts for relevant knowledge',
+    description: 'Ranked (BM25) search across agents, instructions, prompts and docs; returns matching sections with their heading path and score',
     inputSchema: {
       type: 'object',
       properties: {
         keyword: {
           type: 'string',
-          description: 'Search keyword (e.g., "authentication", "cloud", "Vue.js", "i18n")'
+          description: 'Search words, stemmed (e.g., "authentication tokens", "i18n"); quote phrases: "circuit breaker"'
         },
         document_type: {
           type: 'string',
-          enum: ['agent', 'instruction', 'prompt', 'all'],
+          enum: ['agent', 'instruction', 'prompt', 'doc', 'all'],
           description: 'Filter by document type. Default: "all"'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of sections to return. Default: 10'
+        },
+        mode: {
+          type: 'string',
+          enum: ['keyword', 'semantic', 'hybrid'],
+          description: 'keyword (BM25), semantic (local embeddings) or hybrid (both scores combined). Default: "keyword"'
+        },
+        semantic_weight: {
+          type: 'number',
+          description: 'Share of the semantic score in hybrid mode, 0..1. Default: 0.5'
         }
       },
       required: ['keyword']
-    }
+    },
+    handler: searchKnowledge
   },
   {
     name: 'get_agent_collaboration',
@@ -226,7 +425,8 @@ const tools = [
     inputSchema: {
       type: 'object',
       properties: {}
-    }
+    },
+    handler: getAgentCollaboration
   },
   {
     name: 'get_quick_reference',
@@ -239,267 +439,277 @@ const tools = [
           description: 'Topic for quick reference (e.g., "i18n", "moqui", "vue", "typescript")'
         }
       }
-    }
+    },
+    handler: getQuickReference
+  },
+  {
+    name: 'get_cache_state',
+    description: 'Show loaded agent, instruction and prompt files with their last (re)load time, and whether file watching is active',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: getCacheState
   }
 ];
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request;
-
-  try {
-    switch (name) {
-      case 'list_agents': {
-        const filtered = args.filter ? 
-          searchFiles(agents, args.filter) : 
-          agents;
-        
-        const summary = filtered.map(agent => {
-          const metadata = extractMetadata(agent.content);
-          return {
-            name: agent.name,
-            description: metadata.description || 'No description',
-            type: agent.type
-          };
-        });
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Found ${summary.length} agent(s):\n\n${JSON.stringify(summary, null, 2)}`
-            }
-          ]
-        };
-      }
+// Tool handlers; arguments are validated against each tool's inputSchema before they run
+function listAgents(args) {
+  const filtered = args.filter ? 
+    searchFiles(agents, args.filter) : 
+    agents;
+  
+  const summary = filtered.map(agent => ({
+    name: agent.name,
+    description: metadataText(agent.metadata.description) || 'No description',
+    type: agent.type,
+    frontmatter_error: agent.frontmatterError
+  }));
+
+  return `Found ${summary.length} agent(s):\n\n${JSON.stringify(summary, null, 2)}`;
+}
 
-      case 'get_agent': {
-        const agent = agents.find(a => 
-          a.name.toLowerCase() === args.agent_name.toLowerCase()
-        );
+function getAgent(args) {
+  const agent = agents.find(a => 
+    a.name.toLowerCase() === args.agent_name.toLowerCase()
+  );
 
-        if (!agent) {
-          throw new McpError(
-            ErrorCode.InvalidRequest,
-            `Agent "${args.agent_name}" not found. Available agents: ${agents.map(a => a.name).join(', ')}`
-          );
-        }
+  if (!agent) {
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      `Agent "${args.agent_name}" not found. Available agents: ${agents.map(a => a.name).join(', ')}`
+    );
+  }
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `# Agent: ${agent.name}\n\n${agent.content}`
-            }
-          ]
-        };
-      }
+  return fittedFile(`Agent: ${agent.name}`, agent, args, 'get_agent');
+}
 
-      case 'list_instructions': {
-        const filtered = args.language ? 
-          searchFiles(instructions, args.language) : 
-          instructions;
-
-        const summary = filtered.map(inst => {
-          const metadata = extractMetadata(inst.content);
-          return {
-            name: inst.name,
-            description: metadata.description || 'No description',
-            applies_to: metadata.applyTo || 'N/A'
-          };
-        });
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Found ${summary.length} instruction set(s):\n\n${JSON.stringify(summary, null, 2)}`
-            }
-          ]
-        };
-      }
+function listInstructions(args) {
+  const filtered = args.language ? 
+    searchFiles(instructions, args.language) : 
+    instructions;
 
-      case 'get_instructions': {
-        const inst = instructions.find(i => 
-          i.name.toLowerCase() === args.instruction_name.toLowerCase()
-        );
+  const summary = filtered.map(inst => ({
+    name: inst.name,
+    description: metadataText(inst.metadata.description) || 'No description',
+    applies_to: metadataText(inst.metadata.applyTo) || 'N/A',
+    frontmatter_error: inst.frontmatterError
+  }));
 
-        if (!inst) {
-          throw new McpError(
-            ErrorCode.InvalidRequest,
-            `Instructions "${args.instruction_name}" not found. Available: ${instructions.map(i => i.name).join(', ')}`
-          );
-        }
+  return `Found ${summary.length} instruction set(s):\n\n${JSON.stringify(summary, null, 2)}`;
+}
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `# Instructions: ${inst.name}\n\n${inst.content}`
-            }
-          ]
-        };
-      }
+function getInstructions(args) {
+  const inst = instructions.find(i => 
+    i.name.toLowerCase() === args.instruction_name.toLowerCase()
+  );
 
-      case 'list_prompts': {
-        const filtered = args.category ? 
-          searchFiles(prompts, args.category) : 
-          prompts;
-
-        const summary = filtered.map(prompt => {
-          const metadata = extractMetadata(prompt.content);
-          return {
-            name: prompt.name,
-            description: metadata.description || 'No description'
-          };
-        });
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Found ${summary.length} prompt(s):\n\n${JSON.stringify(summary, null, 2)}`
-            }
-          ]
-        };
-      }
+  if (!inst) {
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      `Instructions "${args.instruction_name}" not found. Available: ${instructions.map(i => i.name).join(', ')}`
+    );
+  }
 
-      case 'get_prompt': {
-        const prompt = prompts.find(p => 
-          p.name.toLowerCase() === args.prompt_name.toLowerCase()
-        );
+  return fittedFile(`Instructions: ${inst.name}`, inst, args, 'get_instructions');
+}
 
-        if (!prompt) {
-          throw new McpError(
-            ErrorCode.InvalidRequest,
-            `Prompt "${args.prompt_name}" not found. Available: ${prompts.map(p => p.name).join(', ')}`
-          );
-        }
+/**
+ * An agent or instruction file, or args.section of it, fitted into args.maxTokens. When sections are
+ * omitted, a second text item holds the outline as JSON; the same tool fetches each with `section`.
+ */
+function fittedFile(title, file, args, toolName) {
+  let content = file.content;
+  let lineOffset = 0;
+  if (args.section) {
+    const section = findSection(file.content, args.section);
+    if (!section) {
+      const headings = headingOutline(file.content).map(h => h.headingPath.join(' > '));
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `No section "${args.section}" in ${file.name}. Headings: ${headings.join('; ')}`
+      );
+    }
+    content = section.content;
+    lineOffset = section.line - 1;
+    title = `${title} > ${section.headingPath.join(' > ')}`;
+  }
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `# Prompt: ${prompt.name}\n\n${prompt.content}`
-            }
-          ]
-        };
+  const fitted = fitToBudget(content, {
+    maxTokens: args.maxTokens,
+    model: args.model,
+    query: args.task,
+    lineOffset,
+    fetchWith: `${toolName} and its section argument`
+  });
+  const text = `# ${title}\n\n${fitted.content}`;
+  if (!fitted.truncated) return text;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text
+      },
+      {
+        type: 'text',
+        text: JSON.stringify({
+          file: file.name,
+          section: args.section,
+          truncated: true,
+          tokens: fitted.tokens,
+          fetchWith: { tool: toolName, argument: 'section' },
+          outline: fitted.outline
+        }, null, 2)
       }
+    ]
+  };
+}
 
-      case 'search_knowledge': {
-        const docTypes = args.document_type === 'all' || !args.document_type ? 
-          ['agent', 'instruction', 'prompt'] : 
-          [args.document_type];
-
-        const allDocs = [
-          ...agents.filter(d => docTypes.includes('agent')),
-          ...instructions.filter(d => docTypes.includes('instruction')),
-          ...prompts.filter(d => docTypes.includes('prompt'))
-        ];
-
-        const results = searchFiles(allDocs, args.keyword);
-
-        const summary = results.map(result => {
-          const metadata = extractMetadata(result.content);
-          return {
-            name: result.name,
-            type: result.type,
-            description: metadata.description || 'No description',
-            applies_to: metadata.applyTo || 'N/A'
-          };
-        });
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Search results for "${args.keyword}" (${results.length} found):\n\n${JSON.stringify(summary, null, 2)}`
-            }
-          ]
-        };
-      }
+function listPrompts(args) {
+  const filtered = args.category ? 
+    searchFiles(prompts, args.category) : 
+    prompts;
 
-      case 'get_agent_collaboration': {
-        const collaborationPath = path.join(projectRoot, '.github/docs/AGENT_COLLABORATION.md');
-        if (fs.existsSync(collaborationPath)) {
-          const content = fs.readFileSync(collaborationPath, 'utf-8');
-          return {
-            content: [
-              {
-                type: 'text',
-                text: content
-              }
-            ]
-          };
-        }
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: 'Agent collaboration guide not found. Describe your workflow and I can help you coordinate agents.'
-            }
-          ]
-        };
-      }
+  const summary = filtered.map(prompt => ({
+    name: prompt.name,
+    description: metadataText(prompt.metadata.description) || 'No description',
+    frontmatter_error: prompt.frontmatterError
+  }));
 
-      case 'get_quick_reference': {
-        const topic = args.topic || 'overview';
-        
-        let reference = `# Durion ERP - Quick Reference\n\n`;
-        reference += `## Tech Stack\n`;
-        reference += `- **Backend**: Moqui Framework (Java), Groovy\n`;
-        reference += `- **Frontend**: Vue.js 2.7.14, Quasar v1.22.10, TypeScript 4.x+\n`;
-        reference += `- **Database**: PostgreSQL (primary), MySQL (supported)\n`;
-        reference += `- **Templating**: FreeMarker (.ftl)\n\n`;
-
-        reference += `## Available Agents\n`;
-        agents.slice(0, 5).forEach(agent => {
-          reference += `- **${agent.name}**: ${extractMetadata(agent.content).description}\n`;
-        });
-        if (agents.length > 5) {
-          reference += `- ... and ${agents.length - 5} more agents\n`;
-        }
+  return `Found ${summary.length} prompt(s):\n\n${JSON.stringify(summary, null, 2)}`;
+}
 
-        reference += `\n## Getting Started\n`;
-        reference += `1. Use \`@i18n-agent\` for internationalization features\n`;
-        reference += `2. Use \`@typescript-agent\` for type-safe component development\n`;
-        reference += `3. Use \`@[language]-language-agent\` for language-specific validation\n`;
-        reference += `4. Use \`@architecture_agent\` for system design\n`;
-        reference += `5. Consult \`.github/instructions\` for coding standards\n`;
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: reference
-            }
-          ]
-        };
-      }
+function getPrompt(args) {
+  const prompt = prompts.find(p => 
+    p.name.toLowerCase() === args.prompt_name.toLowerCase()
+  );
 
-      default:
-        throw new McpError(
-          ErrorCode.MethodNotFound,
-          `Unknown tool: ${name}`
-        );
-    }
-  } catch (error) {
-    if (error instanceof McpError) throw error;
+  if (!prompt) {
     throw new McpError(
-      ErrorCode.InternalError,
-      `Tool execution failed: ${error.message}`
+      ErrorCode.InvalidRequest,
+      `Prompt "${args.prompt_name}" not found. Available: ${prompts.map(p => p.name).join(', ')}`
     );
   }
-});
 
-server.setRequestHandler('tools/list', async () => {
-  return { tools };
-});
+  if (!args.render) {
+    return `# Prompt: ${prompt.name}\n\n${prompt.content}`;
+  }
+
+  const rendered = renderPromptFile(prompt, args.variables, args.inline_files !== false);
+  if (rendered.missing.length) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Prompt "${prompt.name}" needs values for: ${rendered.missing.join(', ')}. ` +
+      `Expected variables: ${rendered.variables.map(v => `${v.name}${v.required ? ' (required)' : ''}`).join(', ')}`
+    );
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: rendered.text
+      },
+      {
+        type: 'text',
+        text: JSON.stringify({
+          prompt: prompt.name,
+          description: metadataText(prompt.metadata.description) || undefined,
+          variables: rendered.variables,
+          unresolved: rendered.unresolved,
+          files: rendered.files
+        }, null, 2)
+      }
+    ]
+  };
+}
+
+async function searchKnowledge(args) {
+  const docTypes = args.document_type === 'all' || !args.document_type ? 
+    Object.keys(KNOWLEDGE_SOURCES) : 
+    [args.document_type];
+
+  const search = await knowledgeSearch.search(args.keyword, {
+    mode: args.mode || 'keyword',
+    types: docTypes,
+    limit: args.limit || 10,
+    semanticWeight: args.semantic_weight === undefined ? 0.5 : args.semantic_weight
+  });
+  const results = search.results;
+
+  const summary = results.map(result => ({
+    name: result.name,
+    type: result.type,
+    file: path.relative(projectRoot, path.join(knowledge.base, result.file)).split(path.sep).join('/'),
+    heading_path: result.headingPath.join(' > '),
+    line: result.line,
+    score: result.score,
+    keyword_score: result.keywordScore,
+    semantic_score: result.semanticScore,
+    snippet: result.snippet
+  }));
+  const embedding = search.embedder
+    ? `\nEmbeddings: ${search.embedder}, ${search.index.embedded} file(s) re-embedded, ${search.index.reused} reused\n`
+    : search.unavailable ? `\n${search.unavailable}\n` : '';
+
+  return `Search results for "${args.keyword}" (${results.length} found, ${search.mode}):\n${embedding}\n${JSON.stringify(summary, null, 2)}`;
+}
+
+function getAgentCollaboration() {
+  const collaborationPath = path.join(docsPath, 'AGENT_COLLABORATION.md');
+  if (fs.existsSync(collaborationPath)) {
+    const content = fs.readFileSync(collaborationPath, 'utf-8');
+    return content;
+  }
+  
+  return 'Agent collaboration guide not found. Describe your workflow and I can help you coordinate agents.';
+}
 
-async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('MCP Instructions Server running on stdio');
+function getQuickReference(args) {
+  const topic = args.topic || 'overview';
+  
+  let reference = `# Durion ERP - Quick Reference\n\n`;
+  reference += `## Tech Stack\n`;
+  reference += `- **Backend**: Moqui Framework (Java), Groovy\n`;
+  reference += `- **Frontend**: Vue.js 2.7.14, Quasar v1.22.10, TypeScript 4.x+\n`;
+  reference += `- **Database**: PostgreSQL (primary), MySQL (supported)\n`;
+  reference += `- **Templating**: FreeMarker (.ftl)\n\n`;
+
+  reference += `## Available Agents\n`;
+  agents.slice(0, 5).forEach(agent => {
+    reference += `- **${agent.name}**: ${metadataText(agent.metadata.description)}\n`;
+  });
+  if (agents.length > 5) {
+    reference += `- ... and ${agents.length - 5} more agents\n`;
+  }
+
+  reference += `\n## Getting Started\n`;
+  reference += `1. Use \`@i18n-agent\` for internationalization features\n`;
+  reference += `2. Use \`@typescript-agent\` for type-safe component development\n`;
+  reference += `3. Use \`@[language]-language-agent\` for language-specific validation\n`;
+  reference += `4. Use \`@architecture_agent\` for system design\n`;
+  reference += `5. Consult \`${paths.instructions}\` for coding standards\n`;
+
+  return reference;
 }
 
-main().catch(console.error);
+function getCacheState() {
+  const state = reloadTracker.snapshot(projectRoot);
+  return {
+    watching: Boolean(watcher),
+    watched_directories: watcher ? watcher.directories.map(d => path.relative(projectRoot, d)) : [],
+    last_reload: state.lastReload,
+    counts: { agents: agents.length, instructions: instructions.length, prompts: prompts.length },
+    knowledge_index: knowledgeIndex
+      ? { built_at: knowledgeIndex.builtAt, documents: knowledgeIndex.documents, sections: knowledgeIndex.sections.length }
+      : null,
+    files: state.files
+  };
+}
+
+registerTools(server, tools);
+
+module.exports = { server };
+
+if (require.main === module) serve(server, 'Instructions').catch(console.error);
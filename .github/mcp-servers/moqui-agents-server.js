@@ -10,24 +10,24 @@
  * - Cross-agent communication
  */
 
-const { Server } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const {
-  CallToolRequestSchema,
-  TextContent,
   ErrorCode,
   McpError,
 } = require('@modelcontextprotocol/sdk/types.js');
+const { createToolServer } = require('./lib/server-runtime.js');
+const { serve } = require('./lib/transport.js');
 const fs = require('fs');
 const path = require('path');
+const { parseAgentBody, REQUIRED_SECTIONS } = require('./lib/agent-markdown.js');
+const { parseFrontmatter } = require('./lib/frontmatter.js');
+const { isWatchEnabled, watchDirectories, createReloadTracker } = require('./lib/hot-reload.js');
+const { fitToBudget } = require('./lib/context-budget.js');
+const { loadConfig } = require('./lib/config.js');
 
-const projectRoot = process.env.MOQUI_PROJECT_ROOT || '/home/n541342/IdeaProjects/moqui_example';
-const agentsPath = path.join(projectRoot, process.env.AGENTS_PATH || '.github/agents');
+const { projectRoot, paths } = loadConfig();
+const agentsPath = path.join(projectRoot, paths.agents);
 
-const server = new Server({
-  name: 'moqui-agents',
-  version: '1.0.0',
-});
+const reloadTracker = createReloadTracker();
 
 const agents = {
   architecture_agent: 'Chief Architect - Domain-driven design and architectural integrity',
@@ -42,7 +42,42 @@ const agents = {
 };
 
 /**
- * Load all agent files and extract metadata
+ * Load one agent file and extract metadata from frontmatter and the markdown body
+ */
+function loadAgent(filename) {
+  const filePath = path.join(agentsPath, filename);
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const name = filename.replace('.md', '');
+  const frontmatter = parseFrontmatter(content);
+  const metadata = frontmatter.data;
+  // Pad the body back to file line numbers for section and handoff locations
+  const body = parseAgentBody('\n'.repeat(frontmatter.bodyLine - 1) + frontmatter.body, [name, name.replace(/\.agent$/, ''), metadata.name].filter(Boolean));
+  return {
+    filename,
+    name,
+    displayName: metadata.name || body.title || name,
+    description: String(metadata.description || body.role || 'No description').trim(),
+    role: metadata.role || body.role,
+    expertise: mergeLists(metadata.expertise, body.expertise),
+    responsibilities: body.responsibilities,
+    collaborations: mergeCollaborations(metadata.collaborations, body.collaborations),
+    handoffs: body.handoffs,
+    sections: body.sections,
+    frontmatterError: frontmatter.error,
+    // Frontmatter can supply a field the body lacks
+    missingSections: body.missingSections.filter(field => !asList(metadata[field]).length),
+    sources: {
+      ...body.sources,
+      ...Object.fromEntries(['role', 'expertise', 'collaborations']
+        .filter(field => asList(metadata[field]).length)
+        .map(field => [field, body.sources[field] ? `frontmatter, ${body.sources[field]}` : 'frontmatter']))
+    },
+    content
+  };
+}
+
+/**
+ * Load all agent files
  */
 function loadAllAgents() {
   if (!fs.existsSync(agentsPath)) {
@@ -52,57 +87,53 @@ function loadAllAgents() {
   return fs.readdirSync(agentsPath)
     .filter(f => f.endsWith('.md'))
     .map(filename => {
-      const filePath = path.join(agentsPath, filename);
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const metadata = extractMetadata(content);
-      return {
-        filename,
-        name: filename.replace('.md', ''),
-        description: metadata.description || 'No description',
-        expertise: metadata.expertise || [],
-        collaborations: metadata.collaborations || [],
-        content
-      };
+      const agent = loadAgent(filename);
+      reloadTracker.record(path.join(agentsPath, filename), 'initial', agent.frontmatterError);
+      return agent;
     });
 }
 
+function asList(value) {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+}
+
 /**
- * Extract frontmatter metadata from markdown
+ * Union of frontmatter and body values, frontmatter first, ignoring case
  */
-function extractMetadata(content) {
-  const frontmatterRegex = /^---\n([\s\S]*?)\n---/;
-  const match = content.match(frontmatterRegex);
-  
-  if (!match) return {};
-  
-  const metadata = {};
-  const lines = match[1].split('\n');
-  
-  for (const line of lines) {
-    if (line.includes(':')) {
-      const [key, ...valueParts] = line.split(':');
-      const value = valueParts.join(':').trim().replace(/^['"]|['"]$/g, '');
-      
-      // Parse array values
-      if (value.startsWith('[') && value.endsWith(']')) {
-        metadata[key.trim()] = JSON.parse(value);
-      } else {
-        metadata[key.trim()] = value;
-      }
-    }
+function mergeLists(frontmatterValues, bodyValues) {
+  const merged = [];
+  const seen = new Set();
+  for (const value of [...asList(frontmatterValues), ...bodyValues]) {
+    const key = String(value).toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(value);
   }
-  
-  return metadata;
+  return merged;
+}
+
+function mergeCollaborations(frontmatterValues, bodyValues) {
+  const merged = asList(frontmatterValues).map(agent => ({ agent: String(agent), section: 'frontmatter' }));
+  const key = agent => agent.toLowerCase().replace(/-/g, '_');
+  const seen = new Set(merged.map(c => key(c.agent)));
+  for (const collaboration of bodyValues) {
+    if (seen.has(key(collaboration.agent))) continue;
+    seen.add(key(collaboration.agent));
+    merged.push(collaboration);
+  }
+  return merged;
 }
 
 /**
  * Search agents by keyword in name or description
  */
-function searchAgents(allAgents, keyword) {
+function matchAgents(allAgents, keyword) {
   const lower = keyword.toLowerCase();
   return allAgents.filter(agent =>
     agent.name.toLowerCase().includes(lower) ||
     agent.description.toLowerCase().includes(lower) ||
+    (agent.role && agent.role.toLowerCase().includes(lower)) ||
     (Array.isArray(agent.expertise) && agent.expertise.some(e => 
       String(e).toLowerCase().includes(lower)
     ))
@@ -112,7 +143,7 @@ function searchAgents(allAgents, keyword) {
 /**
  * Get agents by expertise area
  */
-function getAgentsByExpertise(allAgents, expertise) {
+function agentsWithExpertise(allAgents, expertise) {
   return allAgents.filter(agent =>
     Array.isArray(agent.expertise) && agent.expertise.some(e =>
       String(e).toLowerCase().includes(expertise.toLowerCase())
@@ -130,174 +161,169 @@ function getCachedAgents() {
   return cachedAgents;
 }
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+/**
+ * Hot reload: re-read only the agent file that changed
+ */
+function reloadAgent({ filePath, exists }) {
+  if (path.dirname(filePath) !== agentsPath || !cachedAgents) return;
+  const filename = path.basename(filePath);
+  const index = cachedAgents.findIndex(agent => agent.filename === filename);
+  if (!exists) {
+    if (index >= 0) cachedAgents.splice(index, 1);
+    reloadTracker.record(filePath, 'remove');
+  } else {
+    const agent = loadAgent(filename);
+    if (index >= 0) cachedAgents[index] = agent;
+    else cachedAgents.push(agent);
+    reloadTracker.record(filePath, index >= 0 ? 'change' : 'add', agent.frontmatterError);
+  }
+}
+
+const watcher = isWatchEnabled() ? watchDirectories([agentsPath], reloadAgent) : null;
+
+// Tool handlers; arguments are validated against each tool's inputSchema before they run
+function listAgents(args) {
   const allAgents = getCachedAgents();
+  const filter = args.filter;
+  const filtered = filter ? matchAgents(allAgents, filter) : allAgents;
+  
+  const agentsList = filtered.map(agent => ({
+    name: agent.name,
+    description: agent.description,
+    expertise: agent.expertise || []
+  }));
 
-  try {
-    switch (name) {
-      case 'list_agents': {
-        const filter = args?.filter;
-        const filtered = filter ? searchAgents(allAgents, filter) : allAgents;
-        
-        const agentsList = filtered.map(agent => ({
-          name: agent.name,
-          description: agent.description,
-          expertise: agent.expertise || []
-        }));
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Found ${agentsList.length} agent(s):\n\n${JSON.stringify(agentsList, null, 2)}`
-            }
-          ]
-        };
-      }
+  return `Found ${agentsList.length} agent(s):\n\n${JSON.stringify(agentsList, null, 2)}`;
+}
 
-      case 'get_agent': {
-        const agentName = args?.agent_name;
-        if (!agentName) {
-          throw new McpError(ErrorCode.InvalidParams, 'Missing agent_name parameter');
-        }
+function getAgent(args) {
+  const allAgents = getCachedAgents();
+  const agentName = args.agent_name;
 
-        const agent = allAgents.find(a => 
-          a.name.toLowerCase() === agentName.toLowerCase()
-        );
+  const agent = allAgents.find(a => 
+    a.name.toLowerCase() === agentName.toLowerCase()
+  );
 
-        if (!agent) {
-          throw new McpError(
-            ErrorCode.InvalidParams,
-            `Agent "${agentName}" not found. Available agents: ${allAgents.map(a => a.name).join(', ')}`
-          );
-        }
+  if (!agent) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Agent "${agentName}" not found. Available agents: ${allAgents.map(a => a.name).join(', ')}`
+    );
+  }
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: agent.content
-            }
-          ]
-        };
-      }
+  return fitToBudget(agent.content, {
+    maxTokens: args.maxTokens,
+    model: args.model,
+    query: args.task
+  }).content;
+}
 
-      case 'search_agents': {
-        const keyword = args?.keyword;
-        if (!keyword) {
-          throw new McpError(ErrorCode.InvalidParams, 'Missing keyword parameter');
-        }
+function searchAgents(args) {
+  const allAgents = getCachedAgents();
+  const keyword = args.keyword;
 
-        const results = searchAgents(allAgents, keyword);
-
-        const summary = results.map(agent => ({
-          name: agent.name,
-          description: agent.description,
-          expertise: agent.expertise || []
-        }));
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Found ${results.length} agent(s) matching "${keyword}":\n\n${JSON.stringify(summary, null, 2)}`
-            }
-          ]
-        };
-      }
+  const results = matchAgents(allAgents, keyword);
 
-      case 'get_agents_by_expertise': {
-        const expertise = args?.expertise;
-        if (!expertise) {
-          throw new McpError(ErrorCode.InvalidParams, 'Missing expertise parameter');
-        }
+  const summary = results.map(agent => ({
+    name: agent.name,
+    description: agent.description,
+    expertise: agent.expertise || []
+  }));
 
-        const results = getAgentsByExpertise(allAgents, expertise);
-
-        const summary = results.map(agent => ({
-          name: agent.name,
-          description: agent.description,
-          expertise: agent.expertise || []
-        }));
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Found ${results.length} agent(s) with "${expertise}" expertise:\n\n${JSON.stringify(summary, null, 2)}`
-            }
-          ]
-        };
-      }
+  return `Found ${results.length} agent(s) matching "${keyword}":\n\n${JSON.stringify(summary, null, 2)}`;
+}
 
-      case 'get_collaboration_framework': {
-        try {
-          const collabFile = path.join(projectRoot, '.github/AGENT_COLLABORATION.md');
-          if (fs.existsSync(collabFile)) {
-            const content = fs.readFileSync(collabFile, 'utf-8');
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: content
-                }
-              ]
-            };
-          }
-          
-          return {
-            content: [
-              {
-                type: 'text',
-                text: 'No collaboration framework document found. Describe your workflow and I can help coordinate agents.'
-              }
-            ]
-          };
-        } catch (e) {
-          throw new McpError(ErrorCode.InternalError, `Error reading collaboration framework: ${e.message}`);
-        }
-      }
+function getAgentsByExpertise(args) {
+  const allAgents = getCachedAgents();
+  const expertise = args.expertise;
 
-      case 'get_agent_description': {
-        // Legacy support
-        const agentName = args?.agent;
-        if (!agentName) {
-          throw new McpError(ErrorCode.InvalidParams, 'Missing agent parameter');
-        }
+  const results = agentsWithExpertise(allAgents, expertise);
 
-        const agent = allAgents.find(a => 
-          a.name.toLowerCase() === agentName.toLowerCase()
-        );
+  const summary = results.map(agent => ({
+    name: agent.name,
+    description: agent.description,
+    expertise: agent.expertise || []
+  }));
 
-        if (!agent) {
-          throw new McpError(ErrorCode.InvalidParams, `Unknown agent: ${agentName}`);
-        }
+  return `Found ${results.length} agent(s) with "${expertise}" expertise:\n\n${JSON.stringify(summary, null, 2)}`;
+}
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: agent.content
-            }
-          ]
-        };
-      }
+function getAgentMetadata(args) {
+  const allAgents = getCachedAgents();
+  const agentName = args.agent_name;
 
-      default:
-        throw new McpError(
-          ErrorCode.MethodNotFound,
-          `Unknown tool: ${name}`
-        );
-    }
-  } catch (error) {
-    if (error instanceof McpError) throw error;
+  const agent = allAgents.find(a =>
+    a.name.toLowerCase() === agentName.toLowerCase()
+  );
+
+  if (!agent) {
     throw new McpError(
-      ErrorCode.InternalError,
-      `Tool execution failed: ${error.message}`
+      ErrorCode.InvalidParams,
+      `Agent "${agentName}" not found. Available agents: ${allAgents.map(a => a.name).join(', ')}`
     );
   }
-});
+
+  const { content, ...metadata } = agent;
+  return metadata;
+}
+
+function validateAgentFiles() {
+  const allAgents = getCachedAgents();
+  const incomplete = allAgents
+    .filter(agent => agent.missingSections.length)
+    .map(agent => ({
+      file: agent.filename,
+      missingSections: agent.missingSections,
+      headings: agent.sections.map(section => section.heading)
+    }));
+  const frontmatterErrors = allAgents
+    .filter(agent => agent.frontmatterError)
+    .map(agent => ({ file: agent.filename, error: agent.frontmatterError }));
+
+  return `${incomplete.length} of ${allAgents.length} agent file(s) are missing required sections (${REQUIRED_SECTIONS.join(', ')}):\n\n${JSON.stringify({ incomplete, frontmatterErrors }, null, 2)}`;
+}
+
+function getCollaborationFramework() {
+  try {
+    const collabFile = path.join(projectRoot, '.github/AGENT_COLLABORATION.md');
+    if (fs.existsSync(collabFile)) {
+      const content = fs.readFileSync(collabFile, 'utf-8');
+      return content;
+    }
+    
+    return 'No collaboration framework document found. Describe your workflow and I can help coordinate agents.';
+  } catch (e) {
+    throw new McpError(ErrorCode.InternalError, `Error reading collaboration framework: ${e.message}`);
+  }
+}
+
+// Legacy support
+function getAgentDescription(args) {
+  const allAgents = getCachedAgents();
+  const agentName = args.agent;
+
+  const agent = allAgents.find(a => 
+    a.name.toLowerCase() === agentName.toLowerCase()
+  );
+
+  if (!agent) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown agent: ${agentName}`);
+  }
+
+  return agent.content;
+}
+
+function getCacheState() {
+  const allAgents = getCachedAgents();
+  const state = reloadTracker.snapshot(projectRoot);
+  return {
+    watching: Boolean(watcher),
+    watchedDirectories: watcher ? watcher.directories.map(d => path.relative(projectRoot, d)) : [],
+    agents: allAgents.length,
+    lastReload: state.lastReload,
+    files: state.files
+  };
+}
 
 // Tool definitions
 const tools = [
@@ -312,7 +338,8 @@ const tools = [
           description: 'Optional: Filter agents by name or expertise (e.g., "architecture", "moqui", "aws")'
         }
       }
-    }
+    },
+    handler: listAgents
   },
   {
     name: 'get_agent',
@@ -323,10 +350,23 @@ const tools = [
         agent_name: {
           type: 'string',
           description: 'Name of the agent (e.g., "architecture-agent", "moqui-developer-agent")'
+        },
+        maxTokens: {
+          type: 'number',
+          description: 'Optional: Token budget; over it, the most relevant sections are kept and the rest outlined'
+        },
+        task: {
+          type: 'string',
+          description: 'Optional: Current task, used to pick the sections to keep when maxTokens is set'
+        },
+        model: {
+          type: 'string',
+          description: 'Optional: Target model whose tokenizer counts maxTokens (default: MCP_TOKENIZER_MODEL or gpt-4o)'
         }
       },
       required: ['agent_name']
-    }
+    },
+    handler: getAgent
   },
   {
     name: 'search_agents',
@@ -340,7 +380,8 @@ const tools = [
         }
       },
       required: ['keyword']
-    }
+    },
+    handler: searchAgents
   },
   {
     name: 'get_agents_by_expertise',
@@ -354,7 +395,32 @@ const tools = [
         }
       },
       required: ['expertise']
-    }
+    },
+    handler: getAgentsByExpertise
+  },
+  {
+    name: 'get_agent_metadata',
+    description: 'Get structured agent metadata: role, expertise, responsibilities, collaborating agents and handoffs, merged from frontmatter and markdown sections',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agent_name: {
+          type: 'string',
+          description: 'Name of the agent (e.g., "i18n-agent", "api-agent")'
+        }
+      },
+      required: ['agent_name']
+    },
+    handler: getAgentMetadata
+  },
+  {
+    name: 'validate_agent_files',
+    description: 'Report agent files missing required sections (role, expertise, collaborations) in both frontmatter and body',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: validateAgentFiles
   },
   {
     name: 'get_collaboration_framework',
@@ -362,7 +428,8 @@ const tools = [
     inputSchema: {
       type: 'object',
       properties: {}
-    }
+    },
+    handler: getCollaborationFramework
   },
   {
     name: 'get_agent_description',
@@ -376,18 +443,26 @@ const tools = [
         }
       },
       required: ['agent']
-    }
+    },
+    handler: getAgentDescription
+  },
+  {
+    name: 'get_cache_state',
+    description: 'Show loaded agent files with their last (re)load time, and whether file watching is active',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: getCacheState
   }
 ];
 
-server.setRequestHandler('tools/list', async () => {
-  return { tools };
+const server = createToolServer({
+  name: 'moqui-agents',
+  version: '1.0.0',
+  tools
 });
 
-async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('Moqui Agents MCP server running on stdio');
-}
+module.exports = { server };
 
-main().catch(console.error);
+if (require.main === module) serve(server, 'Moqui Agents').catch(console.error);
@@ -2,77 +2,160 @@
 
 /**
  * MCP Server: Moqui Context Information
- * 
+ *
  * Provides project-wide context:
- * - Project structure and overview
+ * - Project overview built from the build files, components and agents on disk
+ * - Annotated project structure
  * - Component listing (delegates to project-analysis for details)
- * 
- * Note: Component details and tech stack are in project-analysis server
+ * - Configuration check: project root, configured paths and budgets (lib/config.js)
+ *
+ * Note: Component details (tiers, dependencies) are in project-analysis server
  */
 
-const { Server } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const {
-  CallToolRequestSchema,
-  TextContent,
   ErrorCode,
   McpError,
 } = require('@modelcontextprotocol/sdk/types.js');
+const { createToolServer } = require('./lib/server-runtime.js');
+const { serve } = require('./lib/transport.js');
 const fs = require('fs');
 const path = require('path');
+const { loadComponentCatalog } = require('./lib/component-catalog.js');
+const { readBuildInfo, listAgents, buildDirectoryTree, directoryNotes } = require('./lib/project-overview.js');
+const { loadConfig, validateConfig } = require('./lib/config.js');
 
-const projectRoot = process.env.MOQUI_PROJECT_ROOT || '/home/n541342/IdeaProjects/moqui_example';
+const config = loadConfig();
+const { projectRoot } = config;
+const componentsPath = config.paths.components;
+const agentsPath = path.join(projectRoot, config.paths.agents);
 
-const server = new Server({
-  name: 'moqui-context',
-  version: '1.0.0',
-});
+const DEFAULT_DEPTH = 2;
+const MAX_DEPTH = 6;
+
+/**
+ * Resolve a directory inside the project root, or throw
+ */
+function resolveProjectDirectory(relativePath = '') {
+  const absolute = path.resolve(projectRoot, relativePath);
+  if (absolute !== path.resolve(projectRoot) && !absolute.startsWith(path.resolve(projectRoot) + path.sep)) {
+    throw new McpError(ErrorCode.InvalidParams, `Path is outside the project: ${relativePath}`);
+  }
+  if (!fs.existsSync(absolute) || !fs.statSync(absolute).isDirectory()) {
+    throw new McpError(ErrorCode.InvalidParams, `Not a directory: ${relativePath}`);
+  }
+  return path.relative(projectRoot, absolute).split(path.sep).join('/');
+}
 
-// Tool: Get project structure
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  if (request.params.name === 'get_project_info') {
-    const projectInfo = {
-      name: 'Moqui Example - Durion Project',
-      root: projectRoot,
-      framework: 'Moqui 3.0+',
-      language: 'Java 11, Groovy, XML',
-      buildSystem: 'Gradle',
-      components: [
-        'durion-common', 'durion-crm', 'durion-product',
-        'durion-inventory', 'durion-accounting', 'durion-workexec',
-        'durion-experience', 'durion-positivity', 'durion-theme',
-        'durion-demo-data', 'durion-mcp'
-      ],
-      referenceComponents: [
-        'PopCommerce', 'SimpleScreens', 'HiveMind', 'MarbleERP',
-        'mantle-udm', 'mantle-usl'
-      ],
-      agents: [
-        'architecture_agent', 'moqui_developer_agent', 'dba_agent',
-        'sre_agent', 'test_agent', 'lint_agent', 'api_agent',
-        'dev_deploy_agent', 'docs_agent'
-      ]
-    };
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(projectInfo, null, 2)
+// Tool handlers; arguments are validated against each tool's inputSchema before they run
+function getProjectInfo() {
+  const catalog = loadComponentCatalog({ projectRoot, componentsPath });
+  const components = [...catalog.components.values()].sort((a, b) => a.name.localeCompare(b.name));
+  const build = readBuildInfo(projectRoot);
+  const summarize = component => ({
+    name: component.name,
+    version: component.version,
+    onDisk: component.onDisk,
+    declaredInAddons: component.declaredInAddons
+  });
+  const projectInfo = {
+    name: 'Moqui Example - Durion Project',
+    root: projectRoot,
+    framework: build.moquiVersion ? `Moqui ${build.moquiVersion}` : 'Moqui (version not found)',
+    moquiVersion: build.moquiVersion,
+    java: build.java,
+    groovyVersion: build.groovyVersion,
+    language: [build.java && `Java ${build.java.version}`, 'Groovy', 'XML'].filter(Boolean).join(', '),
+    buildSystem: build.gradleVersion ? `Gradle ${build.gradleVersion}` : build.buildSystem,
+    gradleJavaHome: build.gradleJavaHome,
+    // Component details (tiers, dependencies) are in project-analysis
+    componentsDir: catalog.componentsDir,
+    componentsDirExists: catalog.componentsDirExists,
+    components: components.filter(c => c.name.startsWith('durion-')).map(summarize),
+    referenceComponents: components.filter(c => !c.name.startsWith('durion-')).map(summarize),
+    agents: listAgents(agentsPath),
+    sources: {
+      ...build.sources,
+      components: [catalog.componentsDir, 'myaddons.xml'],
+      agents: path.relative(projectRoot, agentsPath)
+    },
+    loadErrors: catalog.errors.length ? catalog.errors : undefined
+  };
+  return projectInfo;
+}
+
+function getProjectStructure(args) {
+  const depth = args.depth || DEFAULT_DEPTH;
+  const relativePath = resolveProjectDirectory(args.path);
+  const catalog = loadComponentCatalog({ projectRoot, componentsPath });
+  const structure = buildDirectoryTree(projectRoot, relativePath, {
+    depth,
+    includeFiles: args.include_files === true,
+    notes: directoryNotes(catalog)
+  });
+  return {
+    root: projectRoot,
+    path: relativePath || '.',
+    depth,
+    ...structure
+  };
+}
+
+function getConfigValidation() {
+  return validateConfig(config);
+}
+
+// Tool definitions
+const tools = [
+  {
+    name: 'get_project_info',
+    description: 'Project overview read from disk: Moqui version (framework/build.gradle), Java and Gradle versions, components (runtime/component, myaddons.xml) and agents (.github/agents)',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: getProjectInfo
+  },
+  {
+    name: 'get_project_structure',
+    description: 'Annotated directory tree of the project (or a directory in it) to a chosen depth; components are annotated with their version and dependencies',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        depth: {
+          type: 'integer',
+          minimum: 1,
+          maximum: MAX_DEPTH,
+          description: `Levels to expand (default: ${DEFAULT_DEPTH}, max: ${MAX_DEPTH})`
+        },
+        path: {
+          type: 'string',
+          description: 'Directory relative to the project root (default: the root, e.g., "runtime/component")'
+        },
+        include_files: {
+          type: 'boolean',
+          description: 'Also list files, not only directories (default: false)'
         }
-      ]
-    };
+      }
+    },
+    handler: getProjectStructure
+  },
+  {
+    name: 'validate_config',
+    description: 'Check the MCP server configuration (config/mcp-servers.json and environment overrides): how the project root was found, each configured path and whether its directory exists, budgets and config errors',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: getConfigValidation
   }
+];
 
-  throw new McpError(
-    ErrorCode.MethodNotFound,
-    `Unknown tool: ${request.params.name}`
-  );
+const server = createToolServer({
+  name: 'moqui-context',
+  version: '1.0.0',
+  tools
 });
 
-async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('Moqui Context MCP server running on stdio');
-}
+module.exports = { server };
 
-main().catch(console.error);
+if (require.main === module) serve(server, 'Moqui Context').catch(console.error);
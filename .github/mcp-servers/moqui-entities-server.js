@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Server: Moqui Entity Definitions
+ *
+ * Provides access to:
+ * - Entity listings by package
+ * - Entity fields, primary keys, relationships and indexes
+ * - Effective entity shape after applying extend-entity definitions
+ * - Resolved view-entity members and aliases
+ */
+
+const {
+  ErrorCode,
+  McpError,
+} = require('@modelcontextprotocol/sdk/types.js');
+const { createToolServer } = require('./lib/server-runtime.js');
+const { serve } = require('./lib/transport.js');
+const path = require('path');
+const { resolveDefinitionDirs } = require('./lib/definition-files.js');
+const {
+  loadEntityIndex,
+  findEntity,
+  resolveEntity,
+  resolveKeyMaps,
+  relationshipKey,
+  stripUndefined,
+} = require('./lib/entity-definitions.js');
+const { loadConfig } = require('./lib/config.js');
+
+const { projectRoot, paths } = loadConfig();
+const entityDefinitionsPath = paths.entityDefinitions;
+
+// Cache loaded entity index
+let cachedIndex = null;
+
+function getEntityIndex() {
+  if (!cachedIndex) {
+    cachedIndex = loadEntityIndex(projectRoot, entityDefinitionsPath);
+  }
+  return cachedIndex;
+}
+
+/**
+ * Look up an entity or fail with a helpful error
+ */
+function requireEntity(index, name) {
+  const entity = findEntity(index, name);
+  if (!entity) {
+    const lower = name.toLowerCase();
+    const suggestions = [...index.entities.values()]
+      .filter(e => e.entityName.toLowerCase().includes(lower))
+      .slice(0, 10)
+      .map(e => e.fullName);
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Entity "${name}" not found.` + (suggestions.length ? ` Did you mean: ${suggestions.join(', ')}` : '')
+    );
+  }
+  return entity;
+}
+
+/**
+ * Summarize an entity for list output
+ */
+function summarizeEntity(entity) {
+  return {
+    name: entity.fullName,
+    kind: entity.kind,
+    fieldCount: entity.fields.length,
+    source: `${entity.source.file}:${entity.source.line}`
+  };
+}
+
+// Tool handlers; arguments are validated against each tool's inputSchema before they run
+function listEntityPackages() {
+  const index = getEntityIndex();
+  const packages = {};
+  for (const entity of index.entities.values()) {
+    const pkg = entity.package || '(none)';
+    if (!packages[pkg]) packages[pkg] = { package: pkg, entities: 0, viewEntities: 0 };
+    if (entity.kind === 'view-entity') packages[pkg].viewEntities++;
+    else packages[pkg].entities++;
+  }
+  const list = Object.values(packages).sort((a, b) => a.package.localeCompare(b.package));
+
+  return `Found ${list.length} package(s):\n\n${JSON.stringify(list, null, 2)}`;
+}
+
+function listEntities(args) {
+  const index = getEntityIndex();
+  const pkg = args.package;
+  const filter = args.filter ? args.filter.toLowerCase() : null;
+  const includeViews = args.include_views !== false;
+
+  const entities = [...index.entities.values()]
+    .filter(e => !pkg || e.package === pkg || e.package.startsWith(`${pkg}.`))
+    .filter(e => includeViews || e.kind === 'entity')
+    .filter(e => !filter || e.fullName.toLowerCase().includes(filter))
+    .sort((a, b) => a.fullName.localeCompare(b.fullName));
+
+  const byPackage = {};
+  for (const entity of entities) {
+    const key = entity.package || '(none)';
+    if (!byPackage[key]) byPackage[key] = [];
+    byPackage[key].push(summarizeEntity(entity));
+  }
+
+  return `Found ${entities.length} entit${entities.length === 1 ? 'y' : 'ies'}:\n\n${JSON.stringify(byPackage, null, 2)}`;
+}
+
+function getEntity(args) {
+  const index = getEntityIndex();
+  const entity = requireEntity(index, args.entity_name);
+  const resolved = resolveEntity(index, entity);
+
+  return stripUndefined(resolved);
+}
+
+function getEntityFields(args) {
+  const index = getEntityIndex();
+  const entity = requireEntity(index, args.entity_name);
+  const resolved = resolveEntity(index, entity);
+
+  return {
+    entity: resolved.fullName,
+    primaryKeys: resolved.primaryKeys,
+    fields: resolved.fields
+  };
+}
+
+function getEntityRelationships(args) {
+  const index = getEntityIndex();
+  const entity = requireEntity(index, args.entity_name);
+  const resolved = resolveEntity(index, entity);
+  const result = {
+    entity: resolved.fullName,
+    relationships: resolved.relationships
+  };
+
+  if (args.include_reverse) {
+    result.referencedBy = [];
+    for (const other of index.entities.values()) {
+      for (const rel of other.relationships) {
+        const target = findEntity(index, rel.related);
+        if (target && target.fullName === resolved.fullName) {
+          const { keyMaps } = resolveKeyMaps(index, other, rel);
+          result.referencedBy.push(stripUndefined({
+            entity: other.fullName,
+            type: rel.type,
+            title: rel.title,
+            keyMaps: keyMaps.length ? keyMaps : undefined
+          }));
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+function getEntityIndexes(args) {
+  const index = getEntityIndex();
+  const entity = requireEntity(index, args.entity_name);
+  const resolved = resolveEntity(index, entity);
+
+  return {
+    entity: resolved.fullName,
+    primaryKeys: resolved.primaryKeys,
+    indexes: resolved.indexes
+  };
+}
+
+function resolveViewEntity(args) {
+  const index = getEntityIndex();
+  const entity = requireEntity(index, args.entity_name);
+  if (entity.kind !== 'view-entity') {
+    throw new McpError(ErrorCode.InvalidParams, `${entity.fullName} is not a view-entity`);
+  }
+  const resolved = resolveEntity(index, entity);
+
+  return {
+    entity: resolved.fullName,
+    source: resolved.source,
+    members: resolved.members,
+    warnings: resolved.warnings,
+    primaryKeys: resolved.primaryKeys,
+    aliases: resolved.fields
+  };
+}
+
+function listEntityExtensions(args) {
+  const index = getEntityIndex();
+  const target = args.entity_name;
+  const extensions = [];
+  for (const [key, list] of index.extensions.entries()) {
+    const entity = findEntity(index, key);
+    const fullName = entity ? entity.fullName : key;
+    if (target && fullName !== target && key !== target && (!entity || entity.entityName !== target)) continue;
+    for (const ext of list) {
+      extensions.push({
+        entity: fullName,
+        baseDefined: Boolean(entity),
+        ...ext.source,
+        fields: ext.fields.map(f => f.name),
+        relationships: ext.relationships.map(relationshipKey),
+        indexes: ext.indexes.map(i => i.name)
+      });
+    }
+  }
+
+  return `Found ${extensions.length} extend-entity definition(s):\n\n${JSON.stringify(extensions, null, 2)}`;
+}
+
+function listEntityFiles() {
+  const index = getEntityIndex();
+  return {
+    definitionsPath: entityDefinitionsPath,
+    directories: resolveDefinitionDirs(projectRoot, entityDefinitionsPath)
+      .map(dir => path.relative(projectRoot, dir)),
+    files: index.files,
+    errors: index.errors
+  };
+}
+
+// Tool definitions
+const entityNameProperty = {
+  type: 'string',
+  description: 'Entity name, full (e.g., "moqui.basic.Enumeration") or short (e.g., "Enumeration")'
+};
+
+const tools = [
+  {
+    name: 'list_entity_packages',
+    description: 'List entity packages with entity and view-entity counts',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: listEntityPackages
+  },
+  {
+    name: 'list_entities',
+    description: 'List entities grouped by package, optionally filtered by package or name',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        package: {
+          type: 'string',
+          description: 'Optional: Package to list, includes sub-packages (e.g., "moqui.security")'
+        },
+        filter: {
+          type: 'string',
+          description: 'Optional: Substring to match against the full entity name'
+        },
+        include_views: {
+          type: 'boolean',
+          description: 'Include view-entities (default: true)'
+        }
+      }
+    },
+    handler: listEntities
+  },
+  {
+    name: 'get_entity',
+    description: 'Get the effective definition of an entity: fields, primary keys, relationships, indexes, extend-entity additions and view-entity members',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_name: entityNameProperty
+      },
+      required: ['entity_name']
+    },
+    handler: getEntity
+  },
+  {
+    name: 'get_entity_fields',
+    description: 'Get the effective fields and primary keys of an entity',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_name: entityNameProperty
+      },
+      required: ['entity_name']
+    },
+    handler: getEntityFields
+  },
+  {
+    name: 'get_entity_relationships',
+    description: 'Get relationships of an entity with resolved key maps, optionally including entities that reference it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_name: entityNameProperty,
+        include_reverse: {
+          type: 'boolean',
+          description: 'Also list relationships on other entities that point to this one (default: false)'
+        }
+      },
+      required: ['entity_name']
+    },
+    handler: getEntityRelationships
+  },
+  {
+    name: 'get_entity_indexes',
+    description: 'Get the primary key and indexes of an entity',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_name: entityNameProperty
+      },
+      required: ['entity_name']
+    },
+    handler: getEntityIndexes
+  },
+  {
+    name: 'resolve_view_entity',
+    description: 'Resolve a view-entity into its member entities, joins and effective aliased fields',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_name: entityNameProperty
+      },
+      required: ['entity_name']
+    },
+    handler: resolveViewEntity
+  },
+  {
+    name: 'list_entity_extensions',
+    description: 'List extend-entity definitions, optionally for a single entity',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_name: {
+          type: 'string',
+          description: 'Optional: Only show extensions of this entity'
+        }
+      }
+    },
+    handler: listEntityExtensions
+  },
+  {
+    name: 'list_entity_files',
+    description: 'List scanned entity definition files and any parse errors',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: listEntityFiles
+  }
+];
+
+const server = createToolServer({
+  name: 'moqui-entities',
+  version: '1.0.0',
+  tools
+});
+
+module.exports = { server };
+
+if (require.main === module) serve(server, 'Moqui Entities').catch(console.error);
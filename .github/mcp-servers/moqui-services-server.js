@@ -0,0 +1,692 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Server: Moqui Service Definitions
+ *
+ * Provides access to:
+ * - Service listings by verb, noun and definition file
+ * - In/out parameters with types, required flags and defaults
+ * - Implementation location (inline actions, script, Java class, entity-auto)
+ * - Service ECA (SECA) rules triggered by each service
+ */
+
+const {
+  ErrorCode,
+  McpError,
+} = require('@modelcontextprotocol/sdk/types.js');
+const { createToolServer } = require('./lib/server-runtime.js');
+const { serve } = require('./lib/transport.js');
+const fs = require('fs');
+const path = require('path');
+const { parseXmlFile, childrenNamed, childNamed, descendantsNamed } = require('./lib/xml-parser.js');
+const { resolveDefinitionDirs, listFilesRecursive, componentForPath } = require('./lib/definition-files.js');
+const { loadEntityIndex, findEntity, resolveEntity } = require('./lib/entity-definitions.js');
+const { loadConfig } = require('./lib/config.js');
+
+const { projectRoot, paths } = loadConfig();
+const serviceDefinitionsPath = paths.serviceDefinitions;
+const entityDefinitionsPath = paths.entityDefinitions;
+
+/**
+ * Java types Moqui uses for entity field types in auto-parameters
+ */
+const fieldTypeToJava = {
+  'id': 'String',
+  'id-long': 'String',
+  'text-indicator': 'String',
+  'text-short': 'String',
+  'text-medium': 'String',
+  'text-intermediate': 'String',
+  'text-long': 'String',
+  'text-very-long': 'String',
+  'date-time': 'Timestamp',
+  'date': 'Date',
+  'time': 'Time',
+  'number-integer': 'Long',
+  'number-decimal': 'BigDecimal',
+  'number-float': 'Double',
+  'currency-amount': 'BigDecimal',
+  'currency-precise': 'BigDecimal',
+  'binary-very-long': 'java.sql.Blob'
+};
+
+/**
+ * Build the combined service name used by Moqui: path.verb#noun
+ */
+function serviceName(servicePath, verb, noun) {
+  return noun ? `${servicePath}.${verb}#${noun}` : `${servicePath}.${verb}`;
+}
+
+/**
+ * Normalize a service name for comparison (the # separator is optional)
+ */
+function normalizeServiceName(name) {
+  return String(name || '').replace('#', '');
+}
+
+/**
+ * Convert a <parameter> element (recursively) into a plain definition
+ */
+function parseParameter(element) {
+  const attrs = element.attributes;
+  const nested = childrenNamed(element, 'parameter').map(parseParameter);
+  const description = childNamed(element, 'description');
+  return stripUndefined({
+    name: attrs.name,
+    type: attrs.type || 'String',
+    required: attrs.required === 'true',
+    default: attrs.default,
+    defaultValue: attrs['default-value'],
+    format: attrs.format,
+    allowHtml: attrs['allow-html'],
+    entityName: attrs['entity-name'],
+    fieldName: attrs['field-name'],
+    description: description ? description.text.trim().replace(/\s+/g, ' ') : undefined,
+    parameters: nested.length ? nested : undefined
+  });
+}
+
+/**
+ * Convert an in-parameters/out-parameters block into declarations, keeping
+ * auto-parameters as unexpanded markers
+ */
+function parseParameterBlock(element) {
+  if (!element) return [];
+  const declarations = [];
+  for (const child of element.children) {
+    if (child.name === 'parameter') {
+      declarations.push({ kind: 'parameter', ...parseParameter(child) });
+    } else if (child.name === 'auto-parameters') {
+      declarations.push({
+        kind: 'auto-parameters',
+        entityName: child.attributes['entity-name'],
+        include: child.attributes.include || 'all',
+        required: child.attributes.required === 'true',
+        allowHtml: child.attributes['allow-html'],
+        exclude: childrenNamed(child, 'exclude').map(e => e.attributes['field-name'])
+      });
+    }
+  }
+  return declarations;
+}
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * Load every service definition and SECA file and build the index
+ */
+function loadServiceIndex() {
+  const index = {
+    services: new Map(),   // full service name -> definition
+    secas: [],
+    files: [],
+    errors: []
+  };
+
+  for (const dir of resolveDefinitionDirs(projectRoot, serviceDefinitionsPath)) {
+    for (const filePath of listFilesRecursive(dir, name => name.endsWith('.xml'))) {
+      const relativePath = path.relative(projectRoot, filePath);
+      let root;
+      try {
+        root = parseXmlFile(filePath);
+      } catch (e) {
+        index.errors.push({ file: relativePath, error: e.message });
+        continue;
+      }
+
+      const component = componentForPath(projectRoot, filePath);
+
+      if (root.name === 'secas') {
+        for (const seca of childrenNamed(root, 'seca')) {
+          const actions = childNamed(seca, 'actions');
+          index.secas.push(stripUndefined({
+            id: seca.attributes.id,
+            service: seca.attributes.service,
+            when: seca.attributes.when,
+            runOnError: seca.attributes['run-on-error'] === 'true' || undefined,
+            priority: seca.attributes.priority,
+            hasCondition: Boolean(childNamed(seca, 'condition')),
+            servicesCalled: actions
+              ? descendantsNamed(actions, 'service-call').map(sc => sc.attributes.name)
+              : [],
+            source: { file: relativePath, line: seca.line, component }
+          }));
+        }
+        index.files.push({ file: relativePath, component, kind: 'secas', definitions: childrenNamed(root, 'seca').length });
+        continue;
+      }
+
+      if (root.name !== 'services') continue;
+
+      const servicePath = path.relative(dir, filePath).replace(/\.xml$/, '').split(path.sep).join('.');
+      let count = 0;
+
+      for (const element of root.children) {
+        if (element.name !== 'service' && element.name !== 'service-include') continue;
+        const attrs = element.attributes;
+        const fullName = serviceName(servicePath, attrs.verb, attrs.noun);
+        const description = childNamed(element, 'description');
+
+        index.services.set(fullName, {
+          name: fullName,
+          path: servicePath,
+          verb: attrs.verb,
+          noun: attrs.noun,
+          type: element.name === 'service-include' ? 'include' : (attrs.type || 'inline'),
+          location: attrs.location,
+          method: attrs.method,
+          description: description ? description.text.trim().replace(/\s+/g, ' ') : undefined,
+          attributes: attrs,
+          implements: childrenNamed(element, 'implements').map(i => i.attributes.service),
+          inParameters: parseParameterBlock(childNamed(element, 'in-parameters')),
+          outParameters: parseParameterBlock(childNamed(element, 'out-parameters')),
+          element,
+          source: { file: relativePath, line: element.line, component }
+        });
+        count++;
+      }
+
+      index.files.push({ file: relativePath, component, kind: 'services', path: servicePath, definitions: count });
+    }
+  }
+
+  return index;
+}
+
+// Cache loaded service and entity indexes
+let cachedIndex = null;
+let cachedEntityIndex = null;
+
+function getServiceIndex() {
+  if (!cachedIndex) {
+    cachedIndex = loadServiceIndex();
+  }
+  return cachedIndex;
+}
+
+function getEntityIndex() {
+  if (!cachedEntityIndex) {
+    cachedEntityIndex = loadEntityIndex(projectRoot, entityDefinitionsPath);
+  }
+  return cachedEntityIndex;
+}
+
+/**
+ * Find a service by full name, with or without the # separator, or by verb#noun alone
+ */
+function findService(index, name) {
+  if (!name) return null;
+  if (index.services.has(name)) return index.services.get(name);
+  const normalized = normalizeServiceName(name);
+  const all = [...index.services.values()];
+  const exact = all.find(s => normalizeServiceName(s.name) === normalized);
+  if (exact) return exact;
+  const shortMatches = all.filter(s =>
+    normalizeServiceName(`${s.verb}${s.noun ? '#' + s.noun : ''}`) === normalized
+  );
+  return shortMatches.length === 1 ? shortMatches[0] : null;
+}
+
+/**
+ * Look up a service or fail with a helpful error
+ */
+function requireService(index, name) {
+  const service = findService(index, name);
+  if (!service) {
+    const lower = name.toLowerCase().split(/[.#]/).pop();
+    const suggestions = [...index.services.keys()]
+      .filter(n => n.toLowerCase().includes(lower))
+      .slice(0, 10);
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Service "${name}" not found.` + (suggestions.length ? ` Did you mean: ${suggestions.join(', ')}` : '')
+    );
+  }
+  return service;
+}
+
+/**
+ * Expand an auto-parameters declaration using the entity definitions
+ */
+function expandAutoParameters(declaration, service) {
+  // entity-auto services default auto-parameters to the service noun
+  const entityName = declaration.entityName || service.noun;
+  const entityIndex = getEntityIndex();
+  const entity = findEntity(entityIndex, entityName);
+  if (!entity) {
+    return [{ name: `(auto-parameters from ${entityName})`, unresolved: true, include: declaration.include }];
+  }
+
+  const resolved = resolveEntity(entityIndex, entity);
+  const excluded = new Set(declaration.exclude);
+  return resolved.fields
+    .filter(f => declaration.include === 'all' ||
+      (declaration.include === 'pk' && f.isPk) ||
+      (declaration.include === 'nonpk' && !f.isPk))
+    .filter(f => !excluded.has(f.name))
+    .map(f => stripUndefined({
+      name: f.name,
+      type: fieldTypeToJava[f.type] || 'String',
+      required: declaration.required,
+      allowHtml: declaration.allowHtml,
+      fromEntity: resolved.fullName,
+      fieldType: f.type
+    }));
+}
+
+/**
+ * Effective parameters for one direction: implemented interfaces first, then
+ * the service's own declarations (which override by name)
+ */
+function effectiveParameters(index, service, direction, seen = new Set()) {
+  if (seen.has(service.name)) return { parameters: [], warnings: [] };
+  seen.add(service.name);
+
+  const params = new Map();
+  const warnings = [];
+
+  for (const interfaceName of service.implements) {
+    const iface = findService(index, interfaceName);
+    if (!iface) {
+      warnings.push(`Implemented service ${interfaceName} not found`);
+      continue;
+    }
+    for (const param of effectiveParameters(index, iface, direction, seen).parameters) {
+      params.set(param.name, { ...param, inheritedFrom: param.inheritedFrom || iface.name });
+    }
+  }
+
+  const declarations = direction === 'in' ? service.inParameters : service.outParameters;
+  for (const declaration of declarations) {
+    if (declaration.kind === 'auto-parameters') {
+      for (const param of expandAutoParameters(declaration, service)) {
+        params.set(param.name, param);
+      }
+    } else {
+      const { kind, ...param } = declaration;
+      params.set(param.name, param);
+    }
+  }
+
+  return { parameters: [...params.values()], warnings };
+}
+
+/**
+ * Directories with source sets: the framework and each component
+ */
+function sourceBases() {
+  return [paths.framework, ...resolveDefinitionDirs(projectRoot, `${paths.components}/*`)
+    .map(dir => path.relative(projectRoot, dir))];
+}
+
+/**
+ * Candidate files for a classpath:// or component:// location
+ */
+function resolveLocation(location) {
+  if (!location) return null;
+  const candidates = [];
+
+  if (location.startsWith('component://')) {
+    const [component, ...rest] = location.substring('component://'.length).split('/');
+    candidates.push(path.join(projectRoot, paths.components, component, ...rest));
+  } else if (location.startsWith('classpath://')) {
+    const relative = location.substring('classpath://'.length);
+    for (const base of sourceBases()) {
+      for (const sourceSet of ['src/main/resources', 'src/main/groovy', 'src/main/java']) {
+        candidates.push(path.join(projectRoot, base, sourceSet, relative));
+      }
+    }
+  } else if (!/^[a-z]+:\/\//.test(location)) {
+    candidates.push(path.join(projectRoot, location));
+  }
+
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  return found ? path.relative(projectRoot, found) : null;
+}
+
+/**
+ * Candidate source file for a Java/Groovy class name
+ */
+function resolveClass(className) {
+  if (!className) return null;
+  const classPath = className.replace(/\./g, '/');
+  for (const base of sourceBases()) {
+    for (const [sourceSet, ext] of [['src/main/java', '.java'], ['src/main/groovy', '.groovy']]) {
+      const candidate = path.join(projectRoot, base, sourceSet, classPath + ext);
+      if (fs.existsSync(candidate)) return path.relative(projectRoot, candidate);
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe where and how a service is implemented
+ */
+function describeImplementation(service) {
+  const { type, location, method } = service;
+
+  switch (type) {
+    case 'inline': {
+      const actions = childNamed(service.element, 'actions');
+      return stripUndefined({
+        type,
+        file: service.source.file,
+        line: actions ? actions.line : service.source.line,
+        actionCount: actions ? actions.children.length : 0,
+        servicesCalled: actions ? [...new Set(descendantsNamed(actions, 'service-call').map(sc => sc.attributes.name))] : [],
+        entitiesUsed: actions ? [...new Set(
+          ['entity-find', 'entity-find-one', 'entity-find-count', 'entity-make-value', 'entity-sequenced-id-primary']
+            .flatMap(tag => descendantsNamed(actions, tag).map(e => e.attributes['entity-name']))
+            .filter(Boolean)
+        )] : []
+      });
+    }
+    case 'script':
+      return stripUndefined({
+        type,
+        location,
+        resolvedPath: resolveLocation(location) || undefined
+      });
+    case 'java':
+      return stripUndefined({
+        type,
+        className: location,
+        method,
+        resolvedPath: resolveClass(location) || undefined
+      });
+    case 'entity-auto':
+      return { type, entity: service.noun, operation: service.verb };
+    case 'interface':
+      return { type, note: 'Interface only: defines parameters for services that implement it' };
+    case 'include':
+      return { type, location, resolvedPath: resolveLocation(location) || undefined };
+    default:
+      return stripUndefined({ type, location, method });
+  }
+}
+
+/**
+ * Find SECA rules that trigger on a service (exact names or regex patterns)
+ */
+function secasForService(index, service) {
+  const candidates = [service.name, normalizeServiceName(service.name)];
+  return index.secas.filter(seca => {
+    const target = seca.service || '';
+    if (normalizeServiceName(target) === normalizeServiceName(service.name)) return true;
+    if (!/[\\()[\]*+?|^$]/.test(target)) return false;
+    try {
+      const regex = new RegExp(`^${target}$`);
+      return candidates.some(candidate => regex.test(candidate));
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Summarize a service for list output
+ */
+function summarizeService(service) {
+  return stripUndefined({
+    name: service.name,
+    verb: service.verb,
+    noun: service.noun,
+    type: service.type,
+    source: `${service.source.file}:${service.source.line}`
+  });
+}
+
+// Tool handlers; arguments are validated against each tool's inputSchema before they run
+function listServices(args) {
+  const index = getServiceIndex();
+  const verb = args.verb ? args.verb.toLowerCase() : null;
+  const noun = args.noun ? args.noun.toLowerCase() : null;
+  const filter = args.filter ? args.filter.toLowerCase() : null;
+  const component = args.component;
+  const groupBy = args.group_by || 'file';
+
+  const services = [...index.services.values()]
+    .filter(s => !verb || String(s.verb).toLowerCase() === verb)
+    .filter(s => !noun || String(s.noun || '').toLowerCase().includes(noun))
+    .filter(s => !filter || s.name.toLowerCase().includes(filter))
+    .filter(s => !component || s.source.component === component)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const groups = {};
+  for (const service of services) {
+    const key = groupBy === 'verb' ? service.verb
+      : groupBy === 'noun' ? (service.noun || '(none)')
+      : service.path;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(summarizeService(service));
+  }
+
+  return `Found ${services.length} service(s):\n\n${JSON.stringify(groups, null, 2)}`;
+}
+
+function listServiceVerbs() {
+  const index = getServiceIndex();
+  const verbs = {};
+  for (const service of index.services.values()) {
+    verbs[service.verb] = (verbs[service.verb] || 0) + 1;
+  }
+  const list = Object.entries(verbs)
+    .map(([verb, count]) => ({ verb, count }))
+    .sort((a, b) => b.count - a.count);
+
+  return list;
+}
+
+function getService(args) {
+  const index = getServiceIndex();
+  const service = requireService(index, args.service_name);
+  const inParams = effectiveParameters(index, service, 'in');
+  const outParams = effectiveParameters(index, service, 'out');
+  const { verb, noun, location, method, type, ...otherAttributes } = service.attributes;
+
+  return stripUndefined({
+    name: service.name,
+    description: service.description,
+    attributes: otherAttributes,
+    source: service.source,
+    implements: service.implements.length ? service.implements : undefined,
+    implementation: describeImplementation(service),
+    inParameters: inParams.parameters,
+    outParameters: outParams.parameters,
+    warnings: [...inParams.warnings, ...outParams.warnings].length
+      ? [...new Set([...inParams.warnings, ...outParams.warnings])]
+      : undefined,
+    secas: secasForService(index, service)
+  });
+}
+
+function getServiceParameters(args) {
+  const index = getServiceIndex();
+  const service = requireService(index, args.service_name);
+  const direction = args.direction || 'both';
+  const result = { service: service.name };
+  if (direction !== 'out') result.inParameters = effectiveParameters(index, service, 'in').parameters;
+  if (direction !== 'in') result.outParameters = effectiveParameters(index, service, 'out').parameters;
+
+  return result;
+}
+
+function getServiceImplementation(args) {
+  const index = getServiceIndex();
+  const service = requireService(index, args.service_name);
+
+  return {
+    service: service.name,
+    definedIn: service.source,
+    implementation: describeImplementation(service)
+  };
+}
+
+function getServiceSecas(args) {
+  const index = getServiceIndex();
+  const service = requireService(index, args.service_name);
+  const secas = secasForService(index, service);
+
+  return `Found ${secas.length} SECA rule(s) for ${service.name}:\n\n${JSON.stringify(secas, null, 2)}`;
+}
+
+function listSecas(args) {
+  const index = getServiceIndex();
+  const filter = args.filter ? args.filter.toLowerCase() : null;
+  const secas = index.secas
+    .filter(seca => !filter || String(seca.service).toLowerCase().includes(filter))
+    .map(seca => ({
+      ...seca,
+      serviceDefined: Boolean(findService(index, seca.service))
+    }));
+
+  return `Found ${secas.length} SECA rule(s):\n\n${JSON.stringify(secas, null, 2)}`;
+}
+
+function listServiceFiles() {
+  const index = getServiceIndex();
+  return {
+    definitionsPath: serviceDefinitionsPath,
+    directories: resolveDefinitionDirs(projectRoot, serviceDefinitionsPath)
+      .map(dir => path.relative(projectRoot, dir)),
+    files: index.files,
+    errors: index.errors
+  };
+}
+
+// Tool definitions
+const serviceNameProperty = {
+  type: 'string',
+  description: 'Service name (e.g., "org.moqui.impl.BasicServices.get#GeoRegionsForDropDown"); the # is optional'
+};
+
+const tools = [
+  {
+    name: 'list_services',
+    description: 'List service definitions filtered by verb, noun, name or component',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        verb: {
+          type: 'string',
+          description: 'Optional: Exact verb (e.g., "create", "get", "send")'
+        },
+        noun: {
+          type: 'string',
+          description: 'Optional: Substring of the noun (e.g., "Email", "moqui.basic")'
+        },
+        filter: {
+          type: 'string',
+          description: 'Optional: Substring of the full service name'
+        },
+        component: {
+          type: 'string',
+          description: 'Optional: Component name (e.g., "framework", "durion-crm")'
+        },
+        group_by: {
+          type: 'string',
+          enum: ['file', 'verb', 'noun'],
+          description: 'How to group results. Default: "file"'
+        }
+      }
+    },
+    handler: listServices
+  },
+  {
+    name: 'list_service_verbs',
+    description: 'List service verbs in use with counts',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: listServiceVerbs
+  },
+  {
+    name: 'get_service',
+    description: 'Get a service definition: parameters, implementation location and triggered SECAs',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        service_name: serviceNameProperty
+      },
+      required: ['service_name']
+    },
+    handler: getService
+  },
+  {
+    name: 'get_service_parameters',
+    description: 'Get effective in/out parameters with types, required flags and defaults (auto-parameters and implemented interfaces expanded)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        service_name: serviceNameProperty,
+        direction: {
+          type: 'string',
+          enum: ['in', 'out', 'both'],
+          description: 'Which parameters to return. Default: "both"'
+        }
+      },
+      required: ['service_name']
+    },
+    handler: getServiceParameters
+  },
+  {
+    name: 'get_service_implementation',
+    description: 'Show where a service is implemented: inline actions, script location, Java class or entity-auto',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        service_name: serviceNameProperty
+      },
+      required: ['service_name']
+    },
+    handler: getServiceImplementation
+  },
+  {
+    name: 'get_service_secas',
+    description: 'List SECA rules that trigger on a service',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        service_name: serviceNameProperty
+      },
+      required: ['service_name']
+    },
+    handler: getServiceSecas
+  },
+  {
+    name: 'list_secas',
+    description: 'List all SECA rules with the services they trigger on and call',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filter: {
+          type: 'string',
+          description: 'Optional: Substring of the triggering service name'
+        }
+      }
+    },
+    handler: listSecas
+  },
+  {
+    name: 'list_service_files',
+    description: 'List scanned service definition files and any parse errors',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: listServiceFiles
+  }
+];
+
+const server = createToolServer({
+  name: 'moqui-services',
+  version: '1.0.0',
+  tools
+});
+
+module.exports = { server };
+
+if (require.main === module) serve(server, 'Moqui Services').catch(console.error);
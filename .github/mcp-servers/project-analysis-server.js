@@ -10,25 +10,58 @@
  * - Architecture documentation
  */
 
-const { Server } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const {
-  CallToolRequestSchema,
   ErrorCode,
   McpError,
 } = require('@modelcontextprotocol/sdk/types.js');
+const { createToolServer } = require('./lib/server-runtime.js');
+const { serve } = require('./lib/transport.js');
 const fs = require('fs');
 const path = require('path');
+const { loadComponentCatalog } = require('./lib/component-catalog.js');
+const {
+  buildDependencyGraph,
+  transitiveDependencies,
+  transitiveDependents,
+  findCycles,
+  topologicalOrder,
+  undeclaredDependencies,
+} = require('./lib/dependency-graph.js');
+const { renderGraph, DIAGRAM_FORMATS } = require('./lib/graph-export.js');
+const { RULES: LAYERING_RULE_IDS, buildOwnership, scanComponentLayering } = require('./lib/layering-scanner.js');
+const {
+  ROLE_KEYS,
+  loadRaciMatrix,
+  findActivities,
+  listParties,
+  assignmentsFor,
+  accountabilityIssues
+} = require('./lib/raci-matrix.js');
+const {
+  DOMAIN_LABELS,
+  loadIssues,
+  loadProjectDefinition,
+  validateProjectDefinition,
+  validateIssue,
+  compareSources
+} = require('./lib/project-backlog.js');
+const { loadConfig } = require('./lib/config.js');
 
-const projectRoot = process.env.MOQUI_PROJECT_ROOT || '/home/n541342/IdeaProjects/moqui_example';
-const docsPath = path.join(projectRoot, process.env.DOCUMENTATION_PATH || '.github/docs');
+const config = loadConfig();
+const { projectRoot } = config;
+const docsPath = path.join(projectRoot, config.paths.documentation);
+const componentsPath = config.paths.components;
+const expectedComponents = config.durionComponents;
 
-const server = new Server({
-  name: 'project-analysis',
-  version: '1.0.0',
-});
 
-const durionComponents = {
+/**
+ * Annotation layer for the component catalog
+ *
+ * Tier and description are not recorded in component.xml, so they come from
+ * here. Entities and dependencies are only used as a fallback for components
+ * that are not checked out under runtime/component.
+ */
+const componentAnnotations = {
   'durion-common': {
     tier: 'foundation',
     description: 'Shared entities, services, and utilities',
@@ -97,103 +130,719 @@ const durionComponents = {
   }
 };
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  if (request.params.name === 'list_durion_components') {
-    const components = Object.entries(durionComponents).map(([name, info]) => ({
-      name,
+/**
+ * Architectural layering rules and domain boundaries
+ */
+const layeringRules = {
+  layers: [
+    'UI (Screens, Vue, Forms)',
+    'Services (Business Logic)',
+    'Entities (Data Model)',
+    'Integration (Positivity Layer)'
+  ],
+  rules: [
+    'Screens/Vue → Services ONLY',
+    'Services → Entities ONLY',
+    'Entities → No outward calls',
+    'All external calls → Positivity Layer ONLY'
+  ],
+  domainBoundaries: {
+    'durion-crm': 'Customer data and relationships',
+    'durion-product': 'Products and catalog',
+    'durion-inventory': 'Stock and warehouse',
+    'durion-accounting': 'Financial transactions',
+    'durion-workexec': 'Work execution',
+    'durion-experience': 'Customer portal',
+    'durion-positivity': 'External integrations'
+  }
+};
+
+/**
+ * RACI documents, relative to the documentation directory
+ */
+const RACI_FILES = ['architecture/moqui-RACI.md', 'architecture/moqui-domain-RACI.md'];
+
+/**
+ * Prototype backlog files: issue files relative to the project root,
+ * project definition relative to the documentation directory
+ */
+const ISSUE_FILES = ['starter_issues.json', 'starter_issues.csv'];
+const PROJECT_DEFINITION_FILE = 'architecture/project.json';
+
+/**
+ * Tier order used when grouping diagrams
+ */
+const TIER_ORDER = ['ui', 'integration', 'business', 'foundation', 'data', 'tooling', 'unclassified', 'framework', 'external'];
+
+// Cache loaded component catalog
+let cachedCatalog = null;
+
+function getComponentCatalog() {
+  if (!cachedCatalog) {
+    cachedCatalog = loadComponentCatalog({
+      projectRoot,
+      componentsPath,
+      expectedComponents,
+      annotations: componentAnnotations
+    });
+  }
+  return cachedCatalog;
+}
+
+// Cache parsed RACI matrix
+let cachedRaciMatrix = null;
+
+function getRaciMatrix() {
+  if (!cachedRaciMatrix) {
+    cachedRaciMatrix = loadRaciMatrix(docsPath, RACI_FILES);
+  }
+  return cachedRaciMatrix;
+}
+
+/**
+ * Load the project definition, failing with a tool error when it cannot be read
+ */
+function requireProjectDefinition() {
+  try {
+    return loadProjectDefinition(path.join(docsPath, PROJECT_DEFINITION_FILE));
+  } catch (e) {
+    throw new McpError(ErrorCode.InternalError, `Cannot read ${PROJECT_DEFINITION_FILE}: ${e.message}`);
+  }
+}
+
+/**
+ * Look up a component in the catalog or fail with the list of known names
+ */
+function requireComponent(catalog, componentName) {
+  if (!componentName || !catalog.components.has(componentName)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown component: ${componentName}. Known components: ${[...catalog.components.keys()].sort().join(', ')}`
+    );
+  }
+  return catalog.components.get(componentName);
+}
+
+/**
+ * Build a diagram model for the component graph or the domain boundary graph
+ */
+function buildDiagramModel(catalog, { graphType, highlight, includeExternal }) {
+  const graph = buildDependencyGraph(catalog, projectRoot);
+  const domainNames = Object.keys(layeringRules.domainBoundaries);
+
+  const included = new Set([...graph.nodes.keys()].filter(name => {
+    if (graphType === 'domains') return domainNames.includes(name);
+    return includeExternal || name.startsWith('durion-');
+  }));
+
+  const upstream = new Set(highlight ? transitiveDependencies(graph, highlight).map(d => d.name) : []);
+  const downstream = new Set(highlight ? transitiveDependents(graph, highlight).map(d => d.name) : []);
+  // A highlighted component is always shown, even when filtered out by graph type
+  if (highlight) included.add(highlight);
+
+  const roleOf = (node) => {
+    if (node.name === highlight) return 'selected';
+    if (upstream.has(node.name)) return 'upstream';
+    if (downstream.has(node.name)) return 'downstream';
+    if (node.status === 'undeclared' || node.status === 'addons-only') return 'missing';
+    if (!node.name.startsWith('durion-')) return 'external';
+    return null;
+  };
+
+  const nodes = [...included].sort().map(name => {
+    const node = graph.nodes.get(name);
+    const description = graphType === 'domains'
+      ? layeringRules.domainBoundaries[name]
+      : (catalog.components.get(name) || {}).description;
+    return {
+      id: name,
+      label: description ? `${name}\n${description}` : name,
+      group: node.tier,
+      role: roleOf(node)
+    };
+  });
+
+  const edges = [];
+  for (const name of included) {
+    for (const dependency of graph.nodes.get(name).dependencies) {
+      if (!included.has(dependency)) continue;
+      let role = null;
+      if ((name === highlight || upstream.has(name)) && upstream.has(dependency)) role = 'upstream';
+      if (downstream.has(name) && (dependency === highlight || downstream.has(dependency))) role = 'downstream';
+      edges.push({ from: name, to: dependency, role });
+    }
+  }
+
+  return {
+    title: graphType === 'domains' ? 'Durion domain boundaries' : 'Durion component dependencies',
+    nodes,
+    edges,
+    groups: TIER_ORDER
+  };
+}
+
+// Tool handlers; arguments are validated against each tool's inputSchema before they run
+function listDurionComponents(args) {
+  const catalog = getComponentCatalog();
+  const includeAll = args.include_all === true;
+  const components = [...catalog.components.values()]
+    .filter(info => includeAll || info.name.startsWith('durion-') || info.expected)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(info => ({
+      name: info.name,
       tier: info.tier,
       description: info.description,
-      dependencyCount: info.dependencies.length
+      onDisk: info.onDisk,
+      version: info.version,
+      declaredInAddons: info.declaredInAddons,
+      dependencyCount: info.dependencies.length,
+      dependencySource: info.dependencySource,
+      entityCount: info.entities.length,
+      serviceCount: info.services.length,
+      screenCount: info.screens.length
     }));
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(components, null, 2)
-        }
-      ]
-    };
+  return {
+    componentsDir: catalog.componentsDir,
+    componentsDirExists: catalog.componentsDirExists,
+    components,
+    errors: catalog.errors.length ? catalog.errors : undefined
+  };
+}
+
+function getComponentInfo(args) {
+  const catalog = getComponentCatalog();
+  const info = requireComponent(catalog, args.component);
+  return info;
+}
+
+function getComponentDependencies(args) {
+  const catalog = getComponentCatalog();
+  const info = requireComponent(catalog, args.component);
+  return { 
+    component: info.name,
+    dependencies: info.dependencies,
+    dependsOn: info.dependsOn.length ? info.dependsOn : undefined,
+    source: info.dependencySource
+  };
+}
+
+function getTransitiveDependencies(args) {
+  const catalog = getComponentCatalog();
+  const info = requireComponent(catalog, args.component);
+  const direction = args.direction || 'upstream';
+  const graph = buildDependencyGraph(catalog, projectRoot);
+  const result = { component: info.name };
+  if (direction !== 'downstream') {
+    result.dependsOn = transitiveDependencies(graph, info.name)
+      .map(dep => ({ ...dep, status: graph.nodes.get(dep.name).status }));
+  }
+  if (direction !== 'upstream') {
+    result.dependedOnBy = transitiveDependents(graph, info.name);
   }
+  const placeholders = graph.placeholders.filter(p => p.component === info.name);
+  if (placeholders.length) result.placeholders = placeholders;
+  return result;
+}
+
+function detectDependencyCycles() {
+  const graph = buildDependencyGraph(getComponentCatalog(), projectRoot);
+  const cycles = findCycles(graph);
+  return {
+    hasCycles: cycles.length > 0,
+    cycles,
+    placeholders: graph.placeholders
+  };
+}
+
+function getComponentLoadOrder(args) {
+  const catalog = getComponentCatalog();
+  const subset = args.components;
+  if (subset) subset.forEach(name => requireComponent(catalog, name));
+  const graph = buildDependencyGraph(catalog, projectRoot);
+  const { order, levels, unordered } = topologicalOrder(graph, subset);
+  return {
+    order,
+    levels,
+    unordered: unordered.length ? unordered : undefined,
+    note: unordered.length
+      ? 'Components in "unordered" are on or depend on a dependency cycle; see detect_dependency_cycles'
+      : undefined
+  };
+}
+
+function findUndeclaredDependencies() {
+  const graph = buildDependencyGraph(getComponentCatalog(), projectRoot);
+  const flagged = undeclaredDependencies(graph);
+  return `Found ${flagged.length} dependency(ies) on components that are not declared:\n\n${JSON.stringify(flagged, null, 2)}`;
+}
+
+function exportDependencyDiagram(args) {
+  const catalog = getComponentCatalog();
+  const format = args.format || 'mermaid';
+  if (args.highlight) requireComponent(catalog, args.highlight);
+
+  const model = buildDiagramModel(catalog, {
+    graphType: args.graph || 'components',
+    highlight: args.highlight,
+    includeExternal: args.include_external === true
+  });
+  const diagram = renderGraph(model, format, { grouped: args.group_by_tier !== false });
+
+  return diagram;
+}
 
-  if (request.params.name === 'get_component_info') {
-    const componentName = request.params.arguments?.component;
-    if (!componentName || !durionComponents[componentName]) {
-      throw new McpError(ErrorCode.InvalidParams, `Unknown component: ${componentName}`);
+function getLayeringRules() {
+  return layeringRules;
+}
+
+function scanLayeringViolations(args) {
+  const catalog = getComponentCatalog();
+  const rules = args.rules && args.rules.length ? args.rules : Object.keys(LAYERING_RULE_IDS);
+
+  const targets = args.component
+    ? [requireComponent(catalog, args.component)]
+    : [...catalog.components.values()].filter(c => c.name.startsWith('durion-'));
+  const options = {
+    projectRoot,
+    ownership: buildOwnership(catalog),
+    domains: Object.keys(layeringRules.domainBoundaries),
+    rules
+  };
+
+  const results = [];
+  const notScanned = [];
+  for (const component of targets) {
+    if (!component.onDisk) {
+      notScanned.push(component.name);
+      continue;
     }
-    const info = durionComponents[componentName];
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(info, null, 2)
-        }
-      ]
-    };
+    results.push(scanComponentLayering(component, options));
   }
 
-  if (request.params.name === 'get_component_dependencies') {
-    const componentName = request.params.arguments?.component;
-    if (!componentName || !durionComponents[componentName]) {
-      throw new McpError(ErrorCode.InvalidParams, `Unknown component: ${componentName}`);
+  const violations = results.flatMap(result => result.violations.map(v => ({ component: result.component, ...v })));
+  const summary = {
+    scanned: results.map(result => result.component),
+    notScanned,
+    violationCount: violations.length,
+    byRule: Object.fromEntries(rules.map(rule => [rule, violations.filter(v => v.rule === rule).length])),
+    violations,
+    errors: results.flatMap(result => result.errors)
+  };
+
+  return summary;
+}
+
+function getRaciForActivity(args) {
+  const matches = findActivities(getRaciMatrix(), args.activity);
+  return matches.length
+    ? `Found ${matches.length} matching activity(ies):\n\n${JSON.stringify(matches, null, 2)}`
+    : `No RACI activity matches "${args.activity}"`;
+}
+
+function getRaciAssignments(args) {
+  const role = (args.role || 'R').toUpperCase();
+  if (!ROLE_KEYS[role]) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown role: ${args.role}. Use R, A, C or I`);
+  }
+  const assignments = assignmentsFor(getRaciMatrix(), args.party, role).map(({ activity, parties }) => ({
+    activity: activity.activity,
+    section: activity.section,
+    source: activity.source,
+    line: activity.line,
+    parties,
+    lead: parties.some(party => activity.lead.includes(party)),
+    notes: parties.map(party => activity.notes[party]).filter(Boolean),
+    accountable: activity.accountable
+  }));
+  return {
+    party: args.party,
+    role: ROLE_KEYS[role],
+    matchedParties: [...new Set(assignments.flatMap(a => a.parties))].sort(),
+    count: assignments.length,
+    assignments
+  };
+}
+
+function listRaciParties() {
+  const matrix = getRaciMatrix();
+  return { sources: matrix.sources, parties: listParties(matrix), errors: matrix.errors };
+}
+
+function checkRaciAccountability() {
+  const issues = accountabilityIssues(getRaciMatrix());
+  const summarize = activity => ({
+    activity: activity.activity,
+    section: activity.section,
+    source: activity.source,
+    line: activity.line,
+    accountable: activity.accountable,
+    responsible: activity.responsible
+  });
+  return {
+    noAccountable: issues.noAccountable.map(summarize),
+    multipleAccountable: issues.multipleAccountable.map(summarize)
+  };
+}
+
+function listBacklogIssues(args) {
+  const format = args.source || 'csv';
+  const { sources, errors } = loadIssues(projectRoot, ISSUE_FILES);
+  if (!sources[format]) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `No ${format} issue file loaded. Errors: ${JSON.stringify(errors)}`
+    );
+  }
+  const domain = args.domain ? args.domain.replace(/^domain:/, '') : null;
+  if (domain && !DOMAIN_LABELS[domain]) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown domain: ${args.domain}. Known: ${Object.keys(DOMAIN_LABELS).join(', ')}`);
+  }
+
+  const issues = sources[format].issues.filter(issue =>
+    (!domain || issue.domainLabels.includes(domain)) &&
+    (!args.component || issue.components.includes(args.component)) &&
+    (!args.label || issue.labels.includes(args.label))
+  );
+
+  const byDomain = {};
+  for (const issue of issues) {
+    for (const name of issue.domainLabels.length ? issue.domainLabels : ['(none)']) {
+      byDomain[name] = (byDomain[name] || 0) + 1;
     }
-    const dependencies = durionComponents[componentName].dependencies;
+  }
+
+  return {
+    source: sources[format].file,
+    count: issues.length,
+    byDomain,
+    issues: issues.map(issue => ({
+      title: issue.title,
+      body: issue.body,
+      labels: issue.labels,
+      domains: issue.domains,
+      components: issue.components,
+      layers: issue.layers,
+      aiRoles: issue.aiRoles,
+      line: issue.line
+    }))
+  };
+}
+
+function getProjectFields(args) {
+  const project = requireProjectDefinition();
+  const fields = args.field
+    ? project.fields.filter(field => field.name.toLowerCase() === args.field.toLowerCase())
+    : project.fields;
+  if (args.field && !fields.length) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown field: ${args.field}. Fields: ${project.fields.map(field => field.name).join(', ')}`
+    );
+  }
+  return {
+    name: project.name,
+    description: project.description,
+    fields,
+    domainLabels: DOMAIN_LABELS,
+    views: (project.views || []).map(view => ({ name: view.name, type: view.type, groupByField: view.groupByField, filters: view.filters })),
+    automation: project.automation || []
+  };
+}
+
+function validateBacklog() {
+  const project = requireProjectDefinition();
+  const { sources, errors } = loadIssues(projectRoot, ISSUE_FILES);
+
+  const files = Object.values(sources).map(({ file, issues }) => {
+    const problems = issues
+      .map(issue => ({ title: issue.title, index: issue.index, line: issue.line, ...validateIssue(issue, project) }))
+      .filter(result => result.errors.length || result.warnings.length);
     return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({ 
-            component: componentName,
-            dependencies: dependencies 
-          }, null, 2)
-        }
-      ]
+      file,
+      issues: issues.length,
+      withErrors: problems.filter(result => result.errors.length).length,
+      withWarnings: problems.filter(result => result.warnings.length).length,
+      problems
     };
-  }
+  });
+
+  return {
+    project: { file: PROJECT_DEFINITION_FILE, errors: validateProjectDefinition(project) },
+    files,
+    consistency: sources.json && sources.csv ? compareSources(sources.json.issues, sources.csv.issues) : null,
+    loadErrors: errors
+  };
+}
+
+// Tool definitions
+const componentProperty = {
+  type: 'string',
+  description: 'Component name (e.g., "durion-crm")'
+};
 
-  if (request.params.name === 'get_layering_rules') {
-    const layering = {
-      layers: [
-        'UI (Screens, Vue, Forms)',
-        'Services (Business Logic)',
-        'Entities (Data Model)',
-        'Integration (Positivity Layer)'
-      ],
-      rules: [
-        'Screens/Vue → Services ONLY',
-        'Services → Entities ONLY',
-        'Entities → No outward calls',
-        'All external calls → Positivity Layer ONLY'
-      ],
-      domainBoundaries: {
-        'durion-crm': 'Customer data and relationships',
-        'durion-product': 'Products and catalog',
-        'durion-inventory': 'Stock and warehouse',
-        'durion-accounting': 'Financial transactions',
-        'durion-workexec': 'Work execution',
-        'durion-experience': 'Customer portal',
-        'durion-positivity': 'External integrations'
+const tools = [
+  {
+    name: 'list_durion_components',
+    description: 'List Durion components discovered from runtime/component, myaddons.xml and the durionComponents setting',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_all: {
+          type: 'boolean',
+          description: 'Also include non-Durion components found on disk or in myaddons.xml (default: false)'
+        }
       }
-    };
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(layering, null, 2)
+    },
+    handler: listDurionComponents
+  },
+  {
+    name: 'get_component_info',
+    description: 'Get component details: tier, description, version, depends-on, entities, services and screens',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        component: componentProperty
+      },
+      required: ['component']
+    },
+    handler: getComponentInfo
+  },
+  {
+    name: 'get_component_dependencies',
+    description: 'List the direct dependencies of a component (from component.xml depends-on, or annotations when not checked out)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        component: componentProperty
+      },
+      required: ['component']
+    },
+    handler: getComponentDependencies
+  },
+  {
+    name: 'get_transitive_dependencies',
+    description: 'Get the full transitive dependency closure of a component, upstream (what it needs) and/or downstream (what needs it)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        component: componentProperty,
+        direction: {
+          type: 'string',
+          enum: ['upstream', 'downstream', 'both'],
+          description: 'Which closure to compute. Default: "upstream"'
         }
-      ]
-    };
+      },
+      required: ['component']
+    },
+    handler: getTransitiveDependencies
+  },
+  {
+    name: 'detect_dependency_cycles',
+    description: 'Detect cycles in the component dependency graph',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: detectDependencyCycles
+  },
+  {
+    name: 'get_component_load_order',
+    description: 'Get a topological load order (dependencies first), grouped into levels',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        components: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Optional: Only order these components and their transitive dependencies'
+        }
+      }
+    },
+    handler: getComponentLoadOrder
+  },
+  {
+    name: 'find_undeclared_dependencies',
+    description: 'Flag dependencies on components that are not checked out and not declared in myaddons.xml',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: findUndeclaredDependencies
+  },
+  {
+    name: 'export_dependency_diagram',
+    description: 'Render the component dependency graph or domain boundaries as Mermaid, Graphviz DOT or draw.io XML',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        graph: {
+          type: 'string',
+          enum: ['components', 'domains'],
+          description: 'Graph to render: all components, or the domain boundaries from get_layering_rules. Default: "components"'
+        },
+        format: {
+          type: 'string',
+          enum: DIAGRAM_FORMATS,
+          description: 'Output format. Default: "mermaid"'
+        },
+        group_by_tier: {
+          type: 'boolean',
+          description: 'Group nodes by tier (foundation, business, integration, ui, ...). Default: true'
+        },
+        highlight: {
+          type: 'string',
+          description: 'Optional: Component whose upstream and downstream dependencies are highlighted'
+        },
+        include_external: {
+          type: 'boolean',
+          description: 'Include non-Durion components (framework, mantle-udm, ...) in the component graph. Default: false'
+        }
+      }
+    },
+    handler: exportDependencyDiagram
+  },
+  {
+    name: 'get_layering_rules',
+    description: 'Get architectural layering rules and domain boundaries',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: getLayeringRules
+  },
+  {
+    name: 'scan_layering_violations',
+    description: 'Statically scan component sources for layering rule violations: entity access from screens/Vue, cross-domain entity writes from services, and external HTTP calls outside durion-positivity',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        component: {
+          type: 'string',
+          description: 'Optional: Component to scan. Default: all Durion components checked out under runtime/component'
+        },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: Object.keys(LAYERING_RULE_IDS)
+          },
+          description: 'Optional: Only report these rules. Default: all'
+        }
+      }
+    },
+    handler: scanLayeringViolations
+  },
+  {
+    name: 'get_raci_for_activity',
+    description: 'Look up who is Responsible, Accountable, Consulted and Informed for an activity in the RACI documents',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        activity: {
+          type: 'string',
+          description: 'Activity name or words from it (e.g., "Define entities", "inventory experience layer")'
+        }
+      },
+      required: ['activity']
+    },
+    handler: getRaciForActivity
+  },
+  {
+    name: 'get_raci_assignments',
+    description: 'List every activity where a team or agent holds a RACI role',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        party: {
+          type: 'string',
+          description: 'Team or agent name, matched loosely (e.g., "Integration Agent", "scaffolding agent", "Architect")'
+        },
+        role: {
+          type: 'string',
+          enum: ['R', 'A', 'C', 'I'],
+          description: 'RACI role. Default: "R" (Responsible)'
+        }
+      },
+      required: ['party']
+    },
+    handler: getRaciAssignments
+  },
+  {
+    name: 'list_raci_parties',
+    description: 'List the teams and agents named in the RACI documents with their role counts',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: listRaciParties
+  },
+  {
+    name: 'check_raci_accountability',
+    description: 'Find RACI activities with no Accountable party or more than one',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: checkRaciAccountability
+  },
+  {
+    name: 'list_backlog_issues',
+    description: 'List prototype backlog issues from starter_issues.csv/json, with project domain, layer, AI role and Durion component derived from labels',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: {
+          type: 'string',
+          description: 'Optional: Domain label, with or without the "domain:" prefix (e.g., "workexec")'
+        },
+        component: {
+          type: 'string',
+          description: 'Optional: Durion component (e.g., "durion-workexec")'
+        },
+        label: {
+          type: 'string',
+          description: 'Optional: Any label (e.g., "experience", "ai:regression")'
+        },
+        source: {
+          type: 'string',
+          enum: ['csv', 'json'],
+          description: 'Issue file to read. Default: "csv"'
+        }
+      }
+    },
+    handler: listBacklogIssues
+  },
+  {
+    name: 'get_project_fields',
+    description: 'Show the prototype project fields and allowed values (Status, Priority, Domain, Layer, ...) from project.json',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        field: {
+          type: 'string',
+          description: 'Optional: Only this field (e.g., "Status")'
+        }
+      }
+    },
+    handler: getProjectFields
+  },
+  {
+    name: 'validate_backlog',
+    description: 'Validate project.json and the starter issue files against the project schema, and compare the JSON and CSV issue lists',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: validateBacklog
   }
+];
 
-  throw new McpError(
-    ErrorCode.MethodNotFound,
-    `Unknown tool: ${request.params.name}`
-  );
+const server = createToolServer({
+  name: 'project-analysis',
+  version: '1.0.0',
+  tools
 });
 
-async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('Project Analysis MCP server running on stdio');
-}
+module.exports = { server };
 
-main().catch(console.error);
+if (require.main === module) serve(server, 'Project Analysis').catch(console.error);
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Check that the shipped vocabularies give exact token counts without any setup
+ *
+ * Ignores MCP_TOKENIZER_* so the default vocabulary directory is used; expected counts come from
+ * the reference tiktoken encoders. Exits with status 1 when a tokenizer falls back to the estimate
+ * or a count differs.
+ */
+
+const { createTokenizer } = require('../lib/tokenizer.js');
+
+const SAMPLES = [
+  '<entity entity-name="Invoice" package="mantle.account.invoice">',
+  'Moqui services: create#mantle.order.OrderHeader ✓ — 日本語',
+  'def total = invoice.items.sum { it.amount * it.quantity }\n'
+];
+
+const EXPECTED = [
+  { model: 'gpt-4o', encoding: 'o200k_base', counts: [14, 15, 13] },
+  { model: 'gpt-4', encoding: 'cl100k_base', counts: [14, 17, 13] }
+];
+
+let failed = false;
+for (const { model, encoding, counts } of EXPECTED) {
+  const tokenizer = createTokenizer({ model, env: {} });
+  if (!tokenizer.exact || tokenizer.name !== encoding) {
+    console.error(`${model}: expected exact ${encoding} counts, got ${tokenizer.name} (${tokenizer.fallbackReason || 'estimate'})`);
+    failed = true;
+    continue;
+  }
+  const actual = SAMPLES.map(sample => tokenizer.count(sample));
+  if (actual.some((count, i) => count !== counts[i])) {
+    console.error(`${model}: expected ${counts.join(', ')} tokens, got ${actual.join(', ')}`);
+    failed = true;
+    continue;
+  }
+  console.log(`${model}: ${encoding} exact (${actual.join(', ')} tokens)`);
+}
+
+process.exit(failed ? 1 : 0);
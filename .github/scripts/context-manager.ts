@@ -5,180 +5,115 @@
  * - Allocating token budgets by document type
  * - Prioritizing relevant content based on task
  * - Truncating intelligently to fit constraints
- * - Estimating token usage accurately
+ * - Counting tokens with the target model's tokenizer (4 chars per token as fallback)
+ *
+ * Typed API over .github/mcp-servers/lib/context-budget.js, the allocator the MCP servers use, so
+ * scripts and servers split budgets the same way.
  */
 
-interface ContextConfig {
-  totalBudget: number;        // Total tokens available
-  instructionsPercent: number; // % allocated to instructions (default: 40%)
-  docsPercent: number;        // % allocated to docs (default: 30%)
-  agentPercent: number;       // % allocated to agent guides (default: 20%)
-  responsePercent: number;    // % reserved for response (default: 10%)
-}
-
-interface ContextAllocation {
-  instructions: number;
-  docs: number;
-  agent: number;
-  reserved: number;
-  total: number;
-}
-
-interface ContentPriority {
-  type: 'instructions' | 'docs' | 'agent';
-  priority: number; // 1 = highest, 3 = lowest
-}
-
-interface TruncationResult {
-  content: string;
-  original: {
-    length: number;
-    tokens: number;
-  };
-  truncated: {
-    length: number;
-    tokens: number;
-  };
-  wasTruncated: boolean;
-  percentRetained: number;
-}
+import * as contextBudget from '../mcp-servers/lib/context-budget.js';
+import type {
+  BundleCategory,
+  BundleItem,
+  ContentPriority,
+  ContentType,
+  ContextAllocation,
+  ContextBudgetManager,
+  ContextBundle,
+  ContextConfig,
+  ContextManagerOptions,
+  ContextPercents,
+  ContextSummary,
+  FillBundleOptions,
+  PresetName,
+  Tokenizer,
+  TokenCounts,
+  TruncationResult
+} from '../mcp-servers/lib/context-budget.js';
+
+// The types are declared with the allocator (lib/context-budget.d.ts)
+export type {
+  BundleCategory,
+  BundleItem,
+  ContentPriority,
+  ContentType,
+  ContextAllocation,
+  ContextBundle,
+  ContextConfig,
+  ContextManagerOptions,
+  ContextSummary,
+  FillBundleOptions,
+  Tokenizer,
+  TokenCounts,
+  TruncationResult
+};
 
 /**
  * Manages token budget and context allocation for MCP operations
  */
 export class ContextManager {
-  private config: ContextConfig;
-  private allocation: ContextAllocation;
-  private readonly CHARS_PER_TOKEN = 4;
-
-  constructor(config: Partial<ContextConfig> = {}) {
-    this.config = {
-      totalBudget: config.totalBudget ?? 6000,
-      instructionsPercent: config.instructionsPercent ?? 40,
-      docsPercent: config.docsPercent ?? 30,
-      agentPercent: config.agentPercent ?? 20,
-      responsePercent: config.responsePercent ?? 10,
-    };
-
-    // Validate percentages add up to 100
-    const total = this.config.instructionsPercent + 
-                  this.config.docsPercent + 
-                  this.config.agentPercent + 
-                  this.config.responsePercent;
-    
-    if (Math.abs(total - 100) > 1) {
-      console.warn(`Context allocation percentages total ${total}%, adjusting...`);
-      // Auto-normalize percentages
-      const scale = 100 / total;
-      this.config.instructionsPercent *= scale;
-      this.config.docsPercent *= scale;
-      this.config.agentPercent *= scale;
-      this.config.responsePercent *= scale;
-    }
-
-    this.calculateAllocation();
-  }
+  private readonly manager: ContextBudgetManager;
 
-  /**
-   * Calculate token allocation based on configuration
-   */
-  private calculateAllocation(): void {
-    const total = this.config.totalBudget;
-    this.allocation = {
-      instructions: Math.floor(total * (this.config.instructionsPercent / 100)),
-      docs: Math.floor(total * (this.config.docsPercent / 100)),
-      agent: Math.floor(total * (this.config.agentPercent / 100)),
-      reserved: Math.floor(total * (this.config.responsePercent / 100)),
-      total: total,
-    };
+  constructor(config: ContextManagerOptions = {}) {
+    this.manager = contextBudget.createContextManager(config);
   }
 
   /**
    * Get the current allocation breakdown
    */
   getAllocation(): ContextAllocation {
-    return { ...this.allocation };
+    return this.manager.getAllocation();
   }
 
   /**
    * Get budget for specific context type
    */
-  getBudgetFor(type: 'instructions' | 'docs' | 'agent'): number {
-    return this.allocation[type];
+  getBudgetFor(type: ContentType): number {
+    return this.manager.getBudgetFor(type);
   }
 
   /**
    * Get remaining budget after usage
    */
-  getRemaining(used: number, type: 'instructions' | 'docs' | 'agent'): number {
-    const budget = this.allocation[type];
-    return Math.max(0, budget - used);
+  getRemaining(used: number, type: ContentType): number {
+    return this.manager.getRemaining(used, type);
   }
 
   /**
-   * Get token count from character count
+   * Token count: exact with a tokenizer, otherwise estimated from the character count
    */
   estimateTokens(content: string): number {
-    return Math.ceil(content.length / this.CHARS_PER_TOKEN);
+    return this.manager.estimateTokens(content);
+  }
+
+  /**
+   * Estimated and exact token counts (exact is null without an exact tokenizer)
+   */
+  countTokens(content: string): TokenCounts {
+    return this.manager.countTokens(content);
   }
 
   /**
    * Get character limit from token budget
    */
   getCharLimit(tokens: number): number {
-    return tokens * this.CHARS_PER_TOKEN;
+    return this.manager.getCharLimit(tokens);
   }
 
   /**
    * Check if content fits within budget
    */
   fits(content: string, budget: number): boolean {
-    return this.estimateTokens(content) <= budget;
+    return this.manager.fits(content, budget);
   }
 
   /**
-   * Truncate content intelligently to fit budget
-   * Tries to preserve sentence boundaries when possible
+   * Plain-text truncation: the longest prefix within the budget, cut back to the last '.', line break
+   * or '#' when one falls in its last 30%, followed by a truncation marker. Markdown is better served
+   * by fillBundle, which keeps whole sections.
    */
   truncate(content: string, budget: number): TruncationResult {
-    const originalTokens = this.estimateTokens(content);
-    const maxChars = this.getCharLimit(budget);
-
-    if (content.length <= maxChars) {
-      return {
-        content: content,
-        original: { length: content.length, tokens: originalTokens },
-        truncated: { length: content.length, tokens: originalTokens },
-        wasTruncated: false,
-        percentRetained: 100,
-      };
-    }
-
-    // Find a good truncation point (end of sentence)
-    let truncated = content.substring(0, maxChars);
-    
-    // Try to find the last sentence boundary
-    const lastPeriod = truncated.lastIndexOf('.');
-    const lastNewline = truncated.lastIndexOf('\n');
-    const lastHeading = truncated.lastIndexOf('#');
-    
-    const lastGoodPoint = Math.max(lastPeriod, lastNewline, lastHeading);
-    
-    if (lastGoodPoint > maxChars * 0.7) {
-      // If we found a good boundary in the last 30%, use it
-      truncated = content.substring(0, lastGoodPoint + 1);
-    }
-
-    const truncatedTokens = this.estimateTokens(truncated);
-    const percentRetained = Math.round((truncated.length / content.length) * 100);
-
-    return {
-      content: truncated + '\n\n[... content truncated to fit context budget ...]',
-      original: { length: content.length, tokens: originalTokens },
-      truncated: { length: truncated.length, tokens: truncatedTokens },
-      wasTruncated: true,
-      percentRetained: percentRetained,
-    };
+    return this.manager.truncate(content, budget);
   }
 
   /**
@@ -186,52 +121,7 @@ export class ContextManager {
    * Returns array of content types in priority order
    */
   suggestPriority(task: string): ContentPriority[] {
-    const taskLower = task.toLowerCase();
-    const priorities: ContentPriority[] = [];
-
-    // Default: instructions > docs > agent
-    let instructionsPriority = 1;
-    let docsPriority = 2;
-    let agentPriority = 3;
-
-    // Adjust based on task keywords
-    if (taskLower.includes('api') || taskLower.includes('rest') || taskLower.includes('endpoint')) {
-      agentPriority = 1; // Agent expertise is most valuable
-      instructionsPriority = 2;
-      docsPriority = 3;
-    }
-
-    if (taskLower.includes('security') || taskLower.includes('auth') || taskLower.includes('owasp')) {
-      instructionsPriority = 1; // Instructions have security guidelines
-      docsPriority = 2;
-      agentPriority = 3;
-    }
-
-    if (taskLower.includes('performance') || taskLower.includes('optimize')) {
-      docsPriority = 1; // Documentation has optimization patterns
-      instructionsPriority = 2;
-      agentPriority = 3;
-    }
-
-    if (taskLower.includes('test') || taskLower.includes('spec')) {
-      instructionsPriority = 1; // Testing guidelines
-      docsPriority = 2;
-      agentPriority = 3;
-    }
-
-    if (taskLower.includes('architecture') || taskLower.includes('design')) {
-      agentPriority = 1; // Architect agent knows design
-      docsPriority = 2;
-      instructionsPriority = 3;
-    }
-
-    priorities.push(
-      { type: 'instructions', priority: instructionsPriority },
-      { type: 'docs', priority: docsPriority },
-      { type: 'agent', priority: agentPriority }
-    );
-
-    return priorities.sort((a, b) => a.priority - b.priority);
+    return this.manager.suggestPriority(task);
   }
 
   /**
@@ -239,111 +129,29 @@ export class ContextManager {
    * Returns allocation optimized for the task
    */
   allocateByPriority(task: string): ContextAllocation {
-    const priorities = this.suggestPriority(task);
-    const totalAvailable = this.allocation.total - this.allocation.reserved;
-
-    // Allocate more to higher priority items
-    const allocation: ContextAllocation = {
-      instructions: 0,
-      docs: 0,
-      agent: 0,
-      reserved: this.allocation.reserved,
-      total: this.allocation.total,
-    };
-
-    // Weight distribution: 50% to highest, 35% to middle, 15% to lowest
-    const weights = [0.5, 0.35, 0.15];
-
-    priorities.forEach((priority, index) => {
-      const amount = Math.floor(totalAvailable * weights[index]);
-      allocation[priority.type] = amount;
-    });
+    return this.manager.allocateByPriority(task);
+  }
 
-    return allocation;
+  /**
+   * Fill instructions, docs and agent guidance in priority order, section by section,
+   * with per-category accounting
+   */
+  fillBundle(options: FillBundleOptions): ContextBundle {
+    return this.manager.fillBundle(options);
   }
 
   /**
    * Get summary of context usage
    */
-  getSummary(): object {
-    return {
-      config: this.config,
-      allocation: this.allocation,
-      breakdown: {
-        instructions: `${this.config.instructionsPercent}% (${this.allocation.instructions} tokens)`,
-        docs: `${this.config.docsPercent}% (${this.allocation.docs} tokens)`,
-        agent: `${this.config.agentPercent}% (${this.allocation.agent} tokens)`,
-        reserved: `${this.config.responsePercent}% (${this.allocation.reserved} tokens)`,
-      },
-      charLimits: {
-        instructions: this.getCharLimit(this.allocation.instructions),
-        docs: this.getCharLimit(this.allocation.docs),
-        agent: this.getCharLimit(this.allocation.agent),
-      },
-    };
+  getSummary(): ContextSummary {
+    return this.manager.getSummary();
   }
 }
 
 /**
  * Preset configurations for different scenarios
  */
-export const PRESETS = {
-  // Default balanced approach
-  BALANCED: {
-    instructionsPercent: 40,
-    docsPercent: 30,
-    agentPercent: 20,
-    responsePercent: 10,
-  },
-
-  // Heavy documentation focus
-  DOCUMENTATION: {
-    instructionsPercent: 30,
-    docsPercent: 50,
-    agentPercent: 10,
-    responsePercent: 10,
-  },
-
-  // Agent-heavy for complex guidance
-  AGENT_FOCUSED: {
-    instructionsPercent: 20,
-    docsPercent: 20,
-    agentPercent: 50,
-    responsePercent: 10,
-  },
-
-  // Instruction-heavy for learning/implementation
-  LEARNING: {
-    instructionsPercent: 60,
-    docsPercent: 20,
-    agentPercent: 10,
-    responsePercent: 10,
-  },
-
-  // Minimal context, maximize response
-  RESPONSE_FOCUSED: {
-    instructionsPercent: 20,
-    docsPercent: 20,
-    agentPercent: 20,
-    responsePercent: 40,
-  },
-
-  // High token budget (8000 tokens)
-  GENEROUS: {
-    instructionsPercent: 40,
-    docsPercent: 30,
-    agentPercent: 20,
-    responsePercent: 10,
-  },
-
-  // Low token budget (2000 tokens)
-  MINIMAL: {
-    instructionsPercent: 40,
-    docsPercent: 30,
-    agentPercent: 20,
-    responsePercent: 10,
-  },
-};
+export const PRESETS: Record<PresetName, ContextPercents> = contextBudget.PRESETS;
 
 /**
  * Example usage